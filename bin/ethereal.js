@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+
+/**
+ * Ethereal News Tools
+ *
+ * Single entry point for all checkers, e.g. `ethereal all`.
+ */
+
+require('../lib/cli').run(process.argv.slice(2));
@@ -0,0 +1,44 @@
+/**
+ * On-disk response cache
+ *
+ * Stores one JSON file per key (named after the key's SHA-256 hash) under a
+ * cache directory, `.ethereal-cache` by default. Unreadable entries are
+ * treated as missing, so a corrupt or half-written file only costs a refetch.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_DIR = '.ethereal-cache';
+
+/**
+ * Create a cache storing its entries in `dir`
+ */
+function createDiskCache(dir) {
+  const fileFor = key => path.join(dir, crypto.createHash('sha256').update(key).digest('hex') + '.json');
+
+  return {
+    dir,
+
+    get(key) {
+      try {
+        const entry = JSON.parse(fs.readFileSync(fileFor(key), 'utf8'));
+        return entry.key === key ? entry.value : null;
+      } catch (e) {
+        return null;
+      }
+    },
+
+    set(key, value) {
+      fs.mkdirSync(dir, { recursive: true });
+      // Write to a temporary file first so parallel runs never read half an entry
+      const file = fileFor(key);
+      const temp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(temp, JSON.stringify({ key, value }));
+      fs.renameSync(temp, file);
+    }
+  };
+}
+
+module.exports = { DEFAULT_CACHE_DIR, createDiskCache };
@@ -0,0 +1,168 @@
+/**
+ * All Core Devs calls from the ethereum/pm repository
+ *
+ * Every ACDE (execution), ACDC (consensus) and ACDT (testing) call has an
+ * issue in ethereum/pm holding its agenda, titled like "All Core Devs -
+ * Execution (ACDE) #223, October 16, 2025", with the date and time in UTC
+ * in the body. Links to the recording and the notes are posted as comments
+ * once the call has been held.
+ */
+
+const { fetchGitHubAPI, GITHUB_API_URL } = require('./github');
+const { DAY_MS, now, formatDate, formatLongDate } = require('./dates');
+
+const REPOSITORY = { name: 'ethereum/pm', owner: 'ethereum', repo: 'pm' };
+
+const CALL_TYPES = [
+  { id: 'ACDE', title: 'All Core Devs - Execution', pattern: /\bACDE\b|All ?Core ?Devs?\s*[-–—:]\s*Execution|Execution Layer Meeting/i },
+  { id: 'ACDC', title: 'All Core Devs - Consensus', pattern: /\bACDC\b|All ?Core ?Devs?\s*[-–—:]\s*Consensus|Consensus[- ]Layer Call/i },
+  { id: 'ACDT', title: 'All Core Devs - Testing', pattern: /\bACDT\b|All ?Core ?Devs?\s*[-–—:]\s*Testing/i }
+];
+
+// Call issues are opened ahead of the call, so issues updated up to this many
+// days before the window are read too
+const LOOKBACK_DAYS = 30;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const RECORDING = /^https?:\/\/(www\.|m\.)?(youtube\.com|youtu\.be)\//i;
+const NOTES = /hackmd\.io|notes\.ethereum\.org|\.md(#|$)/i;
+const NOTES_LINE = /\b(notes|summary|transcript|minutes)\b/i;
+
+/**
+ * Read a date as [year, month, day] from `2026-10-15`, `2026/10/15` or
+ * `October 15, 2026`, or null
+ */
+function parseCallDate(text) {
+  const numeric = text.match(/\b(\d{4})[-/](\d{1,2})[-/](\d{1,2})\b/);
+  if (numeric) {
+    return [Number(numeric[1]), Number(numeric[2]) - 1, Number(numeric[3])];
+  }
+  const written = text.match(/\b([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/);
+  const month = written ? MONTHS.indexOf(written[1].slice(0, 3).toLowerCase()) : -1;
+  return month >= 0 ? [Number(written[3]), month, Number(written[2])] : null;
+}
+
+/**
+ * When a call is scheduled: `{ scheduledAt, time }`, or null
+ *
+ * The date and time are read from the body's "Date & Time" line, falling back
+ * to the date in the title. `time` ('14:00 UTC') is null when only the date
+ * is known, and `scheduledAt` is then midnight UTC.
+ */
+function parseSchedule(title, body) {
+  const line = (body || '').split('\n').find(text => /date|time/i.test(text) && /\bUTC\b/i.test(text)) || '';
+  const date = parseCallDate(line) || parseCallDate(title);
+  if (!date) {
+    return null;
+  }
+
+  const time = line.match(/\b(\d{1,2}):(\d{2})(?:\s*[-–]\s*\d{1,2}:\d{2})?\s*UTC\b/i);
+  const [hours, minutes] = time ? [Number(time[1]), Number(time[2])] : [0, 0];
+  return {
+    scheduledAt: new Date(Date.UTC(date[0], date[1], date[2], hours, minutes)),
+    time: time ? `${String(hours).padStart(2, '0')}:${time[2]} UTC` : null
+  };
+}
+
+/**
+ * Call type and number of an issue, or null when it isn't an All Core Devs call
+ */
+function parseCallTitle(title) {
+  const type = CALL_TYPES.find(candidate => candidate.pattern.test(title));
+  const number = title.match(/#\s*(\d+)/) || title.match(/\b(?:Meeting|Call)\s+(\d+)/i);
+  return type && number ? { type, number: Number(number[1]) } : null;
+}
+
+/**
+ * Recording and notes links posted in an issue's comments
+ */
+function findLinks(comments) {
+  const recordings = new Set();
+  const notes = new Set();
+  for (const comment of comments) {
+    for (const line of (comment.body || '').split('\n')) {
+      for (const [url] of line.matchAll(/https?:\/\/[^\s)\]>"'<]+/g)) {
+        if (RECORDING.test(url)) {
+          recordings.add(url);
+        } else if (NOTES.test(url) || NOTES_LINE.test(line)) {
+          notes.add(url);
+        }
+      }
+    }
+  }
+  return { recordings: [...recordings], notes: [...notes] };
+}
+
+/**
+ * Issues updated since a date, pull requests left out
+ * There's no page limit: for a window long past, the issues updated after it
+ * come first.
+ */
+async function fetchIssuesSince(base, since) {
+  const issues = [];
+  for (let page = 1; ; page++) {
+    const batch = await fetchGitHubAPI(
+      `${base}/issues?state=all&sort=updated&direction=desc&since=${since.toISOString()}&per_page=100&page=${page}`
+    );
+    if (!batch) {
+      return null;
+    }
+    issues.push(...batch.filter(issue => !issue.pull_request));
+    if (batch.length < 100) {
+      break;
+    }
+  }
+  return issues;
+}
+
+/**
+ * Fetch the All Core Devs calls scheduled within the window, oldest first
+ *
+ * Resolves to null when the repository doesn't exist.
+ */
+async function fetchCalls(window) {
+  const base = `${GITHUB_API_URL}/repos/${REPOSITORY.owner}/${REPOSITORY.repo}`;
+  const issues = await fetchIssuesSince(base, new Date(window.start.getTime() - LOOKBACK_DAYS * DAY_MS));
+  if (!issues) {
+    return null;
+  }
+
+  const calls = [];
+  for (const issue of issues) {
+    const call = parseCallTitle(issue.title);
+    const schedule = call && parseSchedule(issue.title, issue.body);
+    if (!schedule || schedule.scheduledAt < window.start || schedule.scheduledAt >= window.end) {
+      continue;
+    }
+
+    const comments = issue.comments > 0 ? await fetchGitHubAPI(`${base}/issues/${issue.number}/comments?per_page=100`) : [];
+    calls.push({
+      call: call.type.id,
+      callTitle: call.type.title,
+      number: call.number,
+      name: `${call.type.id} #${call.number}`,
+      title: issue.title,
+      publishedAt: schedule.scheduledAt,
+      time: schedule.time,
+      url: issue.html_url,
+      ...findLinks(comments || [])
+    });
+  }
+  return calls.sort((a, b) => a.publishedAt - b.publishedAt);
+}
+
+/**
+ * Format a call for display
+ */
+function formatCall(call) {
+  const upcoming = call.publishedAt > now();
+  return {
+    ...call,
+    upcoming,
+    date: formatLongDate(call.publishedAt),
+    relativeDate: upcoming ? 'upcoming' : formatDate(call.publishedAt)
+  };
+}
+
+module.exports = { REPOSITORY, CALL_TYPES, parseCallTitle, parseSchedule, findLinks, fetchCalls, formatCall };
@@ -0,0 +1,116 @@
+/**
+ * Changelogs built from the pull requests merged between two release tags
+ *
+ * The GitHub compare API lists the commits between the tags; merge and
+ * squash commits name their pull request (`Merge pull request #123 from ...`
+ * or `Title (#123)`), which is then looked up for its title, author and
+ * labels.
+ */
+
+const { fetchGitHubAPI, encodeRef, GITHUB_API_URL } = require('./github');
+
+// Most pull requests looked up per release, newest first
+const MAX_PULLS = 20;
+
+// Groups pull requests are listed in, matched against their labels and then
+// the conventional commit prefix of their title (`feat(rpc): ...`)
+const GROUPS = [
+  { id: 'features', title: 'Features', pattern: /feat|enhancement/i },
+  { id: 'fixes', title: 'Fixes', pattern: /fix|bug/i },
+  { id: 'performance', title: 'Performance', pattern: /perf|optimi[sz]/i }
+];
+const OTHER = { id: 'other', title: 'Other' };
+
+const PREFIX = /^(\w+)(?:\([^)]*\))?!?:/;
+
+/**
+ * Number of the pull request a commit merged, or null
+ */
+function pullNumber(message) {
+  const subject = message.split('\n')[0];
+  const match = subject.match(/^Merge pull request #(\d+)/) || subject.match(/\(#(\d+)\)\s*$/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Group a pull request belongs in
+ */
+function groupOf(pull) {
+  const prefix = pull.title.match(PREFIX);
+  return GROUPS.find(group => pull.labels.some(label => group.pattern.test(label))) ||
+    (prefix && GROUPS.find(group => group.pattern.test(prefix[1]))) ||
+    OTHER;
+}
+
+/**
+ * Group pull requests by kind, leaving out empty groups
+ */
+function groupPulls(pulls) {
+  return [...GROUPS, OTHER]
+    .map(group => ({ id: group.id, title: group.title, pulls: pulls.filter(pull => groupOf(pull) === group) }))
+    .filter(group => group.pulls.length > 0);
+}
+
+/**
+ * Fetch a merged pull request, or null when it isn't one
+ */
+async function fetchPull(base, number) {
+  const pull = await fetchGitHubAPI(`${base}/pulls/${number}`);
+  if (!pull || !pull.merged_at) {
+    return null;
+  }
+
+  return {
+    number,
+    title: pull.title,
+    author: pull.user ? pull.user.login : null,
+    labels: (pull.labels || []).map(label => label.name),
+    url: pull.html_url
+  };
+}
+
+/**
+ * Error for a comparison GitHub couldn't find, naming the tags that don't exist
+ */
+async function missingTagsError(base, tags) {
+  const found = await Promise.all(tags.map(tag => fetchGitHubAPI(`${base}/git/ref/tags/${encodeRef(tag)}`)));
+  const missing = tags.filter((tag, i) => !found[i]);
+  return new Error(missing.length > 0
+    ? `tag ${missing.join(' and ')} not found`
+    : `comparison of ${tags.join('...')} not found`);
+}
+
+/**
+ * Fetch the pull requests merged between two tags of a repository
+ *
+ * Resolves to `{ base, head, url, commits, truncated, pulls, more, groups }`:
+ * the tags, the compare page, the number of commits, whether the compare API
+ * left some of them out (it lists at most 250), the number of pull requests
+ * found, how many of those weren't looked up (past MAX_PULLS), and the pull
+ * requests looked up, grouped by kind. Throws when either tag is missing.
+ */
+async function fetchChanges(repository, baseTag, headTag) {
+  const base = `${GITHUB_API_URL}/repos/${repository}`;
+  const comparison = await fetchGitHubAPI(`${base}/compare/${encodeRef(baseTag)}...${encodeRef(headTag)}`);
+  if (!comparison) {
+    throw await missingTagsError(base, [baseTag, headTag]);
+  }
+
+  // Commits come oldest first
+  const numbers = [...new Set(comparison.commits.map(commit => pullNumber(commit.commit.message)).filter(Boolean))]
+    .reverse();
+  const pulls = await Promise.all(numbers.slice(0, MAX_PULLS).map(number => fetchPull(base, number)));
+
+  return {
+    base: baseTag,
+    head: headTag,
+    url: comparison.html_url,
+    commits: comparison.total_commits,
+    truncated: comparison.commits.length < comparison.total_commits,
+    pulls: numbers.length,
+    more: Math.max(0, numbers.length - MAX_PULLS),
+    groups: groupPulls(pulls.filter(Boolean))
+  };
+}
+
+module.exports = { MAX_PULLS, fetchChanges, pullNumber, groupPulls };
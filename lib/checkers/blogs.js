@@ -0,0 +1,67 @@
+/**
+ * Ethereum blog posts checker
+ *
+ * Checks RSS, Atom and JSON feeds (or, for blogs without one, their index
+ * pages, and for forums their Discourse topics) for the latest blog posts
+ * from Ethereum-related sources.
+ */
+
+const { fetchPosts, formatPost } = require('../feeds');
+const { sourcesIn } = require('../registry');
+
+const FORMAT_NAMES = { rss: 'RSS', atom: 'Atom', rdf: 'RSS 1.0', json: 'JSON Feed', html: 'HTML', discourse: 'Discourse' };
+
+/**
+ * Check all feeds
+ */
+async function run(options) {
+  const { out, window, isReportable } = options;
+  const feeds = sourcesIn(options.registry, 'blog', options.tags);
+  const checks = [];
+
+  // Fetch all feeds
+  out.write('\n📰 Checking Feeds:\n\n');
+  for (const feed of feeds) {
+    out.write(`  Checking ${feed.name}... `);
+    try {
+      const { format, posts: found } = await fetchPosts(feed, { since: window.start });
+      const posts = found.map(formatPost);
+      checks.push({ source: feed, section: 'blogs', status: 'ok', items: posts, error: null });
+      out.write(`✓ Found ${posts.length} posts (${FORMAT_NAMES[format]})\n`);
+    } catch (error) {
+      checks.push({ source: feed, section: 'blogs', status: 'error', items: [], error: error.message });
+      out.write(`✗ Error: ${error.message}\n`);
+    }
+
+    // Small delay between requests
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+
+  const allPosts = checks.flatMap(check => check.items);
+
+  // Filter posts to only show those within the reporting window
+  // (and, with --new-only, not already published)
+  const recentPosts = allPosts.filter(isReportable);
+
+  return {
+    name: 'blogs',
+    title: 'Blog Posts',
+    sections: [
+      { id: 'blogs', title: '📰 BLOG POSTS', kind: 'post', items: recentPosts }
+    ],
+    checks,
+    stats: [
+      { label: 'Total Feeds Checked', value: feeds.length },
+      { label: 'Total Posts Found', value: allPosts.length },
+      { label: `Posts ${window.phrase}`, value: recentPosts.length }
+    ]
+  };
+}
+
+module.exports = {
+  name: 'blogs',
+  description: 'Blog posts from Ethereum-related feeds',
+  headline: 'Checking for latest Ethereum blog posts...',
+  summaryTitle: 'BLOG POSTS SUMMARY',
+  run
+};
@@ -0,0 +1,59 @@
+/**
+ * All Core Devs call tracker
+ *
+ * Checks the ethereum/pm repository for the ACDE, ACDC and ACDT calls
+ * scheduled or held within the reporting window, with their agendas and the
+ * recordings and notes posted afterwards.
+ */
+
+const { REPOSITORY, fetchCalls, formatCall } = require('../calls');
+
+/**
+ * Check the ethereum/pm call issues
+ */
+async function run(options) {
+  const { out, window, isReportable } = options;
+  let check;
+
+  out.write('\n📞 Checking Calls:\n\n');
+  out.write(`  Checking ${REPOSITORY.name}... `);
+  try {
+    const found = await fetchCalls(window);
+    if (found) {
+      const calls = found.map(formatCall);
+      check = { source: REPOSITORY, section: 'calls', status: 'ok', items: calls, error: null };
+      out.write(`✓ Found ${calls.length} call${calls.length === 1 ? '' : 's'}\n`);
+    } else {
+      check = { source: REPOSITORY, section: 'calls', status: 'not_found', items: [], error: null };
+      out.write('✗ Repository not found\n');
+    }
+  } catch (error) {
+    check = { source: REPOSITORY, section: 'calls', status: 'error', items: [], error: error.message };
+    out.write(`✗ Error: ${error.message}\n`);
+  }
+
+  // Only calls scheduled within the window are read; this applies --new-only
+  const recentCalls = check.items.filter(isReportable);
+
+  return {
+    name: 'calls',
+    title: 'All Core Devs Calls',
+    sections: [
+      { id: 'calls', title: '📞 ALL CORE DEVS CALLS', kind: 'call', items: recentCalls }
+    ],
+    checks: [check],
+    stats: [
+      { label: `Calls ${window.phrase}`, value: recentCalls.length },
+      { label: 'Upcoming', value: recentCalls.filter(call => call.upcoming).length },
+      { label: 'With Recordings', value: recentCalls.filter(call => call.recordings.length > 0).length }
+    ]
+  };
+}
+
+module.exports = {
+  name: 'calls',
+  description: 'All Core Devs calls (ACDE, ACDC, ACDT) from ethereum/pm',
+  headline: 'Checking for All Core Devs calls...',
+  summaryTitle: 'ALL CORE DEVS CALLS SUMMARY',
+  run
+};
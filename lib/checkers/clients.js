@@ -0,0 +1,66 @@
+/**
+ * Ethereum client release checker
+ *
+ * Checks GitHub for the latest releases of execution and consensus layer clients.
+ */
+
+const { processBatch, latestPerPackage } = require('../releases');
+const { sourcesIn } = require('../registry');
+
+/**
+ * Execution and consensus clients from the source registry
+ */
+function clientsFrom(registry, tags) {
+  return {
+    execution: sourcesIn(registry, 'execution', tags),
+    consensus: sourcesIn(registry, 'consensus', tags)
+  };
+}
+
+/**
+ * Check execution and consensus clients
+ */
+async function run(options) {
+  const { out, window, isReportable } = options;
+  const clients = clientsFrom(options.registry, options.tags);
+
+  // Fetch execution layer clients in parallel batches
+  out.write('\n📦 Execution Layer Clients:\n\n');
+  const execution = await processBatch(clients.execution, options);
+
+  // Fetch consensus layer clients in parallel batches
+  out.write('\n\n🔐 Consensus Layer Clients:\n\n');
+  const consensus = await processBatch(clients.consensus, options);
+
+  // Filter releases to only show those within the reporting window
+  // (and, with --new-only, not already published), one per monorepo package
+  const recentExecution = latestPerPackage(execution.flatMap(check => check.items).filter(isReportable));
+  const recentConsensus = latestPerPackage(consensus.flatMap(check => check.items).filter(isReportable));
+
+  return {
+    name: 'clients',
+    title: 'Ethereum Clients',
+    sections: [
+      { id: 'execution', title: '🚀 EXECUTION LAYER CLIENTS', kind: 'release', items: recentExecution },
+      { id: 'consensus', title: '🔐 CONSENSUS LAYER CLIENTS', kind: 'release', items: recentConsensus }
+    ],
+    checks: [
+      ...execution.map(check => ({ ...check, section: 'execution' })),
+      ...consensus.map(check => ({ ...check, section: 'consensus' }))
+    ],
+    stats: [
+      { label: 'Execution Layer Clients', value: `${recentExecution.length} releases ${window.phrase}` },
+      { label: 'Consensus Layer Clients', value: `${recentConsensus.length} releases ${window.phrase}` },
+      { label: 'Total', value: `${recentExecution.length + recentConsensus.length} releases ${window.phrase}` }
+    ]
+  };
+}
+
+module.exports = {
+  name: 'clients',
+  description: 'Ethereum execution and consensus client releases',
+  headline: 'Checking for latest Ethereum client releases...',
+  summaryTitle: 'RELEASE SUMMARY',
+  run,
+  clientsFrom
+};
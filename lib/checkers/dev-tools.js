@@ -0,0 +1,47 @@
+/**
+ * Ethereum dev tools release checker
+ *
+ * Checks GitHub for the latest releases of Ethereum development tools.
+ */
+
+const { processBatch, latestPerPackage } = require('../releases');
+const { sourcesIn } = require('../registry');
+
+/**
+ * Check development tools
+ */
+async function run(options) {
+  const { out, window, isReportable } = options;
+  const tools = sourcesIn(options.registry, 'dev-tool', options.tags);
+
+  // Fetch all dev tools in parallel batches
+  out.write('\n🛠️  Development Tools:\n\n');
+  const checks = await processBatch(tools, options);
+  const releases = checks.flatMap(check => check.items);
+
+  // Filter releases to only show those within the reporting window
+  // (and, with --new-only, not already published), one per monorepo package
+  const recentReleases = latestPerPackage(releases.filter(isReportable));
+
+  return {
+    name: 'dev-tools',
+    title: 'Development Tools',
+    sections: [
+      { id: 'dev-tools', title: '🛠️  DEVELOPMENT TOOLS', kind: 'release', items: recentReleases }
+    ],
+    checks: checks.map(check => ({ ...check, section: 'dev-tools' })),
+    stats: [
+      { label: 'Total Tools Checked', value: tools.length },
+      { label: 'Releases Found', value: releases.length },
+      { label: `Releases ${window.phrase}`, value: recentReleases.length }
+    ]
+  };
+}
+
+module.exports = {
+  name: 'dev-tools',
+  description: 'Ethereum development tool releases',
+  headline: 'Checking for latest Ethereum dev tools releases...',
+  summaryTitle: 'RELEASE SUMMARY',
+  run
+};
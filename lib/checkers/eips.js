@@ -0,0 +1,63 @@
+/**
+ * EIP and ERC tracker
+ *
+ * Checks the ethereum/EIPs and ethereum/ERCs repositories for the proposals
+ * added and the status transitions (Draft → Review → Last Call → Final)
+ * merged within the reporting window.
+ */
+
+const { REPOSITORIES, fetchProposalChanges, formatProposal } = require('../eips');
+
+/**
+ * Check both proposal repositories
+ */
+async function run(options) {
+  const { out, window, isReportable } = options;
+  const checks = [];
+
+  out.write('\n📜 Checking Proposals:\n\n');
+  for (const repository of REPOSITORIES) {
+    out.write(`  Checking ${repository.name}... `);
+    try {
+      const changes = await fetchProposalChanges(repository, window);
+      if (!changes) {
+        checks.push({ source: repository, section: 'eips', status: 'not_found', items: [], error: null });
+        out.write('✗ Repository not found\n');
+        continue;
+      }
+      const items = changes.map(formatProposal);
+      checks.push({ source: repository, section: 'eips', status: 'ok', items, error: null });
+      out.write(`✓ Found ${items.length} proposal change${items.length === 1 ? '' : 's'}\n`);
+    } catch (error) {
+      checks.push({ source: repository, section: 'eips', status: 'error', items: [], error: error.message });
+      out.write(`✗ Error: ${error.message}\n`);
+    }
+  }
+
+  const allChanges = checks.flatMap(check => check.items);
+
+  // Only merges within the window are read; this applies --new-only
+  const recentChanges = allChanges.filter(isReportable);
+
+  return {
+    name: 'eips',
+    title: 'EIPs and ERCs',
+    sections: [
+      { id: 'eips', title: '📜 EIPS AND ERCS', kind: 'proposal', items: recentChanges }
+    ],
+    checks,
+    stats: [
+      { label: 'Repositories Checked', value: REPOSITORIES.length },
+      { label: 'New Proposals', value: recentChanges.filter(item => item.proposed).length },
+      { label: 'Status Changes', value: recentChanges.filter(item => !item.proposed).length }
+    ]
+  };
+}
+
+module.exports = {
+  name: 'eips',
+  description: 'New EIPs and ERCs and their status changes',
+  headline: 'Checking for new EIPs and ERCs and status changes...',
+  summaryTitle: 'EIP AND ERC SUMMARY',
+  run
+};
@@ -0,0 +1,664 @@
+/**
+ * Ethereal CLI
+ *
+ * Parses the command line and dispatches to the checkers. Every checker runs
+ * through the same pipeline so `all` produces one combined report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { RULE, renderText } = require('./report');
+const { renderMarkdown } = require('./markdown');
+const { renderJSON, renderNDJSON } = require('./json');
+const { renderAtom, renderRSS } = require('./export-feed');
+const { resolveWindow, isWithinWindow, setClock } = require('./dates');
+const { setETagCache, setWarningOutput } = require('./github');
+const { setHTTPCache } = require('./http');
+const { BACKENDS, resolveBackend } = require('./releases');
+const { CHANGES } = require('./version');
+const { DEFAULT_CACHE_DIR, createDiskCache } = require('./cache');
+const { parseDuration, createHTTPCache, writeRecording, readRecording } = require('./http-cache');
+const {
+  DEFAULT_STATE_FILE,
+  loadState,
+  saveState,
+  isPublished,
+  recordReported,
+  markPublished
+} = require('./state');
+const {
+  DEFAULT_UPGRADES_FILE,
+  loadUpgrades,
+  checkReadiness,
+  renderReadinessText,
+  renderReadinessMarkdown,
+  renderReadinessJSON
+} = require('./readiness');
+const {
+  CATEGORIES,
+  DEFAULT_SOURCES_FILE,
+  loadRegistry,
+  saveRegistry,
+  addSource,
+  removeSource,
+  filterSources,
+  slugify
+} = require('./registry');
+const {
+  DEFAULT_STALE_MONTHS,
+  checkSources,
+  needsAttention,
+  renderDoctorText,
+  renderDoctorJSON
+} = require('./doctor');
+
+const CHECKERS = {
+  clients: require('./checkers/clients'),
+  'dev-tools': require('./checkers/dev-tools'),
+  blogs: require('./checkers/blogs'),
+  eips: require('./checkers/eips'),
+  calls: require('./checkers/calls')
+};
+
+// Checkers whose releases and posts export-feed publishes
+const FEED_CHECKERS = ['clients', 'dev-tools', 'blogs'];
+
+const OPTIONS = {
+  help: { type: 'boolean', short: 'h' },
+  quiet: { type: 'boolean', short: 'q' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  days: { type: 'string' },
+  week: { type: 'string' },
+  format: { type: 'string', short: 'f' },
+  template: { type: 'string' },
+  json: { type: 'boolean' },
+  ndjson: { type: 'boolean' },
+  output: { type: 'string', short: 'o' },
+  atom: { type: 'string' },
+  rss: { type: 'string' },
+  'feed-url': { type: 'string' },
+  'atom-url': { type: 'string' },
+  'rss-url': { type: 'string' },
+  'no-prereleases': { type: 'boolean' },
+  'min-change': { type: 'string' },
+  changes: { type: 'boolean' },
+  'no-cache': { type: 'boolean' },
+  'cache-dir': { type: 'string' },
+  'cache-ttl': { type: 'string' },
+  record: { type: 'boolean' },
+  replay: { type: 'boolean' },
+  'new-only': { type: 'boolean' },
+  state: { type: 'string' },
+  upgrades: { type: 'string' },
+  sources: { type: 'string' },
+  tag: { type: 'string', multiple: true },
+  category: { type: 'string' },
+  id: { type: 'string' },
+  name: { type: 'string' },
+  repo: { type: 'string' },
+  url: { type: 'string' },
+  options: { type: 'string' },
+  notes: { type: 'string' },
+  'batch-size': { type: 'string' },
+  months: { type: 'string' },
+  backend: { type: 'string' }
+};
+
+const USAGE = `Usage: ethereal <command> [options]
+
+Commands:
+  clients      ${CHECKERS.clients.description}
+  dev-tools    ${CHECKERS['dev-tools'].description}
+  blogs        ${CHECKERS.blogs.description}
+  eips         ${CHECKERS.eips.description}
+  calls        ${CHECKERS.calls.description}
+  all          Run every checker and print one combined report
+  export-feed  Publish the releases and posts reported by clients,
+               dev-tools and blogs as Atom (--atom) and RSS 2.0 (--rss)
+               feed files, or print one feed (--format atom or rss,
+               default: atom)
+  mark-published
+               Mark the items reported by the last run as published
+  sources [list|add|remove|validate]
+               Manage the source registry:
+                 list               sources, filtered by --category and --tag
+                 add                --name, --category and --repo <owner/repo>
+                                    or --url <feed>; optional --id, --tag,
+                                    --options <json>, --notes
+                 remove <id>        remove a source
+                 validate           check the registry for problems
+  doctor       Check every source for moved, archived, stale, missing or
+               broken entries (exits with status 1 when any needs attention)
+  readiness [upgrade]
+               Client readiness matrix for a network upgrade
+               (lists the configured upgrades when none is given)
+
+Options:
+  -q, --quiet            Only print the summary, not per-source progress
+      --since <date>     Start of the reporting window (inclusive)
+      --until <date>     End of the reporting window (exclusive, default: now)
+      --days <n>         Window length when --since is not given (default: 7)
+      --week <week>      Newsletter week, Saturday to Friday UTC:
+                         'last', 'this' or a YYYY-MM-DD date inside the week
+  -f, --format <fmt>     Output format: text (default), markdown, json or ndjson;
+                         atom (default) or rss for export-feed
+      --json             Same as --format json
+      --ndjson           Same as --format ndjson
+  -o, --output <file>    Write the report to a file instead of stdout
+      --atom <file>      export-feed: write the Atom feed to a file
+      --rss <file>       export-feed: write the RSS 2.0 feed to a file
+      --feed-url <url>   export-feed: URL the feed is published at, for its
+                         link to itself
+      --atom-url <url>   export-feed: URL the Atom feed is published at
+      --rss-url <url>    export-feed: URL the RSS feed is published at
+      --template <file>  Template for --format markdown
+                         (default: templates/newsletter.md)
+      --no-prereleases   Leave pre-releases out of the report
+      --min-change <c>   Leave out releases smaller than this change from the
+                         previous version: prerelease, patch, minor or major
+      --changes          List the pull requests merged since the previous
+                         release, grouped by label (more GitHub requests)
+      --no-cache         Don't send or store GitHub ETags
+      --record           Save every HTTP response in the cache directory
+      --replay           Answer every request from a --record run, offline,
+                         as of the time it was recorded
+      --cache-ttl <age>  Reuse cached HTTP responses younger than this
+                         (e.g. 90s, 30m, 6h, 1d)
+      --cache-dir <dir>  Cache directory (default: $ETHEREAL_CACHE_DIR or
+                         .ethereal-cache)
+      --new-only         Hide items already marked as published
+      --state <file>     State file for --new-only and mark-published
+                         (default: $ETHEREAL_STATE or ${DEFAULT_STATE_FILE})
+      --tag <tag>        Only check sources with this tag (repeatable)
+      --category <cat>   Source category for sources list/add:
+                         execution, consensus, dev-tool or blog
+      --sources <file>   Source registry (default: $ETHEREAL_SOURCES or
+                         config/sources.json)
+      --upgrades <file>  Upgrade definitions for readiness
+                         (default: config/upgrades.json)
+      --batch-size <n>   Number of GitHub requests made in parallel (default: 10)
+      --backend <name>   GitHub API for release lookups: auto (default; graphql
+                         when GITHUB_TOKEN is set), rest or graphql
+      --months <n>       doctor: flag sources with nothing published in this
+                         many months (default: 12)
+  -h, --help             Show this help
+
+Dates are YYYY-MM-DD (midnight UTC) or full ISO 8601 timestamps.
+`;
+
+const FORMATS = ['text', 'markdown', 'json', 'ndjson'];
+
+// Formats export-feed prints on stdout
+const FEED_FORMATS = ['atom', 'rss'];
+
+// Progress sink used by --quiet
+const SILENT = { write() {} };
+
+/**
+ * URLs the Atom and RSS feeds are published at, for their links to themselves
+ * `--feed-url` is the URL of the one feed a run prints or writes; with both
+ * --atom and --rss, each feed gets its own URL from --atom-url and --rss-url.
+ */
+function feedURLs(values, format) {
+  const urls = { atom: values['atom-url'], rss: values['rss-url'] };
+  const feedUrl = values['feed-url'];
+  if (!feedUrl) {
+    return urls;
+  }
+  if (values.atom && values.rss) {
+    throw new Error('--feed-url is the URL of one feed; give --atom-url and --rss-url for both');
+  }
+  const feed = values.atom ? 'atom' : (values.rss ? 'rss' : format);
+  if (urls[feed]) {
+    throw new Error(`Use --feed-url or --${feed}-url, not both`);
+  }
+  return { ...urls, [feed]: feedUrl };
+}
+
+/**
+ * Parse command line arguments into a command and options
+ */
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+  const batchSize = values['batch-size'] !== undefined ? Number(values['batch-size']) : 10;
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Invalid --batch-size: ${values['batch-size']}`);
+  }
+
+  if ([values.record, values.replay, values['cache-ttl']].filter(Boolean).length > 1) {
+    throw new Error('Use only one of --record, --replay and --cache-ttl');
+  }
+
+  const cacheDir = values['cache-dir'] || process.env.ETHEREAL_CACHE_DIR || DEFAULT_CACHE_DIR;
+  let httpCache = null;
+  if (values.record || values.replay) {
+    httpCache = { mode: values.record ? 'record' : 'replay', dir: path.join(cacheDir, 'http') };
+  } else if (values['cache-ttl']) {
+    httpCache = { mode: 'ttl', dir: path.join(cacheDir, 'http'), ttl: parseDuration(values['cache-ttl']) };
+  }
+
+  // A replay runs as of the recorded time, with the backend that was recorded
+  const recording = values.replay ? readRecording(httpCache.dir) : null;
+  const now = recording ? recording.recordedAt : new Date();
+
+  const backend = recording ? recording.backend : values.backend || process.env.ETHEREAL_BACKEND || 'auto';
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Invalid --backend: ${backend} (expected one of: ${BACKENDS.join(', ')})`);
+  }
+
+  const months = values.months !== undefined ? Number(values.months) : DEFAULT_STALE_MONTHS;
+  if (!Number.isInteger(months) || months < 1) {
+    throw new Error(`Invalid --months: ${values.months}`);
+  }
+
+  if ([values.format, values.json, values.ndjson].filter(Boolean).length > 1) {
+    throw new Error('Use only one of --format, --json and --ndjson');
+  }
+
+  const minChange = values['min-change'];
+  if (minChange !== undefined && !CHANGES.includes(minChange)) {
+    throw new Error(`Invalid --min-change: ${minChange} (expected one of: ${CHANGES.join(', ')})`);
+  }
+
+  const command = positionals[0];
+  const formats = command === 'export-feed' ? FEED_FORMATS : FORMATS;
+  const format = values.format || (values.json && 'json') || (values.ndjson && 'ndjson') || formats[0];
+  if (!formats.includes(format)) {
+    const forCommand = command === 'export-feed' ? ' for export-feed' : '';
+    throw new Error(`Invalid --format${forCommand}: ${format} (expected one of: ${formats.join(', ')})`);
+  }
+
+  for (const name of ['feed-url', 'atom-url', 'rss-url']) {
+    if (values[name] !== undefined && !/^https?:\/\/\S+$/.test(values[name])) {
+      throw new Error(`Invalid --${name}: ${values[name]}`);
+    }
+  }
+  if (command === 'export-feed' && values.format && (values.atom || values.rss)) {
+    throw new Error('Use --format to print a feed, or --atom and --rss to write feed files, not both');
+  }
+  const feedUrls = feedURLs(values, format);
+
+  return {
+    command,
+    args: positionals.slice(1),
+    help: Boolean(values.help),
+    quiet: Boolean(values.quiet),
+    window: resolveWindow({
+      since: values.since,
+      until: values.until,
+      days: values.days,
+      week: values.week,
+      now
+    }),
+    format,
+    template: values.template,
+    output: values.output,
+    atomFile: values.atom,
+    rssFile: values.rss,
+    feedUrls,
+    includePrereleases: !values['no-prereleases'],
+    minChange,
+    changes: Boolean(values.changes),
+    cacheDir,
+    // Recordings must hold full responses, not 304s answered from the ETag cache
+    etagCache: !values['no-cache'] && !values.record && !values.replay,
+    httpCache,
+    replay: Boolean(values.replay),
+    now,
+    newOnly: Boolean(values['new-only']),
+    // Runs only read and record state when asked to
+    useState: Boolean(values['new-only'] || values.state),
+    stateFile: values.state || process.env.ETHEREAL_STATE || DEFAULT_STATE_FILE,
+    upgradesFile: values.upgrades || DEFAULT_UPGRADES_FILE,
+    sourcesFile: values.sources || process.env.ETHEREAL_SOURCES || DEFAULT_SOURCES_FILE,
+    tags: values.tag || [],
+    source: {
+      id: values.id,
+      name: values.name,
+      category: values.category,
+      repo: values.repo,
+      url: values.url,
+      options: values.options,
+      notes: values.notes
+    },
+    batchSize,
+    backend,
+    months
+  };
+}
+
+/**
+ * Render checker results in the requested output format
+ */
+function renderReport(results, checkers, options) {
+  if (options.format === 'markdown') {
+    return renderMarkdown(results, { window: options.window, template: options.template });
+  } else if (options.format === 'json') {
+    return renderJSON(results, { window: options.window });
+  } else if (options.format === 'ndjson') {
+    return renderNDJSON(results, { window: options.window });
+  }
+
+  const title = checkers.length === 1 ? checkers[0].summaryTitle : 'WEEKLY SUMMARY';
+  return renderText(results, { title, window: options.window, newOnly: options.newOnly });
+}
+
+/**
+ * Run checkers one after another, resolving to their results
+ * Every checker reports the items that pass the same window and filters.
+ */
+async function collectResults(checkers, options, out, state) {
+  setWarningOutput(out);
+  const headline = checkers.length === 1
+    ? checkers[0].headline
+    : 'Checking for latest Ethereum releases and blog posts...';
+
+  out.write(`🔍 ${headline}\n\n`);
+  out.write(RULE + '\n');
+
+  const isReportable = (item) => {
+    if (!isWithinWindow(item, options.window)) {
+      return false;
+    }
+    if (item.prerelease && !options.includePrereleases) {
+      return false;
+    }
+    // Releases whose change can't be told (first release, unversioned tags) stay in
+    if (options.minChange && item.change && CHANGES.indexOf(item.change) < CHANGES.indexOf(options.minChange)) {
+      return false;
+    }
+    return !(options.newOnly && isPublished(state, item));
+  };
+
+  const results = [];
+  for (const checker of checkers) {
+    results.push(await checker.run({ ...options, out, isReportable }));
+  }
+  return results;
+}
+
+/**
+ * Run one or more checkers and print the combined report
+ * Progress goes to stderr for non-text formats or --output, so stdout holds
+ * only the report.
+ */
+async function runCheckers(checkers, options) {
+  const progress = options.format === 'text' && !options.output ? process.stdout : process.stderr;
+  const out = options.quiet ? SILENT : progress;
+  const state = options.useState ? loadState(options.stateFile) : null;
+  const results = await collectResults(checkers, options, out, state);
+
+  // Remember what this run reported so mark-published can commit it
+  if (state) {
+    const reported = results.flatMap(result => result.sections.flatMap(section => section.items));
+    recordReported(state, reported, options.window);
+    saveState(options.stateFile, state);
+  }
+
+  const report = renderReport(results, checkers, options);
+  if (options.output) {
+    fs.writeFileSync(options.output, report);
+    progress.write(`\n📝 Report written to ${options.output}\n`);
+  } else {
+    process.stdout.write(report);
+  }
+  return results;
+}
+
+/**
+ * Publish the reported releases and posts as Atom and RSS 2.0 feeds
+ * The feeds go to the --atom and --rss files, or the --format feed (Atom by
+ * default) to stdout.
+ * With --new-only, items already published are left out, but the run
+ * doesn't replace the pending batch of mark-published.
+ */
+async function runExportFeed(options) {
+  const toFiles = Boolean(options.atomFile || options.rssFile);
+  const progress = toFiles ? process.stdout : process.stderr;
+  const out = options.quiet ? SILENT : progress;
+  const state = options.useState ? loadState(options.stateFile) : null;
+  const checkers = FEED_CHECKERS.map(name => CHECKERS[name]);
+  const results = await collectResults(checkers, options, out, state);
+
+  const atomOptions = { window: options.window, feedUrl: options.feedUrls.atom };
+  const rssOptions = { window: options.window, feedUrl: options.feedUrls.rss };
+  if (!toFiles) {
+    process.stdout.write(options.format === 'rss' ? renderRSS(results, rssOptions) : renderAtom(results, atomOptions));
+    return;
+  }
+  if (options.atomFile) {
+    fs.writeFileSync(options.atomFile, renderAtom(results, atomOptions));
+    progress.write(`\n📝 Atom feed written to ${options.atomFile}\n`);
+  }
+  if (options.rssFile) {
+    fs.writeFileSync(options.rssFile, renderRSS(results, rssOptions));
+    progress.write(`\n📝 RSS feed written to ${options.rssFile}\n`);
+  }
+}
+
+/**
+ * Print the readiness matrix for a network upgrade
+ */
+async function runReadiness(upgradeId, options) {
+  const upgrades = loadUpgrades(options.upgradesFile);
+
+  if (!upgradeId) {
+    console.log('Configured upgrades:\n');
+    for (const [id, upgrade] of Object.entries(upgrades)) {
+      console.log(`  ${id.padEnd(16)}${upgrade.name}`);
+    }
+    return;
+  }
+
+  const upgrade = upgrades[upgradeId.toLowerCase()];
+  if (!upgrade) {
+    throw new Error(`Unknown upgrade: ${upgradeId} (configured: ${Object.keys(upgrades).join(', ')})`);
+  }
+  if (options.format === 'ndjson') {
+    throw new Error('readiness supports --format text, markdown and json');
+  }
+
+  const progress = options.format === 'text' && !options.output ? process.stdout : process.stderr;
+  const out = options.quiet ? SILENT : progress;
+  setWarningOutput(out);
+  out.write(`🔍 Checking client readiness for ${upgrade.name}...\n\n`);
+  out.write(RULE + '\n\n');
+
+  const clients = CHECKERS.clients.clientsFrom(loadRegistry(options.sourcesFile), options.tags);
+  const rows = await checkReadiness(upgrade, clients, { ...options, out });
+
+  let report;
+  if (options.format === 'markdown') {
+    report = renderReadinessMarkdown(upgrade, rows);
+  } else if (options.format === 'json') {
+    report = renderReadinessJSON(upgradeId.toLowerCase(), upgrade, rows);
+  } else {
+    report = renderReadinessText(upgrade, rows);
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, report);
+    progress.write(`\n📝 Report written to ${options.output}\n`);
+  } else {
+    process.stdout.write(report);
+  }
+}
+
+/**
+ * Audit the registry sources and exit non-zero when any needs attention
+ */
+async function runDoctor(options) {
+  if (!['text', 'json'].includes(options.format)) {
+    throw new Error('doctor supports --format text and json');
+  }
+
+  const sources = filterSources(loadRegistry(options.sourcesFile), {
+    category: options.source.category,
+    tags: options.tags
+  });
+
+  const progress = options.format === 'text' && !options.output ? process.stdout : process.stderr;
+  const out = options.quiet ? SILENT : progress;
+  setWarningOutput(out);
+  out.write(`🩺 Checking ${sources.length} sources in ${options.sourcesFile}...\n\n`);
+  out.write(RULE + '\n\n');
+
+  const results = await checkSources(sources, { ...options, out });
+  const report = options.format === 'json' ? renderDoctorJSON(results) : renderDoctorText(results);
+
+  if (options.output) {
+    fs.writeFileSync(options.output, report);
+    progress.write(`\n📝 Report written to ${options.output}\n`);
+  } else {
+    process.stdout.write(report);
+  }
+
+  if (needsAttention(results)) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Build a registry entry from the sources add flags
+ */
+function sourceFromFlags(flags, tags) {
+  if (!flags.name || !flags.category) {
+    throw new Error('sources add needs --name and --category');
+  }
+
+  const source = { id: flags.id || slugify(flags.name), name: flags.name };
+  if (CATEGORIES[flags.category] === 'github') {
+    const [owner, repo, ...rest] = (flags.repo || '').split('/');
+    if (!owner || !repo || rest.length > 0) {
+      throw new Error(`Category "${flags.category}" needs --repo <owner/repo>`);
+    }
+    Object.assign(source, { type: 'github', category: flags.category, owner, repo });
+  } else {
+    Object.assign(source, { type: 'feed', category: flags.category, url: flags.url });
+  }
+  if (tags.length > 0) {
+    source.tags = tags;
+  }
+  if (flags.options) {
+    try {
+      source.options = JSON.parse(flags.options);
+    } catch (e) {
+      throw new Error(`Invalid --options: ${e.message}`);
+    }
+  }
+  if (flags.notes) {
+    source.notes = flags.notes;
+  }
+  return source;
+}
+
+/**
+ * List, add, remove or validate registry sources
+ */
+function runSources(args, options) {
+  const [action, id] = args;
+  const file = options.sourcesFile;
+  const registry = loadRegistry(file);
+
+  if (action === 'list' || action === undefined) {
+    const sources = filterSources(registry, { category: options.source.category, tags: options.tags });
+
+    if (options.format === 'json') {
+      process.stdout.write(JSON.stringify(sources, null, 2) + '\n');
+      return;
+    }
+    for (const source of sources) {
+      const location = source.type === 'github' ? `${source.owner}/${source.repo}` : source.url;
+      const tags = source.tags && source.tags.length > 0 ? ` [${source.tags.join(', ')}]` : '';
+      console.log(`  ${source.id.padEnd(28)} ${source.category.padEnd(10)} ${location}${tags}`);
+    }
+    console.log(`\n  ${sources.length} source${sources.length === 1 ? '' : 's'} in ${file}`);
+  } else if (action === 'add') {
+    const source = sourceFromFlags(options.source, options.tags);
+    saveRegistry(file, addSource(registry, source));
+    console.log(`✓ Added ${source.id} to ${file}`);
+  } else if (action === 'remove') {
+    if (!id) {
+      throw new Error('Usage: ethereal sources remove <id>');
+    }
+    saveRegistry(file, removeSource(registry, id));
+    console.log(`✓ Removed ${id} from ${file}`);
+  } else if (action === 'validate') {
+    // loadRegistry already threw if anything was wrong
+    console.log(`✓ ${file} is valid (${registry.sources.length} sources)`);
+  } else {
+    throw new Error(`Unknown sources command: ${action} (expected list, add, remove or validate)`);
+  }
+}
+
+/**
+ * Main function
+ */
+async function main(argv = process.argv.slice(2)) {
+  const options = parseCommandLine(argv);
+
+  if (options.help || !options.command) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  setClock(options.now);
+  setETagCache(options.etagCache ? createDiskCache(path.join(options.cacheDir, 'github')) : null);
+  setHTTPCache(options.httpCache ? createHTTPCache(options.httpCache) : null);
+  if (options.httpCache && options.httpCache.mode === 'record') {
+    writeRecording(options.httpCache.dir, {
+      recordedAt: options.now,
+      backend: resolveBackend(options.backend),
+      args: argv
+    });
+  }
+
+  if (options.command === 'mark-published') {
+    const state = loadState(options.stateFile);
+    const count = markPublished(state);
+    saveState(options.stateFile, state);
+    console.log(`✓ Marked ${count} item${count === 1 ? '' : 's'} as published in ${options.stateFile}`);
+    return;
+  }
+
+  if (options.command === 'sources') {
+    runSources(options.args, options);
+    return;
+  }
+
+  if (options.command === 'doctor') {
+    await runDoctor(options);
+    return;
+  }
+
+  if (options.command === 'export-feed') {
+    await runExportFeed({ ...options, registry: loadRegistry(options.sourcesFile) });
+    return;
+  }
+
+  if (options.command === 'readiness') {
+    await runReadiness(options.args[0], options);
+    return;
+  }
+
+  const checkers = options.command === 'all' ? Object.values(CHECKERS) : [CHECKERS[options.command]];
+  if (!checkers[0]) {
+    throw new Error(`Unknown command: ${options.command}\n\n${USAGE}`);
+  }
+  await runCheckers(checkers, { ...options, registry: loadRegistry(options.sourcesFile) });
+}
+
+/**
+ * Run the CLI, reporting errors the same way for every entry point
+ */
+function run(argv) {
+  main(argv).catch(error => {
+    console.error('\n❌ Error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, run, parseCommandLine, runCheckers, renderReport, CHECKERS };
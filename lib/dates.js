@@ -0,0 +1,179 @@
+/**
+ * Date helpers shared by all checkers
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Fixed time used instead of the system clock (see setClock)
+let clock = null;
+
+/**
+ * Current time, from the fixed clock when one is set
+ */
+function now() {
+  return clock ? new Date(clock) : new Date();
+}
+
+/**
+ * Fix the current time for the rest of the run (null to use the system clock)
+ * Replayed runs use the recording's time, so relative dates and the default
+ * window come out the same as in the recorded run.
+ */
+function setClock(date) {
+  clock = date ? new Date(date) : null;
+}
+
+/**
+ * Format date as relative time
+ */
+function formatDate(date) {
+  const diffMs = now() - date;
+  const diffDays = Math.floor(diffMs / DAY_MS);
+
+  if (diffDays === 0) {
+    return 'Today';
+  } else if (diffDays === 1) {
+    return 'Yesterday';
+  } else if (diffDays < 7) {
+    return `${diffDays} days ago`;
+  } else if (diffDays < 30) {
+    const weeks = Math.floor(diffDays / 7);
+    return `${weeks} week${weeks > 1 ? 's' : ''} ago`;
+  } else if (diffDays < 365) {
+    const months = Math.floor(diffDays / 30);
+    return `${months} month${months > 1 ? 's' : ''} ago`;
+  } else {
+    const years = Math.floor(diffDays / 365);
+    return `${years} year${years > 1 ? 's' : ''} ago`;
+  }
+}
+
+/**
+ * Format date as "Month D, YYYY"
+ */
+function formatLongDate(date) {
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * Parse a --since/--until value; date-only values mean midnight UTC
+ */
+function parseDateArg(value, flag) {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${flag} date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Format date as YYYY-MM-DD (UTC)
+ */
+function formatISODate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Start (Saturday 00:00 UTC) of the newsletter week containing a date
+ */
+function startOfNewsletterWeek(date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  // getUTCDay(): Sunday is 0, Saturday is 6
+  const daysSinceSaturday = (start.getUTCDay() + 1) % 7;
+  return new Date(start.getTime() - daysSinceSaturday * DAY_MS);
+}
+
+/**
+ * Resolve the reporting window from CLI options
+ *
+ * The window is half-open: `start` is included and `end` is not, so
+ * consecutive windows (e.g. `--until` of one issue and `--since` of the next)
+ * never overlap and never miss items.
+ *
+ * - `week`: 'last' (most recent complete week), 'this', or a YYYY-MM-DD date
+ *   inside the wanted week; newsletter weeks run Saturday to Friday in UTC
+ * - `since` / `until`: explicit bounds; `until` defaults to now
+ * - `days`: window length when `since` is not given (default: 7)
+ */
+function resolveWindow(options = {}) {
+  const { since, until, days, week } = options;
+  const current = options.now || now();
+
+  if (week !== undefined) {
+    if (since !== undefined || until !== undefined || days !== undefined) {
+      throw new Error('--week cannot be combined with --since, --until or --days');
+    }
+
+    let start;
+    if (week === 'this') {
+      start = startOfNewsletterWeek(current);
+    } else if (week === 'last') {
+      start = new Date(startOfNewsletterWeek(current).getTime() - 7 * DAY_MS);
+    } else {
+      start = startOfNewsletterWeek(parseDateArg(week, '--week'));
+    }
+    return createWindow(start, new Date(start.getTime() + 7 * DAY_MS), false);
+  }
+
+  if (since !== undefined && days !== undefined) {
+    throw new Error('--days cannot be combined with --since');
+  }
+
+  const length = days !== undefined ? Number(days) : 7;
+  if (!(length > 0)) {
+    throw new Error(`Invalid --days: ${days}`);
+  }
+
+  const end = until !== undefined ? parseDateArg(until, '--until') : current;
+  const start = since !== undefined
+    ? parseDateArg(since, '--since')
+    : new Date(end.getTime() - length * DAY_MS);
+
+  if (start >= end) {
+    throw new Error('Reporting window is empty: --since must be before --until');
+  }
+
+  const relative = since === undefined && until === undefined;
+  return createWindow(start, end, relative, length);
+}
+
+/**
+ * Build a window object with the labels used in headings and statistics
+ */
+function createWindow(start, end, relative, days) {
+  if (relative) {
+    const label = `Last ${days} Day${days === 1 ? '' : 's'}`;
+    return { start, end, label, phrase: `in ${label.toLowerCase()}` };
+  }
+
+  // Show the last day actually included, since `end` itself is excluded
+  const range = `${formatISODate(start)} to ${formatISODate(new Date(end.getTime() - 1))}`;
+  return { start, end, label: range, phrase: `from ${range}` };
+}
+
+/**
+ * Check if an item (release or post) was published within the window
+ */
+function isWithinWindow(item, window) {
+  if (!item || !item.publishedAt) {
+    return false;
+  }
+  return item.publishedAt >= window.start && item.publishedAt < window.end;
+}
+
+module.exports = {
+  DAY_MS,
+  now,
+  setClock,
+  formatDate,
+  formatLongDate,
+  formatISODate,
+  parseDateArg,
+  resolveWindow,
+  isWithinWindow
+};
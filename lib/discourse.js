@@ -0,0 +1,145 @@
+/**
+ * Topics from Discourse forums such as ethresear.ch and Ethereum Magicians
+ *
+ * Sources with the `discourse` adapter point at the forum's address. Topics
+ * are read from its JSON endpoints: the latest topics and the top topics of a
+ * period (the `top` option, weekly by default), for the whole forum or for
+ * each of the source's `categories` (category slugs). Each list is read page
+ * by page through its `more_topics_url` while pages still hold topics active
+ * since the start of the window. Topics with fewer
+ * replies, views or likes than the source's `engagement` minimums are left out.
+ *
+ * They come back as { title, link, date, description, categories, replies,
+ * views, likes }: the fields the feed parsers read from feed entries, plus
+ * the topic's engagement.
+ */
+
+const { httpGet } = require('./http');
+
+const PERIODS = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly', 'all'];
+const ENGAGEMENT_FIELDS = ['replies', 'views', 'likes'];
+
+/**
+ * Fetch a Discourse JSON endpoint
+ */
+async function fetchJSON(url) {
+  const res = await httpGet(url, { Accept: 'application/json' });
+  if (res.statusCode !== 200) {
+    throw new Error(`HTTP error: ${res.statusCode}`);
+  }
+  try {
+    return JSON.parse(res.body);
+  } catch (e) {
+    throw new Error('Response is not Discourse JSON');
+  }
+}
+
+/**
+ * Topic list endpoints to read: latest and top, per category or forum-wide
+ */
+function topicListPaths(options) {
+  const period = options.top || 'weekly';
+  const scopes = options.categories ? options.categories.map(slug => `/c/${encodeURIComponent(slug)}/l`) : [''];
+  return scopes.flatMap(scope => [`${scope}/latest.json`, `${scope}/top.json?period=${period}`]);
+}
+
+/**
+ * URL of the JSON endpoint behind a `more_topics_url` such as `/latest?page=1`
+ */
+function nextPageURL(base, moreTopicsURL) {
+  const url = new URL(moreTopicsURL, `${base}/`);
+  if (!url.pathname.endsWith('.json')) {
+    url.pathname += '.json';
+  }
+  return url.href;
+}
+
+/**
+ * Topics of a topic list, read page by page until a page has no topic
+ * active since `since` (only the first page without it)
+ * Topics are active when created or replied to, so a topic created within
+ * the window was bumped within it too.
+ */
+async function fetchTopicList(base, path, since) {
+  const topics = [];
+  let url = `${base}${path}`;
+  while (url) {
+    const list = (await fetchJSON(url)).topic_list || {};
+    const page = list.topics || [];
+    topics.push(...page);
+
+    const active = since && page.some(topic => new Date(topic.bumped_at || topic.created_at) >= since);
+    url = active && list.more_topics_url ? nextPageURL(base, list.more_topics_url) : null;
+  }
+  return topics;
+}
+
+/**
+ * Category names by id, subcategories included
+ */
+async function fetchCategoryNames(base) {
+  const data = await fetchJSON(`${base}/categories.json?include_subcategories=true`);
+  const names = new Map();
+  const add = categories => {
+    for (const category of categories || []) {
+      names.set(category.id, category.name);
+      add(category.subcategory_list);
+    }
+  };
+  add(data.category_list && data.category_list.categories);
+  return names;
+}
+
+/**
+ * Check a topic against the engagement minimums
+ */
+function isEngaged(entry, engagement = {}) {
+  return ENGAGEMENT_FIELDS.every(field => engagement[field] === undefined || entry[field] >= engagement[field]);
+}
+
+/**
+ * Convert a topic from a topic list into an entry
+ * Topic tags are plain names or, on newer forums, { name } objects.
+ */
+function topicToEntry(base, topic, categoryNames) {
+  const tags = (topic.tags || []).map(tag => (typeof tag === 'string' ? tag : tag.name));
+  return {
+    title: topic.title,
+    link: `${base}/t/${topic.slug}/${topic.id}`,
+    date: topic.created_at,
+    description: topic.excerpt || '',
+    categories: [categoryNames.get(topic.category_id), ...tags].filter(Boolean),
+    replies: Math.max(0, (topic.posts_count || 1) - 1),
+    views: topic.views || 0,
+    likes: topic.like_count || 0
+  };
+}
+
+/**
+ * Fetch the topics of a Discourse source as entries, each topic once,
+ * paging back to `since` when given
+ */
+async function fetchTopics(source, { since } = {}) {
+  const base = source.url.replace(/\/+$/, '');
+  const options = source.options || {};
+
+  const [categoryNames, ...lists] = await Promise.all([
+    fetchCategoryNames(base),
+    ...topicListPaths(options).map(path => fetchTopicList(base, path, since))
+  ]);
+
+  const topics = new Map();
+  for (const list of lists) {
+    for (const topic of list) {
+      if (!topics.has(topic.id)) {
+        topics.set(topic.id, topic);
+      }
+    }
+  }
+
+  return [...topics.values()]
+    .map(topic => topicToEntry(base, topic, categoryNames))
+    .filter(entry => isEngaged(entry, options.engagement));
+}
+
+module.exports = { PERIODS, ENGAGEMENT_FIELDS, fetchTopics };
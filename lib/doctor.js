@@ -0,0 +1,277 @@
+/**
+ * Source health audit
+ *
+ * Checks every registry source and reports the ones that need attention:
+ *
+ * - moved: the GitHub repository or feed URL redirects somewhere else
+ * - archived: the GitHub repository is archived
+ * - stale: no release (or post) in the last N months
+ * - no_releases: the GitHub repository has never published a release (or tag)
+ * - not_found: the repository, a registry package or the feed URL returns 404
+ * - not_a_feed: the feed URL returns HTML or another non-feed document
+ * - empty: the feed (or scraped index page, or forum) has no dated entries
+ * - error: the source couldn't be checked (network, rate limit, ...)
+ */
+
+const { fetchGitHubAPI, GITHUB_API_URL } = require('./github');
+const { httpGet, isRedirect } = require('./http');
+const { FETCHERS, fetchPosts, parsePosts } = require('./feeds');
+const { fetchTags } = require('./releases');
+const { registryTitle, fetchPackageVersions } = require('./package-registries');
+const { formatLongDate, now: currentTime } = require('./dates');
+const { RULE } = require('./report');
+
+const DEFAULT_STALE_MONTHS = 12;
+
+// no_releases messages by release strategy (see lib/releases.js)
+const NO_RELEASES = {
+  releases: 'Repository has no releases',
+  tags: 'Repository has no tags',
+  registry: 'Package has no published versions',
+  auto: 'Repository has no releases or tags'
+};
+
+// empty messages by feed adapter (see lib/feeds.js)
+const EMPTY = {
+  feed: 'Feed has no dated entries',
+  html: 'No dated posts found on the page',
+  discourse: 'No topics found on the forum'
+};
+
+/**
+ * Cutoff date for "nothing published in N months"
+ */
+function staleCutoff(now, months) {
+  const cutoff = new Date(now);
+  cutoff.setUTCMonth(cutoff.getUTCMonth() - months);
+  return cutoff;
+}
+
+/**
+ * Problem for the newest release or post being older than the cutoff
+ */
+function staleProblem(latestAt, what, months, now) {
+  if (latestAt >= staleCutoff(now, months)) {
+    return null;
+  }
+  return {
+    kind: 'stale',
+    message: `No ${what} in ${months} months (latest ${formatLongDate(latestAt)})`
+  };
+}
+
+/**
+ * Check a GitHub source: canonical name, archived flag and latest release
+ *
+ * GitHub answers requests for a renamed or transferred repository with a
+ * redirect to the repository's new location, so a `full_name` that differs
+ * from the configured owner/repo means the source has moved.
+ */
+async function checkGitHubSource(source, { months, now }) {
+  const base = `${GITHUB_API_URL}/repos/${source.owner}/${source.repo}`;
+  const repo = await fetchGitHubAPI(base);
+  if (!repo) {
+    return [{ kind: 'not_found', message: `Repository ${source.owner}/${source.repo} not found (404)` }];
+  }
+
+  const problems = [];
+  const [owner, name] = repo.full_name.split('/');
+  if (repo.full_name.toLowerCase() !== `${source.owner}/${source.repo}`.toLowerCase()) {
+    problems.push({
+      kind: 'moved',
+      message: `Redirects to ${repo.full_name}`,
+      suggestion: { owner, repo: name }
+    });
+  }
+  if (repo.archived) {
+    problems.push({ kind: 'archived', message: 'Repository is archived' });
+  }
+
+  // Every package the source lists must exist on its registry
+  const registries = Object.entries((source.options || {}).registries || {});
+  const packages = await Promise.all(registries.map(([registry, pkg]) => fetchPackageVersions(registry, pkg)));
+  registries.forEach(([registry, pkg], i) => {
+    if (!packages[i]) {
+      problems.push({ kind: 'not_found', message: `Package ${pkg} not found on ${registryTitle(registry)} (404)` });
+    }
+  });
+
+  // Read releases from the canonical location so a move isn't reported twice,
+  // falling back to registry versions and tags as the release checkers do
+  const strategy = (source.options || {}).strategy || 'auto';
+  let latest = null;
+  if (strategy !== 'tags' && strategy !== 'registry') {
+    const [release] = await fetchGitHubAPI(`${GITHUB_API_URL}/repos/${repo.full_name}/releases?per_page=1`) || [];
+    latest = release ? { what: 'release', date: new Date(release.published_at || release.created_at) } : null;
+  }
+  const [version] = packages[0] ? packages[0].versions : [];
+  if (!latest && version && (strategy === 'registry' || strategy === 'auto')) {
+    latest = { what: `${registryTitle(registries[0][0])} version`, date: version.publishedAt };
+  }
+  if (!latest && (strategy === 'tags' || strategy === 'auto')) {
+    const [tag] = await fetchTags({ owner, repo: name }, 1) || [];
+    latest = tag ? { what: 'tag', date: tag.date } : null;
+  }
+
+  if (!latest) {
+    problems.push({ kind: 'no_releases', message: NO_RELEASES[strategy] });
+  } else {
+    const stale = staleProblem(latest.date, latest.what, months, now);
+    if (stale) {
+      problems.push(stale);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check a feed source: status code, document type and entries
+ * Redirects aren't followed, as the blog checker doesn't follow them either.
+ */
+async function checkFeedSource(source, { months, now }) {
+  const res = await httpGet(source.url);
+
+  if (isRedirect(res.statusCode) && res.headers.location) {
+    const location = new URL(res.headers.location, source.url).href;
+    return [{ kind: 'moved', message: `Redirects to ${location}`, suggestion: { url: location } }];
+  } else if (res.statusCode === 404) {
+    return [{ kind: 'not_found', message: 'Feed URL not found (404)' }];
+  } else if (res.statusCode !== 200) {
+    throw new Error(`HTTP error: ${res.statusCode}`);
+  }
+
+  // Forums are read from their JSON endpoints rather than from this page
+  const adapter = (source.options || {}).adapter || 'feed';
+  let posts;
+  try {
+    ({ posts } = FETCHERS[adapter] ? await fetchPosts(source) : await parsePosts(source, res.body));
+  } catch (error) {
+    return [{ kind: 'not_a_feed', message: error.message }];
+  }
+  if (posts.length === 0) {
+    return [{ kind: 'empty', message: EMPTY[adapter] }];
+  }
+
+  const latestAt = new Date(Math.max(...posts.map(post => post.publishedAt.getTime())));
+  const stale = staleProblem(latestAt, 'post', months, now);
+  return stale ? [stale] : [];
+}
+
+/**
+ * Check one source, turning failures into an `error` problem
+ */
+async function checkSource(source, options) {
+  try {
+    const check = source.type === 'github' ? checkGitHubSource : checkFeedSource;
+    return { source, problems: await check(source, options) };
+  } catch (error) {
+    return { source, problems: [{ kind: 'error', message: error.message }] };
+  }
+}
+
+/**
+ * Check the health of a list of sources
+ */
+async function checkSources(sources, options = {}) {
+  const {
+    batchSize = 10,
+    out = process.stdout,
+    months = DEFAULT_STALE_MONTHS,
+    now = currentTime()
+  } = options;
+  const results = [];
+
+  for (let i = 0; i < sources.length; i += batchSize) {
+    const batch = await Promise.all(sources.slice(i, i + batchSize)
+      .map(source => checkSource(source, { months, now })));
+
+    for (const result of batch) {
+      out.write(`  Checking ${result.source.name}... `);
+      if (result.problems.length === 0) {
+        out.write('✓ OK\n');
+      } else {
+        out.write(`✗ ${result.problems.map(problem => problem.kind).join(', ')}\n`);
+      }
+      results.push(result);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Check if any source needs attention
+ */
+function needsAttention(results) {
+  return results.some(result => result.problems.length > 0);
+}
+
+/**
+ * Where a source points, as shown in reports
+ */
+function sourceLocation(source) {
+  return source.type === 'github' ? `${source.owner}/${source.repo}` : source.url;
+}
+
+/**
+ * Render the health report as text
+ */
+function renderDoctorText(results) {
+  const failing = results.filter(result => result.problems.length > 0);
+  const lines = ['\n\n' + RULE, '\n🩺 SOURCE HEALTH\n', RULE, ''];
+
+  if (failing.length === 0) {
+    lines.push(`  ✓ All ${results.length} sources are healthy`);
+    return lines.join('\n') + '\n\n';
+  }
+
+  for (const { source, problems } of failing) {
+    lines.push(`  ${source.name} (${source.id}, ${sourceLocation(source)})`);
+    for (const problem of problems) {
+      lines.push(`     ${problem.kind}: ${problem.message}`);
+      if (problem.suggestion) {
+        const change = Object.entries(problem.suggestion).map(([key, value]) => `"${key}": "${value}"`);
+        lines.push(`       → set ${change.join(', ')}`);
+      }
+    }
+    lines.push('');
+  }
+  lines.push(`  ${failing.length} of ${results.length} sources need attention`);
+  return lines.join('\n') + '\n\n';
+}
+
+/**
+ * Render the health report as JSON
+ */
+function renderDoctorJSON(results) {
+  return JSON.stringify({
+    schemaVersion: 1,
+    generatedAt: currentTime().toISOString(),
+    summary: {
+      sourcesChecked: results.length,
+      sourcesNeedingAttention: results.filter(result => result.problems.length > 0).length
+    },
+    sources: results.map(({ source, problems }) => ({
+      id: source.id,
+      name: source.name,
+      type: source.type,
+      category: source.category,
+      location: sourceLocation(source),
+      status: problems.length === 0 ? 'ok' : 'attention',
+      problems: problems.map(problem => ({
+        kind: problem.kind,
+        message: problem.message,
+        suggestion: problem.suggestion || null
+      }))
+    }))
+  }, null, 2) + '\n';
+}
+
+module.exports = {
+  DEFAULT_STALE_MONTHS,
+  checkSources,
+  needsAttention,
+  renderDoctorText,
+  renderDoctorJSON
+};
@@ -0,0 +1,194 @@
+/**
+ * New proposals and status changes in the EIPs and ERCs repositories
+ *
+ * Proposals live as Markdown files (`EIPS/eip-7702.md`, `ERCS/erc-7683.md`)
+ * whose front matter holds their number, title and status. The pull requests
+ * merged within the window are read with the files they changed: an added
+ * proposal file (or a draft renamed to one) is a new proposal, and a changed
+ * `status:` line is a status transition, confirmed by comparing the front
+ * matter before and after. "Before" is the parent of the merge commit: the
+ * base branch as it was when the pull request was merged.
+ */
+
+const { fetchGitHubAPI, encodeRef, GITHUB_API_URL } = require('./github');
+const { formatDate, formatLongDate } = require('./dates');
+
+const REPOSITORIES = [
+  { name: 'EIPs', owner: 'ethereum', repo: 'EIPs', type: 'EIP', dir: 'EIPS', site: 'https://eips.ethereum.org' },
+  { name: 'ERCs', owner: 'ethereum', repo: 'ERCs', type: 'ERC', dir: 'ERCS', site: 'https://ercs.ethereum.org' }
+];
+
+/**
+ * Parse the `key: value` front matter at the top of a proposal file
+ */
+function parseFrontMatter(text) {
+  const match = text.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---/);
+  if (!match) {
+    return null;
+  }
+
+  const fields = {};
+  for (const line of match[1].split('\n')) {
+    const field = line.match(/^([\w-]+):\s*(.*?)\s*$/);
+    if (field) {
+      fields[field[1].toLowerCase()] = field[2].replace(/^(["'])(.*)\1$/, '$2');
+    }
+  }
+  return fields;
+}
+
+/**
+ * Front matter of a file at a commit, or null when the file doesn't exist there
+ */
+async function fetchFrontMatter(base, file, ref) {
+  const content = await fetchGitHubAPI(`${base}/contents/${encodeRef(file)}?ref=${ref}`);
+  if (!content) {
+    return null;
+  }
+  return parseFrontMatter(Buffer.from(content.content || '', content.encoding || 'base64').toString('utf8'));
+}
+
+/**
+ * Pull requests merged within the window, read newest updated first until
+ * they were last updated before the window started
+ * Merging updates a pull request, so none merged within the window is older.
+ * There's no page limit: a window long past pages through everything
+ * updated since.
+ */
+async function fetchMergedPulls(base, window) {
+  const pulls = [];
+  for (let page = 1; ; page++) {
+    const batch = await fetchGitHubAPI(`${base}/pulls?state=closed&sort=updated&direction=desc&per_page=100&page=${page}`);
+    if (!batch) {
+      return null;
+    }
+
+    pulls.push(...batch.filter(pull => pull.merged_at &&
+      new Date(pull.merged_at) >= window.start && new Date(pull.merged_at) < window.end));
+    if (batch.length < 100 || new Date(batch[batch.length - 1].updated_at) < window.start) {
+      break;
+    }
+  }
+  return pulls;
+}
+
+/**
+ * Check if a path is a proposal file of the repository, such as `EIPS/eip-7702.md`
+ */
+function isProposalFile(repository, filename) {
+  return new RegExp(`^${repository.dir}/${repository.type.toLowerCase()}-(\\d+)\\.md$`).test(filename || '');
+}
+
+/**
+ * Proposal files a pull request added, renamed or changed the status of,
+ * read page by page
+ * Diffs too large for GitHub to include (no `patch`) are checked anyway.
+ */
+async function fetchProposalFiles(base, repository, pull) {
+  const files = [];
+  for (let page = 1; ; page++) {
+    const batch = await fetchGitHubAPI(`${base}/pulls/${pull.number}/files?per_page=100&page=${page}`);
+    files.push(...(batch || []));
+    if (!batch || batch.length < 100) {
+      break;
+    }
+  }
+
+  return files.filter(file => isProposalFile(repository, file.filename) && (
+    file.status === 'added' ||
+    file.status === 'renamed' ||
+    (file.status === 'modified' && (file.patch === undefined || /^\+status:/m.test(file.patch)))
+  ));
+}
+
+/**
+ * Path a proposal file had before a pull request, or null when it's new
+ * A file renamed from anything but a proposal file, such as a draft named
+ * `eip-draft_access_lists.md`, is a new proposal.
+ */
+function previousPath(repository, file) {
+  if (file.status === 'added') {
+    return null;
+  }
+  if (file.status === 'renamed') {
+    return isProposalFile(repository, file.previous_filename) ? file.previous_filename : null;
+  }
+  return file.filename;
+}
+
+/**
+ * The commit a pull request was merged onto: the first parent of its merge
+ * commit, or its base when the merge commit can't be read
+ */
+async function fetchMergeParent(base, pull) {
+  const commit = await fetchGitHubAPI(`${base}/git/commits/${pull.merge_commit_sha}`);
+  return commit && commit.parents.length > 0 ? commit.parents[0].sha : pull.base.sha;
+}
+
+/**
+ * Compare a proposal file before and after a pull request, `parent` being
+ * the commit it was merged onto
+ * Resolves to a proposal change, or null when its status didn't change.
+ */
+async function proposalChange(base, repository, pull, parent, file) {
+  const previous = previousPath(repository, file);
+  const [before, after] = await Promise.all([
+    previous ? fetchFrontMatter(base, previous, parent) : null,
+    fetchFrontMatter(base, file.filename, pull.merge_commit_sha)
+  ]);
+  if (!after || !after.status || (before && before.status === after.status)) {
+    return null;
+  }
+
+  const number = Number(after.eip || file.filename.match(/(\d+)\.md$/)[1]);
+  return {
+    type: repository.type,
+    number,
+    name: `${repository.type}-${number}`,
+    title: after.title || '',
+    category: after.category || after.type || null,
+    previousStatus: before ? before.status || null : null,
+    status: after.status,
+    repository: `${repository.owner}/${repository.repo}`,
+    url: `${repository.site}/${repository.dir}/${repository.type.toLowerCase()}-${number}`,
+    pullRequest: { number: pull.number, title: pull.title, url: pull.html_url },
+    publishedAt: new Date(pull.merged_at)
+  };
+}
+
+/**
+ * Fetch the new proposals and status transitions merged into a repository
+ * within the window, oldest first
+ *
+ * Resolves to null when the repository doesn't exist.
+ */
+async function fetchProposalChanges(repository, window) {
+  const base = `${GITHUB_API_URL}/repos/${repository.owner}/${repository.repo}`;
+  const pulls = await fetchMergedPulls(base, window);
+  if (!pulls) {
+    return null;
+  }
+
+  const changes = [];
+  for (const pull of pulls) {
+    const files = await fetchProposalFiles(base, repository, pull);
+    const parent = files.some(file => previousPath(repository, file)) ? await fetchMergeParent(base, pull) : null;
+    const found = await Promise.all(files.map(file => proposalChange(base, repository, pull, parent, file)));
+    changes.push(...found.filter(Boolean));
+  }
+  return changes.sort((a, b) => a.publishedAt - b.publishedAt);
+}
+
+/**
+ * Format a proposal change for display
+ */
+function formatProposal(proposal) {
+  return {
+    ...proposal,
+    proposed: proposal.previousStatus === null,
+    date: formatLongDate(proposal.publishedAt),
+    relativeDate: formatDate(proposal.publishedAt)
+  };
+}
+
+module.exports = { REPOSITORIES, parseFrontMatter, fetchProposalChanges, formatProposal };
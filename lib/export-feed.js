@@ -0,0 +1,190 @@
+/**
+ * Atom and RSS 2.0 feeds of the reported releases and posts
+ *
+ * `ethereal export-feed` runs the clients, dev-tools and blogs checkers and
+ * publishes what they report as a feed readers can subscribe to. Every entry
+ * is categorized by its source type (the report section it came from), and
+ * its id is built from the same key the state file uses, so an item keeps its
+ * GUID from one run to the next and feed readers don't show it twice.
+ *
+ * Given the URL the feed is published at (`feedUrl`, `--atom-url` or
+ * `--rss-url`), the feed links to itself as feed readers and validators expect.
+ */
+
+const { itemKey } = require('./state');
+const { now } = require('./dates');
+
+const FEED_TITLE = 'Ethereal News Tools: Ethereum releases and posts';
+const FEED_LINK = 'https://github.com/Ethereal-news/ethereal-news-tools';
+const FEED_ID = 'urn:ethereal:feed';
+
+// Category of each report section, by source type
+const CATEGORIES = {
+  execution: 'Execution clients',
+  consensus: 'Consensus clients',
+  'dev-tools': 'Dev tools',
+  blogs: 'Blog posts'
+};
+
+/**
+ * Description of the feed, with the window it covers
+ */
+function feedDescription(window) {
+  return `Client releases, dev tool releases and blog posts (${window.label})`;
+}
+
+/**
+ * Escape text for XML, dropping characters XML 1.0 doesn't allow
+ */
+function escapeXML(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Stable id of an item: its state key as a URN
+ */
+function entryId(item) {
+  return `urn:ethereal:${itemKey(item).replace(/[^\w\-.~!$'()*+,;=:@/]/gu, c => encodeURIComponent(c))}`;
+}
+
+/**
+ * Title of a release entry, or the post's title
+ */
+function entryTitle(item, kind) {
+  if (kind === 'post') {
+    return item.title;
+  }
+  const title = item.package ? `${item.name} ${item.package} ${item.packageVersion}` : `${item.name} ${item.version}`;
+  return item.prerelease ? `${title} (pre-release)` : title;
+}
+
+/**
+ * Link of an entry: the release or post, or else its repository or the
+ * source it was read from, or '' when there is none of these
+ */
+function entryLink(item, kind, source) {
+  const link = kind === 'post' ? item.link : item.url;
+  if (link) {
+    return link;
+  }
+  if (item.repository) {
+    return `https://github.com/${item.repository}`;
+  }
+  return (source && source.url) || '';
+}
+
+/**
+ * Entries for the items the checkers reported, newest first:
+ * `{ id, title, link, author, summary, publishedAt, category }`
+ */
+function feedEntries(results) {
+  const entries = results.flatMap(result => {
+    // Source each item was read from, for entries without a link of their own
+    const sources = new Map((result.checks || []).flatMap(check => check.items.map(item => [item, check.source])));
+
+    return result.sections.flatMap(section => section.items.map(item => ({
+      id: entryId(item),
+      title: entryTitle(item, section.kind),
+      link: entryLink(item, section.kind, sources.get(item)),
+      author: section.kind === 'post' ? item.feed : item.name,
+      summary: section.kind === 'post' ? item.description : item.notes.summary,
+      publishedAt: item.publishedAt,
+      category: { term: section.id, label: CATEGORIES[section.id] || section.id }
+    })));
+  });
+  return entries.sort((a, b) => b.publishedAt - a.publishedAt);
+}
+
+/**
+ * Time the feed was last updated: its newest entry, or now when it's empty
+ */
+function lastUpdated(entries) {
+  return entries.length > 0 ? entries[0].publishedAt : now();
+}
+
+/**
+ * Render the reported items as an Atom feed
+ */
+function renderAtom(results, options = {}) {
+  const { window, feedUrl } = options;
+  const entries = feedEntries(results);
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXML(FEED_TITLE)}</title>`,
+    `  <subtitle>${escapeXML(feedDescription(window))}</subtitle>`,
+    `  <id>${FEED_ID}</id>`,
+    `  <link rel="alternate" href="${escapeXML(FEED_LINK)}"/>`,
+    ...(feedUrl ? [`  <link rel="self" type="application/atom+xml" href="${escapeXML(feedUrl)}"/>`] : []),
+    `  <updated>${lastUpdated(entries).toISOString()}</updated>`,
+    '  <generator>ethereal</generator>'
+  ];
+
+  for (const entry of entries) {
+    lines.push(
+      '  <entry>',
+      `    <id>${escapeXML(entry.id)}</id>`,
+      `    <title>${escapeXML(entry.title)}</title>`,
+      ...(entry.link ? [`    <link rel="alternate" href="${escapeXML(entry.link)}"/>`] : []),
+      `    <author><name>${escapeXML(entry.author)}</name></author>`,
+      `    <published>${entry.publishedAt.toISOString()}</published>`,
+      `    <updated>${entry.publishedAt.toISOString()}</updated>`,
+      `    <category term="${escapeXML(entry.category.term)}" label="${escapeXML(entry.category.label)}"/>`
+    );
+    if (entry.summary) {
+      lines.push(`    <summary>${escapeXML(entry.summary)}</summary>`);
+    }
+    // An Atom entry needs a link or content (RFC 4287, section 4.1.1)
+    if (!entry.link) {
+      lines.push(`    <content type="text">${escapeXML(entry.summary || entry.title)}</content>`);
+    }
+    lines.push('  </entry>');
+  }
+
+  lines.push('</feed>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render the reported items as an RSS 2.0 feed
+ */
+function renderRSS(results, options = {}) {
+  const { window, feedUrl } = options;
+  const entries = feedEntries(results);
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXML(FEED_TITLE)}</title>`,
+    `    <link>${escapeXML(FEED_LINK)}</link>`,
+    ...(feedUrl ? [`    <atom:link rel="self" type="application/rss+xml" href="${escapeXML(feedUrl)}"/>`] : []),
+    `    <description>${escapeXML(feedDescription(window))}</description>`,
+    `    <lastBuildDate>${lastUpdated(entries).toUTCString()}</lastBuildDate>`,
+    '    <generator>ethereal</generator>'
+  ];
+
+  for (const entry of entries) {
+    lines.push(
+      '    <item>',
+      `      <title>${escapeXML(entry.title)}</title>`,
+      ...(entry.link ? [`      <link>${escapeXML(entry.link)}</link>`] : []),
+      `      <guid isPermaLink="false">${escapeXML(entry.id)}</guid>`,
+      `      <pubDate>${entry.publishedAt.toUTCString()}</pubDate>`,
+      `      <category domain="${escapeXML(entry.category.term)}">${escapeXML(entry.category.label)}</category>`
+    );
+    if (entry.summary) {
+      lines.push(`      <description>${escapeXML(entry.summary)}</description>`);
+    }
+    lines.push('    </item>');
+  }
+
+  lines.push('  </channel>', '</rss>');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { CATEGORIES, feedEntries, renderAtom, renderRSS };
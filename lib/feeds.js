@@ -0,0 +1,348 @@
+/**
+ * Feed fetching, parsing and formatting for the blog checker
+ *
+ * Supports RSS 2.0, Atom, RSS 1.0 (RDF) and JSON Feed; entries from every
+ * format are normalized into the same post shape. Blogs without a feed can
+ * use the `html` adapter, which scrapes the post list from their index page
+ * (see lib/scrape.js), and forums the `discourse` adapter, which reads their
+ * JSON endpoints (see lib/discourse.js).
+ */
+
+const { parseString } = require('xml2js');
+const { httpGet } = require('./http');
+const { scrapePosts } = require('./scrape');
+const { fetchTopics } = require('./discourse');
+const { formatDate, formatLongDate } = require('./dates');
+
+/**
+ * Parse XML into a plain object
+ */
+function parseXML(data) {
+  return new Promise((resolve, reject) => {
+    parseString(data, (err, result) => {
+      if (err) {
+        reject(new Error(`Failed to parse feed: ${err.message}`));
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * Detect the feed format of a fetched document and parse it
+ * Resolves to { format, data } where format is 'rss', 'atom', 'rdf' or 'json'.
+ */
+async function parseFeedDocument(body) {
+  const data = body.trim();
+
+  // Check if response is HTML instead of a feed
+  if (/^<!DOCTYPE html/i.test(data) || /^<html/i.test(data)) {
+    throw new Error('Response is HTML, not a feed');
+  }
+
+  if (data.startsWith('{')) {
+    let json;
+    try {
+      json = JSON.parse(data);
+    } catch (e) {
+      throw new Error(`Failed to parse JSON feed: ${e.message}`);
+    }
+    if (typeof json.version === 'string' && json.version.startsWith('https://jsonfeed.org/version/')) {
+      return { format: 'json', data: json };
+    }
+    throw new Error('Response is JSON but not a JSON Feed');
+  }
+
+  const xml = await parseXML(data);
+  const root = xml ? Object.keys(xml)[0] : undefined;
+  if (root === 'rss') {
+    return { format: 'rss', data: xml };
+  } else if (root === 'feed') {
+    return { format: 'atom', data: xml };
+  } else if (root === 'rdf:RDF') {
+    return { format: 'rdf', data: xml };
+  }
+  throw new Error(`Not a recognizable feed (root element <${root}>)`);
+}
+
+/**
+ * Fetch a feed and detect its format
+ */
+async function fetchFeed(url) {
+  const res = await httpGet(url);
+
+  if (res.statusCode !== 200) {
+    throw new Error(`HTTP error: ${res.statusCode}`);
+  }
+
+  return parseFeedDocument(res.body);
+}
+
+/**
+ * Text content of an xml2js node (plain string or element with attributes)
+ */
+function text(node) {
+  if (node === undefined || node === null) {
+    return '';
+  }
+  if (typeof node === 'string') {
+    return node;
+  }
+  return typeof node._ === 'string' ? node._ : '';
+}
+
+/**
+ * Text of the first element in an xml2js child list
+ */
+function first(nodes) {
+  return nodes && nodes.length > 0 ? text(nodes[0]) : '';
+}
+
+/**
+ * Build a post, or null when it has no usable publication date
+ */
+function createPost(feedName, { title, link, date, description, categories }) {
+  const publishedAt = date ? new Date(date) : null;
+  if (!publishedAt || Number.isNaN(publishedAt.getTime())) {
+    return null;
+  }
+
+  return {
+    feed: feedName,
+    title: title ? title.trim() : 'Untitled',
+    link: link ? link.trim() : '',
+    publishedAt: publishedAt,
+    description: description || '',
+    categories: categories.filter(Boolean)
+  };
+}
+
+/**
+ * Parse RSS 2.0 feed and extract posts
+ */
+function parseRSSFeed(feedData, feedName) {
+  const channel = feedData.rss && feedData.rss.channel && feedData.rss.channel[0];
+  if (!channel || !channel.item) {
+    return [];
+  }
+
+  return channel.item
+    .map(item => createPost(feedName, {
+      title: first(item.title),
+      link: first(item.link),
+      date: first(item.pubDate) || first(item['dc:date']),
+      description: first(item.description) || first(item['content:encoded']),
+      categories: (item.category || []).map(text)
+    }))
+    .filter(Boolean);
+}
+
+/**
+ * Pick the alternate (HTML) link of an Atom entry
+ */
+function atomLink(links) {
+  if (!links) {
+    return '';
+  }
+  const alternate = links.find(link => !link.$ || !link.$.rel || link.$.rel === 'alternate') || links[0];
+  return alternate.$ ? alternate.$.href : text(alternate);
+}
+
+/**
+ * Parse Atom feed and extract posts
+ */
+function parseAtomFeed(feedData, feedName) {
+  const entries = feedData.feed && feedData.feed.entry;
+  if (!entries) {
+    return [];
+  }
+
+  return entries
+    .map(entry => createPost(feedName, {
+      title: first(entry.title),
+      link: atomLink(entry.link),
+      date: first(entry.published) || first(entry.updated),
+      description: first(entry.summary) || first(entry.content),
+      categories: (entry.category || []).map(cat => (cat.$ ? cat.$.label || cat.$.term : text(cat)))
+    }))
+    .filter(Boolean);
+}
+
+/**
+ * Parse RSS 1.0 (RDF) feed and extract posts
+ * Items are siblings of the channel, dates come from Dublin Core.
+ */
+function parseRDFFeed(feedData, feedName) {
+  const items = feedData['rdf:RDF'] && feedData['rdf:RDF'].item;
+  if (!items) {
+    return [];
+  }
+
+  return items
+    .map(item => createPost(feedName, {
+      title: first(item.title),
+      link: first(item.link),
+      date: first(item['dc:date']),
+      description: first(item.description),
+      categories: (item['dc:subject'] || []).map(text)
+    }))
+    .filter(Boolean);
+}
+
+/**
+ * Parse JSON Feed and extract posts
+ */
+function parseJSONFeed(feedData, feedName) {
+  if (!Array.isArray(feedData.items)) {
+    return [];
+  }
+
+  return feedData.items
+    .map(item => createPost(feedName, {
+      title: item.title,
+      link: item.url || item.external_url,
+      date: item.date_published || item.date_modified,
+      description: item.summary || item.content_text || item.content_html,
+      categories: Array.isArray(item.tags) ? item.tags : []
+    }))
+    .filter(Boolean);
+}
+
+const PARSERS = {
+  rss: parseRSSFeed,
+  atom: parseAtomFeed,
+  rdf: parseRDFFeed,
+  json: parseJSONFeed
+};
+
+/**
+ * Normalize the entries of a feed in any supported format into posts
+ */
+function parseFeed(feed, feedName) {
+  return PARSERS[feed.format](feed.data, feedName);
+}
+
+/**
+ * Read posts from a fetched feed document
+ */
+async function parseFeedPosts(body, source) {
+  const feed = await parseFeedDocument(body);
+  return { format: feed.format, posts: parseFeed(feed, source.name) };
+}
+
+/**
+ * Read posts from a fetched HTML index page
+ */
+async function parseHTMLPosts(body, source) {
+  const entries = scrapePosts(body, { url: source.url, selectors: source.options.selectors });
+  return { format: 'html', posts: entries.map(entry => createPost(source.name, entry)).filter(Boolean) };
+}
+
+/**
+ * Read posts from a Discourse forum's topics, with their engagement
+ */
+async function fetchDiscoursePosts(source, options) {
+  const topics = await fetchTopics(source, options);
+  const posts = topics.map(topic => {
+    const post = createPost(source.name, topic);
+    return post && { ...post, replies: topic.replies, views: topic.views, likes: topic.likes };
+  });
+  return { format: 'discourse', posts: posts.filter(Boolean) };
+}
+
+// How each adapter reads posts from the document at a source's URL
+const ADAPTERS = {
+  feed: parseFeedPosts,
+  html: parseHTMLPosts
+};
+
+// Adapters that make their own requests instead of reading the source's URL
+const FETCHERS = {
+  discourse: fetchDiscoursePosts
+};
+
+/**
+ * Read posts from a fetched document with the source's adapter
+ * Resolves to { format, posts }, where format is a feed format or 'html'.
+ */
+function parsePosts(source, body) {
+  const options = source.options || {};
+  return ADAPTERS[options.adapter || 'feed'](body, { ...source, options });
+}
+
+/**
+ * Fetch a blog source and read its posts
+ * Adapters that page, such as `discourse`, read back to `since` when given.
+ */
+async function fetchPosts(source, { since } = {}) {
+  const fetcher = FETCHERS[(source.options || {}).adapter];
+  if (fetcher) {
+    return fetcher(source, { since });
+  }
+
+  const res = await httpGet(source.url);
+
+  if (res.statusCode !== 200) {
+    throw new Error(`HTTP error: ${res.statusCode}`);
+  }
+
+  return parsePosts(source, res.body);
+}
+
+/**
+ * A count with its noun, e.g. "1 reply" or "12 replies"
+ */
+function count(n, singular, plural) {
+  return `${n} ${n === 1 ? singular : plural}`;
+}
+
+/**
+ * Format post information
+ * Forum topics also get their reply, view and like counts (`engagement`).
+ */
+function formatPost(post) {
+  // Clean description (remove HTML tags and CDATA)
+  let cleanDescription = post.description
+    .replace(/<!\[CDATA\[/g, '')
+    .replace(/\]\]>/g, '')
+    .replace(/<[^>]*>/g, '')
+    .trim();
+
+  // Limit description length
+  if (cleanDescription.length > 200) {
+    cleanDescription = cleanDescription.substring(0, 197) + '...';
+  }
+
+  return {
+    feed: post.feed,
+    title: post.title,
+    link: post.link,
+    date: formatLongDate(post.publishedAt),
+    relativeDate: formatDate(post.publishedAt),
+    publishedAt: post.publishedAt,
+    description: cleanDescription,
+    categories: post.categories,
+    replies: post.replies !== undefined ? post.replies : null,
+    views: post.views !== undefined ? post.views : null,
+    likes: post.likes !== undefined ? post.likes : null,
+    engagement: post.replies !== undefined
+      ? [count(post.replies, 'reply', 'replies'), count(post.views, 'view', 'views'), count(post.likes, 'like', 'likes')].join(', ')
+      : null
+  };
+}
+
+module.exports = {
+  ADAPTERS,
+  FETCHERS,
+  fetchFeed,
+  fetchPosts,
+  parsePosts,
+  parseFeedDocument,
+  parseFeed,
+  parseRSSFeed,
+  parseAtomFeed,
+  parseRDFFeed,
+  parseJSONFeed,
+  formatPost
+};
@@ -0,0 +1,391 @@
+/**
+ * GitHub REST and GraphQL API client
+ *
+ * Shared by every checker that talks to GitHub. Tracks the rate-limit budget
+ * from the X-RateLimit-* headers, waits out short rate limits, retries
+ * transient 5xx errors and, with an ETag cache, makes conditional requests.
+ */
+
+require('dotenv').config();
+const { httpRequest, isRedirect } = require('./http');
+
+// Get GitHub token from environment (trim whitespace and check if not empty)
+const GITHUB_TOKEN = process.env.GITHUB_TOKEN?.trim() || null;
+
+// Overridable to point at GitHub Enterprise or a local mock server
+const GITHUB_API_URL = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+
+// Retries for 5xx errors and secondary rate limits, and their backoff bases
+const MAX_RETRIES = 3;
+const RETRY_BASE_MS = 1000;
+const SECONDARY_LIMIT_WAIT_MS = 60 * 1000;
+
+// Longest wait for a rate limit, primary or secondary, before giving up
+const MAX_RATE_LIMIT_WAIT_MS = 60 * 1000;
+
+// Rate-limit budget per API resource ('core' for REST, 'graphql'), from the
+// headers of the latest response
+const rateLimits = {};
+
+// Cache of ETags and response bodies for conditional requests (see setETagCache)
+let etagCache = null;
+
+// Where warnings about the whole run go (see setWarningOutput), and the ones
+// already given
+let warningOutput = process.stderr;
+const warned = new Set();
+
+/**
+ * Build request headers, including authorization when a token is used
+ */
+function buildHeaders(useToken) {
+  const headers = {
+    'User-Agent': 'Ethereal-News-Tools',
+    'Accept': 'application/vnd.github.v3+json'
+  };
+
+  // Add GitHub token if available and useToken is true
+  // Classic tokens (ghp_*) use "token" format
+  // Fine-grained tokens (github_pat_*) use "Bearer" format
+  if (useToken && GITHUB_TOKEN && GITHUB_TOKEN.length > 0) {
+    if (GITHUB_TOKEN.startsWith('github_pat_')) {
+      headers['Authorization'] = `Bearer ${GITHUB_TOKEN}`;
+    } else {
+      // Classic tokens and others use "token" format
+      headers['Authorization'] = `token ${GITHUB_TOKEN}`;
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Wait for a number of milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create the error thrown when the rate limit is exhausted
+ * `rateLimited` lets fetchGitHubAPI fall back to a cached response.
+ */
+function rateLimitError(reset) {
+  const until = reset ? ` until ${reset.toISOString().slice(11, 16)} UTC` : '';
+  const error = new Error(`GitHub API rate limit exceeded${until}. Please wait or use a valid GitHub token.`);
+  error.rateLimited = true;
+  return error;
+}
+
+/**
+ * Create the error thrown when a secondary rate limit asks for a longer wait
+ * than MAX_RATE_LIMIT_WAIT_MS
+ */
+function secondaryLimitError(wait) {
+  const seconds = Math.ceil(wait / 1000);
+  const error = new Error(`GitHub API secondary rate limit exceeded for ${seconds}s, ` +
+    `longer than the ${MAX_RATE_LIMIT_WAIT_MS / 1000}s the client waits. Please try again later.`);
+  error.rateLimited = true;
+  return error;
+}
+
+/**
+ * Cap a secondary rate-limit wait at MAX_RATE_LIMIT_WAIT_MS, throwing past it
+ */
+function secondaryLimitWait(wait) {
+  if (wait > MAX_RATE_LIMIT_WAIT_MS) {
+    throw secondaryLimitError(wait);
+  }
+  return wait;
+}
+
+/**
+ * Update the rate-limit budget from a response's X-RateLimit-* headers
+ * Parallel responses can arrive out of order, so within one window the lowest
+ * remaining count wins.
+ */
+function updateRateLimit(headers) {
+  if (headers['x-ratelimit-remaining'] === undefined) {
+    return;
+  }
+
+  const resource = headers['x-ratelimit-resource'] || 'core';
+  const rateLimit = rateLimits[resource] = rateLimits[resource] || {};
+  const remaining = Number(headers['x-ratelimit-remaining']);
+  const reset = new Date(Number(headers['x-ratelimit-reset']) * 1000);
+  const sameWindow = rateLimit.reset && rateLimit.reset.getTime() === reset.getTime();
+
+  rateLimit.limit = Number(headers['x-ratelimit-limit']);
+  rateLimit.remaining = sameWindow ? Math.min(rateLimit.remaining, remaining) : remaining;
+  rateLimit.reset = reset;
+}
+
+/**
+ * Wait until the primary rate limit resets when the budget is used up
+ * Throws instead when the reset is further away than MAX_RATE_LIMIT_WAIT_MS.
+ */
+async function waitForBudget(resource) {
+  const rateLimit = rateLimits[resource] || {};
+  if (rateLimit.remaining !== 0 || !rateLimit.reset) {
+    return;
+  }
+
+  const wait = rateLimit.reset.getTime() - Date.now() + 1000;
+  if (wait <= 0) {
+    return;
+  }
+  if (wait > MAX_RATE_LIMIT_WAIT_MS) {
+    throw rateLimitError((rateLimits.core || {}).reset);
+  }
+  await sleep(wait);
+}
+
+/**
+ * Milliseconds to wait from a `Retry-After` header, given in seconds or as an
+ * HTTP date, or null when it's neither
+ */
+function parseRetryAfter(value) {
+  if (/^\s*\d+\s*$/.test(value)) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * How long to wait before retrying a response, or null if it shouldn't be retried
+ *
+ * - 5xx errors back off exponentially from RETRY_BASE_MS
+ * - secondary rate limits wait for `Retry-After`, or back off exponentially
+ *   from a minute as GitHub recommends (also when `Retry-After` can't be read)
+ * - an exhausted primary rate limit waits for the reset
+ *
+ * Rate limits that need a longer wait than MAX_RATE_LIMIT_WAIT_MS throw instead.
+ */
+function retryDelay(res, attempt) {
+  if (res.statusCode >= 500) {
+    return RETRY_BASE_MS * 2 ** attempt;
+  }
+  if (res.statusCode !== 403 && res.statusCode !== 429) {
+    return null;
+  }
+
+  if (res.headers['retry-after'] !== undefined) {
+    const wait = parseRetryAfter(res.headers['retry-after']);
+    return secondaryLimitWait(wait !== null ? wait : SECONDARY_LIMIT_WAIT_MS * 2 ** attempt);
+  }
+  if (res.headers['x-ratelimit-remaining'] === '0') {
+    const reset = new Date(Number(res.headers['x-ratelimit-reset']) * 1000);
+    const wait = reset.getTime() - Date.now() + 1000;
+    if (wait > MAX_RATE_LIMIT_WAIT_MS) {
+      throw rateLimitError(reset);
+    }
+    return Math.max(wait, 0);
+  }
+  if (/secondary rate limit/i.test(res.body)) {
+    return secondaryLimitWait(SECONDARY_LIMIT_WAIT_MS * 2 ** attempt);
+  }
+  return null;
+}
+
+/**
+ * Make a request, retrying transient errors and rate limits
+ * `resource` names the rate-limit budget the request counts against.
+ */
+async function requestWithRetries(url, options, resource = 'core') {
+  for (let attempt = 0; ; attempt++) {
+    await waitForBudget(resource);
+
+    const res = await httpRequest(url, options);
+    updateRateLimit(res.headers);
+
+    const delay = retryDelay(res, attempt);
+    if (delay === null || attempt >= MAX_RETRIES) {
+      return res;
+    }
+    await sleep(delay);
+  }
+}
+
+/**
+ * Use (or stop using, with null) a cache for ETag conditional requests
+ *
+ * The cache needs `get(key)` and `set(key, value)`; see lib/cache.js.
+ */
+function setETagCache(cache) {
+  etagCache = cache;
+}
+
+/**
+ * Send warnings about the whole run, such as stale cached responses, to a
+ * stream (the CLI's progress output) instead of stderr
+ */
+function setWarningOutput(out) {
+  warningOutput = out;
+}
+
+/**
+ * Current rate-limit budget of a resource: { limit, remaining, reset }, or
+ * null until a response has reported it
+ */
+function getRateLimit(resource = 'core') {
+  return rateLimits[resource] ? { ...rateLimits[resource] } : null;
+}
+
+/**
+ * Fetch data from GitHub API with redirect support
+ * If authentication fails, retries without token
+ *
+ * With an ETag cache, requests send `If-None-Match` and a 304 response (which
+ * doesn't count against the rate limit) is answered from the cache. When the
+ * rate limit is exhausted, a cached response is used instead of failing.
+ */
+async function fetchGitHubAPI(url, redirectCount = 0, useToken = true) {
+  if (redirectCount > 5) {
+    throw new Error('Too many redirects');
+  }
+
+  const cached = etagCache ? etagCache.get(url) : null;
+  const headers = buildHeaders(useToken);
+  if (cached) {
+    headers['If-None-Match'] = cached.etag;
+  }
+
+  let res;
+  try {
+    res = await requestWithRetries(url, { headers });
+  } catch (error) {
+    if (error.rateLimited && cached) {
+      warnStale(error);
+      return parseJSON(cached.body);
+    }
+    throw error;
+  }
+
+  // Handle redirects
+  if (isRedirect(res.statusCode) && res.headers.location) {
+    return fetchGitHubAPI(res.headers.location, redirectCount + 1, useToken);
+  }
+
+  if (res.statusCode === 304 && cached) {
+    return parseJSON(cached.body);
+  } else if (res.statusCode === 200) {
+    const data = parseJSON(res.body);
+    if (etagCache && res.headers.etag) {
+      etagCache.set(url, { etag: res.headers.etag, body: res.body });
+    }
+    return data;
+  } else if (res.statusCode === 404) {
+    return null; // Repository or release not found
+  } else if (res.statusCode === 401) {
+    // If we used a token and got 401, try again without token
+    if (useToken && GITHUB_TOKEN) {
+      warnOnce('GitHub API authentication failed, retrying without token');
+      return fetchGitHubAPI(url, redirectCount, false);
+    }
+    throw new Error('GitHub API authentication failed. Please check your GITHUB_TOKEN in .env file or remove it to use unauthenticated requests.');
+  } else if (res.statusCode === 403 || res.statusCode === 429) {
+    if (res.headers['x-ratelimit-remaining'] === '0' || res.headers['retry-after'] !== undefined ||
+        /rate limit/i.test(res.body)) {
+      if (cached) {
+        warnStale(rateLimitError((rateLimits.core || {}).reset));
+        return parseJSON(cached.body);
+      }
+      throw rateLimitError((rateLimits.core || {}).reset);
+    }
+    throw new Error(`GitHub API access forbidden: ${errorMessage(res.body)}`);
+  } else {
+    throw new Error(`GitHub API error: ${res.statusCode} - ${res.body}`);
+  }
+}
+
+/**
+ * Run a GraphQL query, resolving to the response's `{ data, errors }`
+ *
+ * Needs a token (see resolveBackend in lib/releases.js), as the GraphQL API
+ * doesn't allow anonymous requests, except when replaying a recording. Errors
+ * about individual fields are left in `errors` for the caller; a response
+ * without any data throws.
+ */
+async function fetchGitHubGraphQL(query, variables = {}) {
+  const res = await requestWithRetries(`${GITHUB_API_URL}/graphql`, {
+    method: 'POST',
+    headers: { ...buildHeaders(true), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query, variables })
+  }, 'graphql');
+
+  if (res.statusCode === 401) {
+    throw new Error('GitHub API authentication failed. Please check your GITHUB_TOKEN in .env file.');
+  } else if (res.statusCode === 403 || res.statusCode === 429) {
+    throw rateLimitError((rateLimits.graphql || {}).reset);
+  } else if (res.statusCode !== 200) {
+    throw new Error(`GitHub API error: ${res.statusCode} - ${res.body}`);
+  }
+
+  const payload = parseJSON(res.body);
+  const errors = payload.errors || [];
+  if (errors.some(error => error.type === 'RATE_LIMITED')) {
+    throw rateLimitError((rateLimits.graphql || {}).reset);
+  }
+  if (!payload.data) {
+    throw new Error(`GitHub GraphQL error: ${errors.map(error => error.message).join('; ')}`);
+  }
+  return { data: payload.data, errors };
+}
+
+/**
+ * Parse a JSON response body
+ */
+function parseJSON(body) {
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    throw new Error(`Failed to parse JSON: ${e.message}`);
+  }
+}
+
+/**
+ * The `message` of a GitHub error response, or the raw body
+ */
+function errorMessage(body) {
+  try {
+    return JSON.parse(body).message || body;
+  } catch (e) {
+    return body;
+  }
+}
+
+/**
+ * Encode a git ref name for a URL path, keeping the slashes of `release/v1`
+ */
+function encodeRef(name) {
+  return name.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Write a warning to the warning output, once per run
+ */
+function warnOnce(message) {
+  if (!warned.has(message)) {
+    warned.add(message);
+    warningOutput.write(`  ⚠️  ${message}\n`);
+  }
+}
+
+/**
+ * Warn that cached responses stand in for rate-limited ones
+ */
+function warnStale(error) {
+  warnOnce(`${error.message.split('. ')[0]}; using cached responses where available`);
+}
+
+module.exports = {
+  fetchGitHubAPI,
+  fetchGitHubGraphQL,
+  setETagCache,
+  setWarningOutput,
+  getRateLimit,
+  encodeRef,
+  GITHUB_API_URL,
+  GITHUB_TOKEN
+};
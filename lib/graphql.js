@@ -0,0 +1,157 @@
+/**
+ * GitHub GraphQL backend for release lookups
+ *
+ * Fetches many repositories per request with aliased `repository` fields:
+ * their releases, tags, archive status and canonical name. Releases
+ * are converted to the REST API's shape so both backends feed the same code.
+ */
+
+const { fetchGitHubGraphQL } = require('./github');
+
+// Repositories per query, and releases per page
+const REPOSITORIES_PER_QUERY = 25;
+const RELEASES_PER_PAGE = 20;
+
+// Tag names read per repository, as many as the REST tags lookup reads; the
+// highest versions among them are kept (see lib/releases.js)
+const TAG_NAMES = 100;
+
+const RELEASE_FIELDS = `
+      pageInfo { hasNextPage endCursor }
+      nodes { tagName createdAt publishedAt url isPrerelease isDraft description }`;
+
+const TAG_FIELDS = `
+    refs(refPrefix: "refs/tags/", first: ${TAG_NAMES}, orderBy: { field: ALPHABETICAL, direction: DESC }) {
+      nodes {
+        name
+        target {
+          ... on Commit { committedDate }
+          ... on Tag { tagger { date } }
+        }
+      }
+    }`;
+
+/**
+ * Build an aliased query for a page of releases of several repositories
+ *
+ * The first page also asks for the repository details and, when the source's
+ * release strategy reads them, its tags. Like the REST lookups, releases are
+ * left out for the `tags` and `registry` strategies and tags for `releases`
+ * and `registry`.
+ */
+function buildQuery(pages) {
+  const definitions = [];
+  const fields = [];
+  const variables = {};
+
+  pages.forEach(({ source, cursor }, i) => {
+    const strategy = (source.options || {}).strategy || 'auto';
+    const releases = strategy === 'releases' || strategy === 'auto';
+    const tags = !cursor && (strategy === 'tags' || strategy === 'auto');
+
+    definitions.push(`$owner${i}: String!`, `$name${i}: String!`);
+    Object.assign(variables, { [`owner${i}`]: source.owner, [`name${i}`]: source.repo });
+    if (releases) {
+      definitions.push(`$after${i}: String`);
+      variables[`after${i}`] = cursor;
+    }
+    fields.push(`  r${i}: repository(owner: $owner${i}, name: $name${i}) {
+    ${cursor ? '' : 'nameWithOwner isArchived'}${releases ? `
+    releases(first: ${RELEASES_PER_PAGE}, after: $after${i}, orderBy: { field: CREATED_AT, direction: DESC }) {${RELEASE_FIELDS}
+    }` : ''}${tags ? TAG_FIELDS : ''}
+  }`);
+  });
+
+  return { query: `query(${definitions.join(', ')}) {\n${fields.join('\n')}\n}`, variables };
+}
+
+/**
+ * Convert a GraphQL release node into the REST API's release shape
+ */
+function toRESTRelease(node) {
+  return {
+    tag_name: node.tagName,
+    created_at: node.createdAt,
+    published_at: node.publishedAt,
+    html_url: node.url,
+    prerelease: node.isPrerelease,
+    draft: node.isDraft,
+    body: node.description
+  };
+}
+
+/**
+ * Convert a GraphQL tag ref into `{ name, date }` (date is null when unknown)
+ */
+function toTag(node) {
+  const target = node.target || {};
+  const date = target.committedDate || (target.tagger && target.tagger.date);
+  return { name: node.name, date: date ? new Date(date) : null };
+}
+
+/**
+ * Error for one alias, or null when the repository simply doesn't exist
+ */
+function aliasError(errors, alias) {
+  const error = errors.find(candidate => (candidate.path || [])[0] === alias);
+  if (!error || error.type === 'NOT_FOUND') {
+    return null;
+  }
+  return new Error(`GitHub GraphQL error: ${error.message}`);
+}
+
+/**
+ * Fetch several repositories, reading releases back to `since`
+ *
+ * Resolves to one entry per source, in order: null when the repository
+ * doesn't exist, an Error when it couldn't be fetched, or
+ * `{ nameWithOwner, archived, releases, tags }` with REST-shaped releases,
+ * newest created first. Throws when a whole query fails.
+ */
+async function fetchRepositoriesGraphQL(sources, since) {
+  const results = sources.map(() => undefined);
+  let pending = sources.map((source, index) => ({ source, index, cursor: null }));
+
+  while (pending.length > 0) {
+    const next = [];
+
+    for (let i = 0; i < pending.length; i += REPOSITORIES_PER_QUERY) {
+      const pages = pending.slice(i, i + REPOSITORIES_PER_QUERY);
+      const { query, variables } = buildQuery(pages);
+      const { data, errors } = await fetchGitHubGraphQL(query, variables);
+
+      pages.forEach((page, j) => {
+        const repository = data[`r${j}`];
+        if (!repository) {
+          results[page.index] = aliasError(errors, `r${j}`);
+          return;
+        }
+
+        const releases = repository.releases ? repository.releases.nodes.map(toRESTRelease) : [];
+        if (!page.cursor) {
+          results[page.index] = {
+            nameWithOwner: repository.nameWithOwner,
+            archived: repository.isArchived,
+            releases: [],
+            tags: repository.refs ? repository.refs.nodes.map(toTag) : []
+          };
+        }
+        results[page.index].releases.push(...releases);
+
+        // Like the REST pager, stop once a page reaches back past `since`,
+        // however many pages that takes
+        const oldest = releases[releases.length - 1];
+        const { hasNextPage, endCursor } = repository.releases ? repository.releases.pageInfo : {};
+        if (hasNextPage && oldest && new Date(oldest.published_at || oldest.created_at) >= since) {
+          next.push({ ...page, cursor: endCursor });
+        }
+      });
+    }
+
+    pending = next;
+  }
+
+  return results;
+}
+
+module.exports = { fetchRepositoriesGraphQL, buildQuery };
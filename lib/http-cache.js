@@ -0,0 +1,129 @@
+/**
+ * Record/replay HTTP cache
+ *
+ * Sits in front of every request made through lib/http.js (GitHub REST and
+ * GraphQL, feeds) in one of three modes:
+ *
+ * - record: make every request and save its response with the headers
+ * - replay: answer every request from the cache, failing on anything missing
+ * - ttl: reuse a saved response while it is younger than the TTL
+ *
+ * A recording is a directory of plain JSON files plus `recording.json` with the
+ * time of the run, so it can be shared as a fixture: replaying it with the same
+ * arguments reproduces the recorded output. Request headers (and with them the
+ * GitHub token) are never saved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createDiskCache } = require('./cache');
+
+const MODES = ['record', 'replay', 'ttl'];
+const RECORDING_FILE = 'recording.json';
+
+// Statuses worth reusing in ttl mode; errors and rate limits are always refetched
+const REUSABLE_STATUSES = [200, 301, 302, 307, 308, 404];
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration such as `90s`, `30m`, `6h` or `1d` (plain numbers are seconds)
+ */
+function parseDuration(value) {
+  const match = String(value).match(/^(\d+)([smhd]?)$/);
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid duration: ${value} (expected e.g. 90s, 30m, 6h or 1d)`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+/**
+ * Cache key for a request: method, URL and body
+ */
+function requestKey(url, options) {
+  const { method = 'GET', body } = options;
+  return body ? `${method} ${url}\n${body}` : `${method} ${url}`;
+}
+
+/**
+ * Write `recording.json`: when the run was recorded, the release backend it
+ * used and its command line
+ */
+function writeRecording(dir, { recordedAt, backend, args }) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, RECORDING_FILE),
+    JSON.stringify({ recordedAt: recordedAt.toISOString(), backend, args }, null, 2) + '\n');
+}
+
+/**
+ * Read `recording.json`, resolving to { recordedAt, backend, args }
+ */
+function readRecording(dir) {
+  const file = path.join(dir, RECORDING_FILE);
+  let recording;
+  try {
+    recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`No recording to replay in ${dir}: ${e.message}`);
+  }
+  return {
+    recordedAt: new Date(recording.recordedAt),
+    backend: recording.backend || 'rest',
+    args: recording.args || []
+  };
+}
+
+/**
+ * Create an HTTP cache storing its entries in `dir`
+ * `ttl` (milliseconds) is required in ttl mode.
+ */
+function createHTTPCache({ mode, dir, ttl }) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid HTTP cache mode: ${mode} (expected one of: ${MODES.join(', ')})`);
+  }
+  const store = createDiskCache(dir);
+
+  return {
+    mode,
+    dir,
+
+    /**
+     * Answer a request from the cache or with `send(url, options)`
+     */
+    async request(url, options, send) {
+      const key = requestKey(url, options);
+      const method = options.method || 'GET';
+
+      if (mode !== 'record') {
+        const entry = store.get(key);
+        if (mode === 'replay') {
+          if (!entry) {
+            throw new Error(`Not in the recording (--replay): ${method} ${url}`);
+          }
+          return entry.response;
+        }
+        if (entry && Date.now() - new Date(entry.storedAt).getTime() < ttl) {
+          return entry.response;
+        }
+      }
+
+      const response = await send(url, options);
+      if (mode === 'record' || REUSABLE_STATUSES.includes(response.statusCode)) {
+        store.set(key, {
+          request: { method, url, body: options.body || null },
+          response,
+          storedAt: new Date().toISOString()
+        });
+      }
+      return response;
+    }
+  };
+}
+
+module.exports = {
+  MODES,
+  parseDuration,
+  createHTTPCache,
+  writeRecording,
+  readRecording
+};
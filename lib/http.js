@@ -0,0 +1,76 @@
+/**
+ * Minimal HTTP helper shared by the GitHub client and the feed fetcher.
+ *
+ * Resolves with the raw response (status code, headers and body) and leaves
+ * redirects, status handling and parsing to the caller.
+ */
+
+const http = require('http');
+const https = require('https');
+
+// Record/replay cache in front of every request (see setHTTPCache)
+let httpCache = null;
+
+/**
+ * Perform a request and buffer the response body
+ * `options` may set the `method` (default GET), `headers` and a request `body`.
+ */
+function httpRequest(url, options = {}) {
+  return httpCache ? httpCache.request(url, options, send) : send(url, options);
+}
+
+/**
+ * Send a request over the network
+ */
+function send(url, options) {
+  const { method = 'GET', headers = {}, body } = options;
+
+  return new Promise((resolve, reject) => {
+    // Plain http is only used to talk to local servers, e.g. in tests
+    const transport = new URL(url).protocol === 'http:' ? http : https;
+    const req = transport.request(url, { method, headers }, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: data
+        });
+      });
+    });
+
+    req.on('error', (err) => {
+      reject(err);
+    });
+    req.end(body);
+  });
+}
+
+/**
+ * Perform a GET request and buffer the response body
+ */
+function httpGet(url, headers = {}) {
+  return httpRequest(url, { headers });
+}
+
+/**
+ * Route every request through an HTTP cache (see lib/http-cache.js), or send
+ * them straight to the network again with null
+ */
+function setHTTPCache(cache) {
+  httpCache = cache;
+}
+
+/**
+ * Check if a status code is an HTTP redirect
+ */
+function isRedirect(statusCode) {
+  return statusCode === 301 || statusCode === 302 || statusCode === 307 || statusCode === 308;
+}
+
+module.exports = { httpRequest, httpGet, setHTTPCache, isRedirect };
@@ -0,0 +1,186 @@
+/**
+ * Machine-readable JSON and NDJSON output
+ *
+ * The schema is documented in docs/output-schema.md. Bump SCHEMA_VERSION on
+ * any change that renames or removes a field or changes its meaning; adding
+ * fields is backwards compatible.
+ */
+
+const { isWithinWindow, now } = require('./dates');
+
+const SCHEMA_VERSION = 1;
+
+/**
+ * Serialize a checked source
+ */
+function serializeSource(source) {
+  if (source.owner && source.repo) {
+    return {
+      name: source.name,
+      type: 'github',
+      owner: source.owner,
+      repo: source.repo,
+      url: `https://github.com/${source.owner}/${source.repo}`
+    };
+  }
+  return { name: source.name, type: 'feed', url: source.url };
+}
+
+/**
+ * Serialize a release, post, proposal change or call, leaving out display-only fields
+ */
+function serializeItem(item, kind) {
+  if (kind === 'post') {
+    return {
+      kind,
+      title: item.title,
+      link: item.link,
+      feed: item.feed,
+      publishedAt: item.publishedAt.toISOString(),
+      description: item.description,
+      categories: item.categories,
+      replies: item.replies,
+      views: item.views,
+      likes: item.likes
+    };
+  } else if (kind === 'proposal') {
+    return {
+      kind,
+      type: item.type,
+      number: item.number,
+      title: item.title,
+      category: item.category,
+      previousStatus: item.previousStatus,
+      status: item.status,
+      repository: item.repository,
+      url: item.url,
+      pullRequest: item.pullRequest,
+      publishedAt: item.publishedAt.toISOString()
+    };
+  } else if (kind === 'call') {
+    return {
+      kind,
+      call: item.call,
+      number: item.number,
+      title: item.title,
+      url: item.url,
+      publishedAt: item.publishedAt.toISOString(),
+      time: item.time,
+      upcoming: item.upcoming,
+      recordings: item.recordings,
+      notes: item.notes
+    };
+  }
+  return {
+    kind,
+    name: item.name,
+    repository: item.repository,
+    version: item.version,
+    url: item.url,
+    publishedAt: item.publishedAt.toISOString(),
+    prerelease: Boolean(item.prerelease),
+    draft: Boolean(item.draft),
+    fromTag: Boolean(item.fromTag),
+    fromRegistry: item.fromRegistry || null,
+    registries: (item.registries || []).map(entry => ({
+      registry: entry.registry,
+      package: entry.package,
+      version: entry.version,
+      publishedAt: entry.publishedAt ? entry.publishedAt.toISOString() : null,
+      url: entry.url,
+      latest: entry.latest
+    })),
+    package: item.package || null,
+    packageVersion: item.packageVersion || null,
+    previousVersion: item.previousVersion || null,
+    change: item.change || null,
+    changes: item.changes || null,
+    notes: item.notes
+  };
+}
+
+/**
+ * Build the report object shared by the JSON and NDJSON formats
+ */
+function buildJSONReport(results, window) {
+  const sources = [];
+  const items = [];
+
+  for (const result of results) {
+    const kinds = Object.fromEntries(result.sections.map(section => [section.id, section.kind]));
+    const reported = new Set(result.sections.flatMap(section => section.items));
+
+    for (const check of result.checks) {
+      const source = {
+        checker: result.name,
+        section: check.section,
+        ...serializeSource(check.source),
+        status: check.status,
+        error: check.error,
+        warnings: check.warnings || [],
+        itemsFound: check.items.length
+      };
+      sources.push(source);
+
+      for (const item of check.items) {
+        items.push({
+          checker: result.name,
+          section: check.section,
+          source: source.name,
+          inWindow: isWithinWindow(item, window),
+          reported: reported.has(item),
+          ...serializeItem(item, kinds[check.section])
+        });
+      }
+    }
+  }
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: now().toISOString(),
+    window: {
+      start: window.start.toISOString(),
+      end: window.end.toISOString(),
+      label: window.label
+    },
+    checkers: results.map(result => result.name),
+    summary: {
+      sourcesChecked: sources.length,
+      sourcesFailed: sources.filter(source => source.status === 'error').length,
+      itemsFound: items.length,
+      itemsInWindow: items.filter(item => item.inWindow).length,
+      itemsReported: items.filter(item => item.reported).length
+    },
+    sources,
+    items
+  };
+}
+
+/**
+ * Render the results as a single JSON document
+ */
+function renderJSON(results, options = {}) {
+  return JSON.stringify(buildJSONReport(results, options.window), null, 2) + '\n';
+}
+
+/**
+ * Render the results as NDJSON: a `run` record, then each `source` record
+ * followed by its `item` records, told apart by the `record` field
+ */
+function renderNDJSON(results, options = {}) {
+  const { sources, items, ...run } = buildJSONReport(results, options.window);
+  const records = [{ record: 'run', ...run }];
+
+  for (const source of sources) {
+    records.push({ record: 'source', ...source });
+    for (const item of items) {
+      if (item.checker === source.checker && item.section === source.section && item.source === source.name) {
+        records.push({ record: 'item', ...item });
+      }
+    }
+  }
+
+  return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+}
+
+module.exports = { SCHEMA_VERSION, buildJSONReport, renderJSON, renderNDJSON };
@@ -0,0 +1,94 @@
+/**
+ * Markdown newsletter draft rendering
+ *
+ * Fills a template (templates/newsletter.md by default) with the checker
+ * results, one template section per report section id. Partials such as
+ * templates/release.md keep the per-item wording in one place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { renderTemplate } = require('./template');
+const { sortItems } = require('./report');
+const { formatISODate } = require('./dates');
+const { registryTitle } = require('./package-registries');
+
+const DEFAULT_TEMPLATE = path.join(__dirname, '..', 'templates', 'newsletter.md');
+
+/**
+ * Collapse the packages of each monorepo into one item, so templates can list
+ * them under their repository: `{ name, repository, monorepo: true, packages }`
+ */
+function groupPackages(releases) {
+  const items = [];
+  for (const release of releases) {
+    const last = items[items.length - 1];
+    if (!release.package) {
+      items.push(release);
+    } else if (last && last.monorepo && last.repository === release.repository) {
+      last.packages.push(release);
+    } else {
+      items.push({ name: release.name, repository: release.repository, monorepo: true, packages: [release] });
+    }
+  }
+  return items;
+}
+
+/**
+ * Build the data a newsletter template is rendered with
+ *
+ * Sections are keyed by id (`execution`, `consensus`, `dev-tools`, `blogs`,
+ * `eips`, `calls`) and are only present when their checker ran.
+ */
+function buildTemplateData(results, window) {
+  const data = {
+    window: {
+      label: window.label,
+      phrase: window.phrase,
+      since: formatISODate(window.start),
+      until: formatISODate(new Date(window.end.getTime() - 1))
+    }
+  };
+
+  for (const result of results) {
+    for (const section of result.sections) {
+      const items = sortItems(section);
+      data[section.id] = {
+        items: section.kind === 'release'
+          ? groupPackages(items.map(release => ({
+            ...release,
+            major: release.change === 'major',
+            registryTitle: release.fromRegistry ? registryTitle(release.fromRegistry) : null
+          })))
+          : items
+      };
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Load a partial (`{{> name}}` reads `name.md`) from the template's directory,
+ * falling back to the bundled templates
+ */
+function loadPartial(template, name) {
+  for (const dir of [path.dirname(template), path.dirname(DEFAULT_TEMPLATE)]) {
+    const file = path.join(dir, `${name}.md`);
+    if (fs.existsSync(file)) {
+      return fs.readFileSync(file, 'utf8');
+    }
+  }
+  throw new Error(`Template error: partial "${name}" not found next to ${template}`);
+}
+
+/**
+ * Render the checker results as a Markdown newsletter draft
+ */
+function renderMarkdown(results, options = {}) {
+  const { window, template = DEFAULT_TEMPLATE } = options;
+  const source = fs.readFileSync(template, 'utf8');
+  return renderTemplate(source, buildTemplateData(results, window), name => loadPartial(template, name));
+}
+
+module.exports = { renderMarkdown, buildTemplateData, DEFAULT_TEMPLATE };
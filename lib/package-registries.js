@@ -0,0 +1,152 @@
+/**
+ * Versions published to package registries: npm, crates.io, PyPI and Docker Hub
+ *
+ * For many tools the registry publish, not the GitHub release, is what users
+ * install. Sources list their packages in the `registries` option, e.g.
+ * { "npm": "viem", "docker": "ethereum/client-go" }, and each registry's
+ * metadata API gives the versions with their publication dates.
+ *
+ * The API locations can be overridden with NPM_REGISTRY_URL, CRATES_API_URL,
+ * PYPI_URL and DOCKER_HUB_API_URL, e.g. to point tests at a local server.
+ */
+
+const { httpGet } = require('./http');
+const { parseVersion } = require('./version');
+
+const apiURL = (name, fallback) => (process.env[name] || fallback).replace(/\/+$/, '');
+
+const NPM_REGISTRY_URL = apiURL('NPM_REGISTRY_URL', 'https://registry.npmjs.org');
+const CRATES_API_URL = apiURL('CRATES_API_URL', 'https://crates.io');
+const PYPI_URL = apiURL('PYPI_URL', 'https://pypi.org');
+const DOCKER_HUB_API_URL = apiURL('DOCKER_HUB_API_URL', 'https://hub.docker.com');
+
+// Docker image tags that are versions, as opposed to `latest`, `stable` or `alltools-v1.2.3`
+const DOCKER_VERSION_TAG = /^v?\d+\.\d+(\.\d+)*(-[0-9A-Za-z.]+)*$/;
+
+// Suffixes of per-platform builds of a version, such as `v8.0.1-amd64` or
+// `25.10.0-arm64-alpine`, which aren't versions of their own
+const DOCKER_PLATFORM_SUFFIX = new RegExp('-(?:amd64|arm64(?:v8)?|arm32v[67]|armv[67]|armhf|arm|386|i386|x86_64|' +
+  'ppc64le|s390x|riscv64|linux|windows|darwin|alpine|nanoserver|windowsservercore)(?=-|$)', 'i');
+
+/**
+ * Fetch a JSON document from a registry, or null when it doesn't exist
+ */
+async function fetchJSON(url, title) {
+  const res = await httpGet(url, { 'User-Agent': 'Ethereal-News-Tools', Accept: 'application/json' });
+  if (res.statusCode === 404) {
+    return null;
+  } else if (res.statusCode !== 200) {
+    throw new Error(`${title} error: ${res.statusCode}`);
+  }
+  try {
+    return JSON.parse(res.body);
+  } catch (e) {
+    throw new Error(`${title} error: invalid JSON`);
+  }
+}
+
+/**
+ * A published version; pre-releases are recognized by their version suffix
+ */
+function toVersion(version, publishedAt, url) {
+  const parsed = parseVersion(version);
+  return { version, publishedAt: new Date(publishedAt), prerelease: Boolean(parsed && parsed.prerelease), url };
+}
+
+/**
+ * npm: every version with its publish time, from the package document
+ */
+async function fetchNpmVersions(name) {
+  const doc = await fetchJSON(`${NPM_REGISTRY_URL}/${encodeURIComponent(name).replace(/^%40/, '@')}`, 'npm');
+  if (!doc) {
+    return null;
+  }
+  return Object.keys(doc.versions || {})
+    .filter(version => doc.time && doc.time[version])
+    .map(version => toVersion(version, doc.time[version], `https://www.npmjs.com/package/${name}/v/${version}`));
+}
+
+/**
+ * crates.io: the newest 100 versions, leaving out yanked ones
+ */
+async function fetchCratesVersions(name) {
+  const doc = await fetchJSON(`${CRATES_API_URL}/api/v1/crates/${encodeURIComponent(name)}/versions?per_page=100`, 'crates.io');
+  if (!doc) {
+    return null;
+  }
+  return doc.versions
+    .filter(version => !version.yanked)
+    .map(version => toVersion(version.num, version.created_at, `https://crates.io/crates/${name}/${version.num}`));
+}
+
+/**
+ * PyPI: every version with files, dated by its first upload
+ */
+async function fetchPyPIVersions(name) {
+  const doc = await fetchJSON(`${PYPI_URL}/pypi/${encodeURIComponent(name)}/json`, 'PyPI');
+  if (!doc) {
+    return null;
+  }
+  return Object.entries(doc.releases || {})
+    .map(([version, files]) => [version, files.filter(file => !file.yanked).map(file => file.upload_time_iso_8601).sort()])
+    .filter(([, uploads]) => uploads.length > 0)
+    .map(([version, uploads]) => toVersion(version, uploads[0], `https://pypi.org/project/${name}/${version}/`));
+}
+
+/**
+ * Docker Hub: the 100 most recently pushed version tags of an image, without
+ * per-platform tags
+ *
+ * Docker Hub doesn't record when a tag was first pushed, so versions are
+ * dated by their last push. A tag pushed again, say to rebuild the image on
+ * a patched base, shows up as published on that later date.
+ */
+async function fetchDockerVersions(name) {
+  const image = name.includes('/') ? name : `library/${name}`;
+  const doc = await fetchJSON(`${DOCKER_HUB_API_URL}/v2/repositories/${image}/tags?page_size=100&ordering=last_updated`, 'Docker Hub');
+  if (!doc) {
+    return null;
+  }
+  return doc.results
+    .filter(tag => DOCKER_VERSION_TAG.test(tag.name) && !DOCKER_PLATFORM_SUFFIX.test(tag.name))
+    .map(tag => toVersion(tag.name, tag.tag_last_pushed || tag.last_updated, `https://hub.docker.com/r/${image}/tags?name=${tag.name}`));
+}
+
+const REGISTRIES = {
+  npm: { title: 'npm', fetchVersions: fetchNpmVersions, url: name => `https://www.npmjs.com/package/${name}` },
+  crates: { title: 'crates.io', fetchVersions: fetchCratesVersions, url: name => `https://crates.io/crates/${name}` },
+  pypi: { title: 'PyPI', fetchVersions: fetchPyPIVersions, url: name => `https://pypi.org/project/${name}/` },
+  docker: {
+    title: 'Docker Hub',
+    fetchVersions: fetchDockerVersions,
+    url: name => `https://hub.docker.com/r/${name.includes('/') ? name : `library/${name}`}`
+  }
+};
+
+/**
+ * Display name of a registry
+ */
+function registryTitle(registry) {
+  return REGISTRIES[registry].title;
+}
+
+/**
+ * Fetch the versions of a package, newest first
+ * Resolves to `{ registry, package, url, versions }`, or null when the
+ * package doesn't exist.
+ */
+async function fetchPackageVersions(registry, name) {
+  const versions = await REGISTRIES[registry].fetchVersions(name);
+  if (!versions) {
+    return null;
+  }
+  return {
+    registry,
+    package: name,
+    url: REGISTRIES[registry].url(name),
+    versions: versions.filter(version => !Number.isNaN(version.publishedAt.getTime()))
+      .sort((a, b) => b.publishedAt - a.publishedAt)
+  };
+}
+
+module.exports = { REGISTRIES, registryTitle, fetchPackageVersions };
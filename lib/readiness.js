@@ -0,0 +1,238 @@
+/**
+ * Hard-fork readiness matrix
+ *
+ * For a named network upgrade (configured in config/upgrades.json), finds the
+ * first release of each execution and consensus client that is ready for it.
+ * A client is:
+ *
+ * - ready: a stable release meets the configured minimum version or, without
+ *   one, its release notes mention the fork together with mainnet (or the
+ *   mainnet activation epoch)
+ * - pending: the minimum version hasn't shipped yet, or the fork is only
+ *   mentioned in releases for testnets
+ * - unknown: there is nothing to go on, or the releases couldn't be fetched
+ *
+ * With a minimum version, the release notes are still read as a cross-check:
+ * the basis says whether they agree with the version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fetchReleaseBatches } = require('./releases');
+const { compareVersions } = require('./version');
+const { DAY_MS, formatLongDate, now } = require('./dates');
+const { RULE } = require('./report');
+
+const DEFAULT_UPGRADES_FILE = path.join(__dirname, '..', 'config', 'upgrades.json');
+
+/**
+ * Load the upgrade definitions
+ */
+function loadUpgrades(file = DEFAULT_UPGRADES_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to read upgrades file ${file}: ${e.message}`);
+  }
+}
+
+/**
+ * Check if release notes mention any of the fork's keywords
+ */
+function mentionsFork(release, keywords) {
+  const text = `${release.version}\n${release.body}`;
+  return keywords.some(keyword => {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escaped}\\b`, 'i').test(text);
+  });
+}
+
+/**
+ * Check if release notes talk about the mainnet activation
+ */
+function mentionsMainnet(release, upgrade) {
+  if (/\bmainnet\b/i.test(release.body)) {
+    return true;
+  }
+  return upgrade.mainnetEpoch !== undefined && release.body.includes(String(upgrade.mainnetEpoch));
+}
+
+/**
+ * Decide a client's readiness from its releases (any order)
+ */
+function assessClient(client, releases, upgrade) {
+  const { minVersion } = (upgrade.clients || {})[client.name] || {};
+  const keywords = upgrade.keywords || [];
+  const oldestFirst = releases
+    .filter(release => !release.draft)
+    .sort((a, b) => a.publishedAt - b.publishedAt);
+  const stable = oldestFirst.filter(release => !release.prerelease);
+  const mentions = oldestFirst.filter(release => mentionsFork(release, keywords));
+  const mainnet = mentions.find(release => !release.prerelease && mentionsMainnet(release, upgrade));
+
+  if (minVersion) {
+    // Tags that can't be parsed, such as `nightly`, don't meet any version
+    const release = stable.find(candidate => {
+      const order = compareVersions(candidate.version, minVersion);
+      return order !== null && order >= 0;
+    });
+    if (release) {
+      const notes = mainnet ? 'notes mention mainnet' : 'notes don\'t mention mainnet';
+      return { status: 'ready', release, basis: `>= ${minVersion}, ${notes}` };
+    }
+    let notes = '';
+    if (mainnet) {
+      notes = `, but ${mainnet.version} notes mention mainnet`;
+    } else if (mentions.length > 0) {
+      notes = ', notes mention testnets only';
+    }
+    return { status: 'pending', release: null, basis: `needs >= ${minVersion}${notes}` };
+  }
+
+  if (mainnet) {
+    return { status: 'ready', release: mainnet, basis: 'release notes mention mainnet' };
+  }
+  if (mentions.length > 0) {
+    return { status: 'pending', release: mentions[0], basis: 'release notes mention testnets only' };
+  }
+  return { status: 'unknown', release: null, basis: 'no minimum version configured or mentions found' };
+}
+
+/**
+ * Check readiness of every client for an upgrade
+ */
+async function checkReadiness(upgrade, clients, options) {
+  const { out = process.stdout } = options;
+  const since = upgrade.releasesSince
+    ? new Date(`${upgrade.releasesSince}T00:00:00Z`)
+    : new Date(now().getTime() - 365 * DAY_MS);
+
+  const layers = new Map([
+    ...clients.execution.map(client => [client, 'Execution']),
+    ...clients.consensus.map(client => [client, 'Consensus'])
+  ]);
+  const rows = [];
+
+  for await (const batch of fetchReleaseBatches([...layers.keys()], since, options)) {
+    for (const { source: client, result, error } of batch) {
+      const layer = layers.get(client);
+      const row = error
+        ? { client, layer, status: 'unknown', release: null, basis: '', error: error.message }
+        : { client, layer, ...assessClient(client, result.releases, upgrade), error: null };
+
+      out.write(`  Checking ${row.client.name}... `);
+      if (row.error) {
+        out.write(`✗ Error: ${row.error}\n`);
+      } else {
+        out.write(`${row.status}${row.release ? ` (${row.release.version})` : ''}\n`);
+      }
+      for (const warning of (result && result.warnings) || []) {
+        out.write(`    ⚠️  ${warning}\n`);
+      }
+      rows.push(row);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Table cells for a readiness row
+ */
+function rowCells(row) {
+  return [
+    row.client.name,
+    row.layer,
+    row.status,
+    row.release ? row.release.version : '-',
+    row.release ? formatLongDate(row.release.publishedAt) : '-',
+    row.error ? `error: ${row.error}` : row.basis
+  ];
+}
+
+const HEADERS = ['Client', 'Layer', 'Status', 'First compatible version', 'Released', 'Basis'];
+
+/**
+ * Count rows per status
+ */
+function countStatuses(rows) {
+  return ['ready', 'pending', 'unknown'].map(status => ({
+    status,
+    count: rows.filter(row => row.status === status).length
+  }));
+}
+
+/**
+ * Render the readiness matrix as a text table
+ */
+function renderReadinessText(upgrade, rows) {
+  const table = [HEADERS, ...rows.map(rowCells)];
+  const widths = HEADERS.map((_, col) => Math.max(...table.map(cells => cells[col].length)));
+  const format = cells => '  ' + cells.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd();
+
+  const lines = [
+    '\n\n' + RULE,
+    `\n🍴 ${upgrade.name.toUpperCase()} READINESS\n`,
+    RULE,
+    '',
+    format(HEADERS),
+    format(widths.map(width => '-'.repeat(width))),
+    ...rows.map(row => format(rowCells(row))),
+    '',
+    '  ' + countStatuses(rows).map(({ status, count }) => `${count} ${status}`).join(', ')
+  ];
+  return lines.join('\n') + '\n\n';
+}
+
+/**
+ * Render the readiness matrix as a Markdown table
+ */
+function renderReadinessMarkdown(upgrade, rows) {
+  const line = cells => `| ${cells.join(' | ')} |`;
+  const cells = row => {
+    const [name, layer, status, version, released, basis] = rowCells(row);
+    const linked = row.release ? `[${version}](${row.release.url})` : version;
+    return [name, layer, status, linked, released, basis];
+  };
+
+  return [
+    `## ${upgrade.name} readiness`,
+    '',
+    line(HEADERS),
+    line(HEADERS.map(() => '---')),
+    ...rows.map(row => line(cells(row))),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render the readiness matrix as JSON
+ */
+function renderReadinessJSON(upgradeId, upgrade, rows) {
+  return JSON.stringify({
+    schemaVersion: 1,
+    generatedAt: now().toISOString(),
+    upgrade: { id: upgradeId, name: upgrade.name, mainnetEpoch: upgrade.mainnetEpoch ?? null },
+    clients: rows.map(row => ({
+      name: row.client.name,
+      layer: row.layer.toLowerCase(),
+      repository: `${row.client.owner}/${row.client.repo}`,
+      status: row.status,
+      version: row.release ? row.release.version : null,
+      url: row.release ? row.release.url : null,
+      publishedAt: row.release ? row.release.publishedAt.toISOString() : null,
+      basis: row.basis,
+      error: row.error
+    }))
+  }, null, 2) + '\n';
+}
+
+module.exports = {
+  DEFAULT_UPGRADES_FILE,
+  loadUpgrades,
+  assessClient,
+  checkReadiness,
+  renderReadinessText,
+  renderReadinessMarkdown,
+  renderReadinessJSON
+};
@@ -0,0 +1,320 @@
+/**
+ * Source registry
+ *
+ * Every checked source lives in config/sources.json (or the file passed with
+ * --sources / $ETHEREAL_SOURCES) instead of arrays in the code:
+ *
+ *   {
+ *     "version": 1,
+ *     "sources": [
+ *       { "id": "geth", "name": "Geth", "type": "github", "category": "execution",
+ *         "owner": "ethereum", "repo": "go-ethereum", "tags": [], "options": {} },
+ *       { "id": "ef-blog", "name": "Ethereum Foundation Blog", "type": "feed",
+ *         "category": "blog", "url": "https://blog.ethereum.org/en/feed.xml" }
+ *     ]
+ *   }
+ *
+ * The registry is validated on load: malformed entries and duplicates (ids,
+ * repositories, feed URLs, names within a category) are rejected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SELECTOR_FIELDS } = require('./scrape');
+const { REGISTRIES } = require('./package-registries');
+const { PERIODS, ENGAGEMENT_FIELDS } = require('./discourse');
+
+const REGISTRY_VERSION = 1;
+const DEFAULT_SOURCES_FILE = path.join(__dirname, '..', 'config', 'sources.json');
+
+// Source type each category is checked with
+const CATEGORIES = {
+  execution: 'github',
+  consensus: 'github',
+  'dev-tool': 'github',
+  blog: 'feed'
+};
+
+const FIELDS = {
+  github: ['id', 'name', 'type', 'category', 'owner', 'repo', 'tags', 'options', 'notes'],
+  feed: ['id', 'name', 'type', 'category', 'url', 'tags', 'options', 'notes']
+};
+
+// Per-source options each type understands, with their validators
+const OPTIONS = {
+  github: {
+    // false leaves this repository's pre-releases out of reports
+    prereleases: value => typeof value === 'boolean',
+    // true for calendar versions with a two-digit year, such as 25.10.0 for October 2025
+    calendar: value => typeof value === 'boolean',
+    // Where versions come from: "releases", "tags", "registry" (the first of the
+    // `registries`) or "auto" (registry versions, then tags, when there are no releases)
+    strategy: value => ['releases', 'tags', 'registry', 'auto'].includes(value),
+    // true, or { "include": [...], "exclude": [...] } package patterns, to report a monorepo per package
+    monorepo: value => value === true || (typeof value === 'object' && value !== null && !Array.isArray(value) &&
+      Object.entries(value).every(([key, patterns]) => ['include', 'exclude'].includes(key) &&
+        Array.isArray(patterns) && patterns.every(pattern => typeof pattern === 'string' && pattern !== ''))),
+    // Packages published from the repository, e.g. { "npm": "viem", "docker": "ethereum/client-go" }
+    registries: value => typeof value === 'object' && value !== null && !Array.isArray(value) &&
+      Object.keys(value).length > 0 &&
+      Object.entries(value).every(([key, name]) => Object.prototype.hasOwnProperty.call(REGISTRIES, key) &&
+        typeof name === 'string' && name.trim() !== '')
+  },
+  feed: {
+    // "html" scrapes the post list from an index page instead of reading a feed,
+    // "discourse" reads a forum's topics
+    adapter: value => ['feed', 'html', 'discourse'].includes(value),
+    // Per-site selectors for the html adapter, e.g. { "item": "article", "date": ".date" }
+    selectors: value => typeof value === 'object' && value !== null && !Array.isArray(value) &&
+      typeof value.item === 'string' &&
+      Object.entries(value).every(([key, selector]) => SELECTOR_FIELDS.includes(key) && typeof selector === 'string'),
+    // Discourse category slugs to read instead of the whole forum
+    categories: value => Array.isArray(value) && value.length > 0 &&
+      value.every(slug => typeof slug === 'string' && slug !== ''),
+    // Period of the Discourse top topics read along with the latest ones, e.g. "weekly"
+    top: value => PERIODS.includes(value),
+    // Minimum Discourse engagement, e.g. { "replies": 5, "likes": 10 }
+    engagement: value => typeof value === 'object' && value !== null && !Array.isArray(value) &&
+      Object.entries(value).every(([key, min]) => ENGAGEMENT_FIELDS.includes(key) && Number.isInteger(min) && min >= 0)
+  }
+};
+
+// Feed options that only apply to one adapter
+const ADAPTER_OPTIONS = {
+  selectors: 'html',
+  categories: 'discourse',
+  top: 'discourse',
+  engagement: 'discourse'
+};
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const GITHUB_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Validate one source, returning a list of problems
+ */
+function validateSource(source, label) {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return [`${label}: must be an object`];
+  }
+
+  const errors = [];
+  const fail = message => errors.push(`${label}: ${message}`);
+
+  if (typeof source.id !== 'string' || !ID_PATTERN.test(source.id)) {
+    fail('"id" must be lowercase letters, digits and dashes');
+  }
+  if (typeof source.name !== 'string' || source.name.trim() === '') {
+    fail('"name" is required');
+  }
+  if (!Object.prototype.hasOwnProperty.call(CATEGORIES, source.category)) {
+    fail(`"category" must be one of: ${Object.keys(CATEGORIES).join(', ')}`);
+  }
+  if (!FIELDS[source.type]) {
+    fail(`"type" must be one of: ${Object.keys(FIELDS).join(', ')}`);
+    return errors;
+  }
+  if (CATEGORIES[source.category] && CATEGORIES[source.category] !== source.type) {
+    fail(`category "${source.category}" needs type "${CATEGORIES[source.category]}"`);
+  }
+
+  for (const key of Object.keys(source)) {
+    if (!FIELDS[source.type].includes(key)) {
+      fail(`unknown field "${key}" for type "${source.type}"`);
+    }
+  }
+
+  if (source.type === 'github') {
+    for (const key of ['owner', 'repo']) {
+      if (typeof source[key] !== 'string' || !GITHUB_NAME_PATTERN.test(source[key])) {
+        fail(`"${key}" must be a GitHub ${key} name`);
+      }
+    }
+  } else {
+    let url = null;
+    try {
+      url = new URL(source.url);
+    } catch (e) {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      fail('"url" must be an http(s) URL');
+    }
+  }
+
+  if (source.tags !== undefined &&
+      (!Array.isArray(source.tags) || !source.tags.every(tag => typeof tag === 'string' && TAG_PATTERN.test(tag)))) {
+    fail('"tags" must be a list of lowercase tags');
+  }
+  if (source.options !== undefined) {
+    if (typeof source.options !== 'object' || source.options === null || Array.isArray(source.options)) {
+      fail('"options" must be an object');
+    } else {
+      for (const [key, value] of Object.entries(source.options)) {
+        if (!OPTIONS[source.type][key]) {
+          fail(`unknown option "${key}" for type "${source.type}"`);
+        } else if (!OPTIONS[source.type][key](value)) {
+          fail(`invalid value for option "${key}"`);
+        }
+      }
+      for (const [key, adapter] of Object.entries(ADAPTER_OPTIONS)) {
+        if (source.options[key] !== undefined && source.options.adapter !== adapter) {
+          fail(`option "${key}" needs "adapter": "${adapter}"`);
+        }
+      }
+      if (source.options.strategy === 'registry' && !source.options.registries) {
+        fail('option "strategy": "registry" needs "registries"');
+      }
+    }
+  }
+  if (source.notes !== undefined && typeof source.notes !== 'string') {
+    fail('"notes" must be a string');
+  }
+
+  return errors;
+}
+
+/**
+ * Compare form of a feed URL: lowercase scheme and host, no default port
+ * and no trailing slash
+ */
+function normalizeURL(url) {
+  const { protocol, host, pathname, search } = new URL(url);
+  return `${protocol}//${host}${pathname.replace(/\/+$/, '')}${search}`;
+}
+
+/**
+ * Validate a registry document, returning a list of problems (empty when valid)
+ */
+function validateRegistry(registry) {
+  if (!registry || typeof registry !== 'object') {
+    return ['registry must be a JSON object'];
+  }
+  if (registry.version !== REGISTRY_VERSION) {
+    return [`unsupported registry version: ${registry.version} (expected ${REGISTRY_VERSION})`];
+  }
+  if (!Array.isArray(registry.sources)) {
+    return ['"sources" must be a list'];
+  }
+
+  const errors = [];
+  const seen = new Map();
+
+  // Report the second occurrence of any value that must be unique
+  const unique = (kind, value, label) => {
+    const key = `${kind}:${value}`;
+    if (seen.has(key)) {
+      errors.push(`${label}: duplicate ${kind} (already used by ${seen.get(key)})`);
+    } else {
+      seen.set(key, label);
+    }
+  };
+
+  registry.sources.forEach((source, index) => {
+    const label = source && typeof source.id === 'string' ? `source #${index + 1} ("${source.id}")` : `source #${index + 1}`;
+    const problems = validateSource(source, label);
+    errors.push(...problems);
+    if (problems.length > 0) {
+      return;
+    }
+
+    unique('id', source.id, label);
+    unique('name', `${source.category}/${source.name.trim().toLowerCase()}`, label);
+    if (source.type === 'github') {
+      unique('repository', `${source.owner}/${source.repo}`.toLowerCase(), label);
+    } else {
+      unique('url', normalizeURL(source.url), label);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Throw if a registry is invalid
+ */
+function assertValidRegistry(registry, file) {
+  const errors = validateRegistry(registry);
+  if (errors.length > 0) {
+    throw new Error(`Invalid source registry ${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+}
+
+/**
+ * Load and validate the source registry
+ */
+function loadRegistry(file = DEFAULT_SOURCES_FILE) {
+  let registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to read source registry ${file}: ${e.message}`);
+  }
+  assertValidRegistry(registry, file);
+  return registry;
+}
+
+/**
+ * Validate and write the source registry
+ */
+function saveRegistry(file, registry) {
+  assertValidRegistry(registry, file);
+  fs.writeFileSync(file, JSON.stringify(registry, null, 2) + '\n');
+}
+
+/**
+ * Sources matching an optional category and any of the given tags
+ */
+function filterSources(registry, { category, tags = [] } = {}) {
+  return registry.sources.filter(source =>
+    (!category || source.category === category) &&
+    (tags.length === 0 || tags.some(tag => (source.tags || []).includes(tag))));
+}
+
+/**
+ * Sources in a category, optionally only those with any of the given tags
+ */
+function sourcesIn(registry, category, tags = []) {
+  return filterSources(registry, { category, tags });
+}
+
+/**
+ * Add a source after the last source of the same category
+ */
+function addSource(registry, source) {
+  const sources = [...registry.sources];
+  const lastIndex = sources.map(existing => existing.category).lastIndexOf(source.category);
+  sources.splice(lastIndex === -1 ? sources.length : lastIndex + 1, 0, source);
+  return { ...registry, sources };
+}
+
+/**
+ * Remove a source by id
+ */
+function removeSource(registry, id) {
+  if (!registry.sources.some(source => source.id === id)) {
+    throw new Error(`No source with id "${id}"`);
+  }
+  return { ...registry, sources: registry.sources.filter(source => source.id !== id) };
+}
+
+/**
+ * Derive a source id from its name
+ */
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+module.exports = {
+  CATEGORIES,
+  DEFAULT_SOURCES_FILE,
+  validateRegistry,
+  loadRegistry,
+  saveRegistry,
+  filterSources,
+  sourcesIn,
+  addSource,
+  removeSource,
+  slugify
+};
@@ -0,0 +1,149 @@
+/**
+ * Release notes extraction
+ *
+ * Pulls the parts of a markdown release body worth mentioning in the
+ * newsletter: a short summary, breaking changes, security fixes (with CVE
+ * and GHSA identifiers) and "mandatory upgrade" / "critical" language.
+ */
+
+const MAX_SUMMARY_LENGTH = 200;
+const MAX_ITEM_LENGTH = 160;
+const MAX_ITEMS = 5;
+
+const BREAKING = /\bbreaking\b/i;
+const NOT_BREAKING = /\b(no|non-)\s*breaking\b/i;
+const SECURITY = /\b(security|vulnerabilit(y|ies)|exploit|advisory|CVE-\d{4}-\d+|GHSA(-[0-9a-z]{4}){3})\b/i;
+const ADVISORY_IDS = /\b(CVE-\d{4}-\d{4,}|GHSA(?:-[0-9a-z]{4}){3})\b/gi;
+const MANDATORY = /\b(mandatory|required|must)\s+(upgrade|update)\b|\b(upgrade|update)\s+(is\s+)?(mandatory|required)\b/i;
+const CRITICAL = /(?<!non-)\bcritical\b|\burgent\b|\bhigh[ -]priority\b/i;
+
+/**
+ * Strip markdown formatting from a line
+ */
+function stripMarkdown(line) {
+  return line
+    .replace(/<!--.*?-->/g, '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]*>/g, '')
+    .replace(/^\s*([-*+]|\d+\.)\s+(\[[ x]\]\s+)?/i, '')
+    .replace(/(\*\*|__|`)/g, '')
+    .replace(/(^|\W)[*_]([^*_\s][^*_]*)[*_](?=\W|$)/g, '$1$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Shorten text to a maximum length
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? text.substring(0, maxLength - 3) + '...' : text;
+}
+
+/**
+ * Heading text of a markdown line, or null when it isn't a heading
+ * Bold-only lines ("**Breaking changes**") count as headings too.
+ */
+function headingText(line) {
+  const atx = line.match(/^\s*#{1,6}\s+(.*)$/);
+  if (atx) {
+    return stripMarkdown(atx[1]);
+  }
+  const bold = line.match(/^\s*(\*\*|__)([^*_]+)\1:?\s*$/);
+  return bold ? bold[2].trim() : null;
+}
+
+/**
+ * Check if a line carries no prose (tables, rules, code fences, badges)
+ */
+function isNoise(line) {
+  return /^\s*(\||-{3,}|\*{3,}|```|>?\s*$)/.test(line) || stripMarkdown(line) === '';
+}
+
+/**
+ * Add a cleaned-up line to a list, skipping duplicates and capping its size
+ */
+function addItem(list, line) {
+  const text = truncate(stripMarkdown(line), MAX_ITEM_LENGTH);
+  if (text && !list.includes(text) && list.length < MAX_ITEMS) {
+    list.push(text);
+  }
+}
+
+/**
+ * Canonical spelling of an advisory id (CVE-2024-1234, GHSA-abcd-efgh-ijkl)
+ */
+function normalizeAdvisoryId(id) {
+  return id.toUpperCase().startsWith('CVE') ? id.toUpperCase() : `GHSA${id.slice(4).toLowerCase()}`;
+}
+
+/**
+ * Extract highlights from a markdown release body
+ */
+function extractReleaseNotes(body) {
+  const notes = {
+    summary: '',
+    breaking: [],
+    security: [],
+    advisories: [],
+    mandatory: false,
+    critical: false
+  };
+
+  if (!body) {
+    return notes;
+  }
+
+  let heading = '';
+  let inCode = false;
+
+  for (const line of body.split(/\r?\n/)) {
+    if (/^\s*```/.test(line)) {
+      inCode = !inCode;
+      continue;
+    }
+    if (inCode) {
+      continue;
+    }
+
+    const title = headingText(line);
+    if (title !== null) {
+      heading = title;
+      notes.mandatory = notes.mandatory || MANDATORY.test(title);
+      notes.critical = notes.critical || CRITICAL.test(title);
+      continue;
+    }
+
+    // Upgrade urgency often sits in tables, so check before skipping them.
+    // Emphasis is stripped first, as in "**mandatory** upgrade".
+    const plain = stripMarkdown(line);
+    notes.mandatory = notes.mandatory || MANDATORY.test(plain);
+    notes.critical = notes.critical || CRITICAL.test(plain);
+
+    if (isNoise(line)) {
+      continue;
+    }
+
+    // The first line of prose is the summary
+    if (!notes.summary) {
+      notes.summary = truncate(stripMarkdown(line), MAX_SUMMARY_LENGTH);
+    }
+
+    if ((BREAKING.test(heading) || BREAKING.test(line)) && !NOT_BREAKING.test(line)) {
+      addItem(notes.breaking, line);
+    }
+    if (SECURITY.test(heading) || SECURITY.test(line)) {
+      addItem(notes.security, line);
+    }
+    for (const [match] of line.matchAll(ADVISORY_IDS)) {
+      const id = normalizeAdvisoryId(match);
+      if (!notes.advisories.includes(id)) {
+        notes.advisories.push(id);
+      }
+    }
+  }
+
+  return notes;
+}
+
+module.exports = { extractReleaseNotes, stripMarkdown };
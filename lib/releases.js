@@ -0,0 +1,651 @@
+/**
+ * GitHub release lookup and formatting shared by the release checkers
+ */
+
+const { fetchGitHubAPI, encodeRef, GITHUB_API_URL, GITHUB_TOKEN } = require('./github');
+const { fetchRepositoriesGraphQL } = require('./graphql');
+const { formatDate, formatLongDate, isWithinWindow } = require('./dates');
+const { extractReleaseNotes } = require('./release-notes');
+const { parseVersion, compareVersions, sameVersion, classifyChange, parsePackageTag } = require('./version');
+const { fetchChanges } = require('./changes');
+const { registryTitle, fetchPackageVersions } = require('./package-registries');
+
+// Releases requested per page
+const PER_PAGE = 100;
+
+// Tag names listed per repository, and how many of the highest are dated
+const TAG_NAMES = 100;
+const TAGS = 10;
+
+const BACKENDS = ['auto', 'rest', 'graphql'];
+
+// Where a source's versions come from: GitHub releases, git tags, the first
+// of its package registries, or, only when the repository has never published
+// a release (the default), registry versions and then tags
+const STRATEGIES = ['releases', 'tags', 'registry', 'auto'];
+
+// Sources looked up per GraphQL batch
+const GRAPHQL_BATCH_SIZE = 50;
+
+/**
+ * Convert a GitHub API release into our release shape
+ * Drafts have no publication date yet, so their creation date is used.
+ */
+function toRelease(source, release) {
+  return {
+    name: source.name,
+    repository: `${source.owner}/${source.repo}`,
+    version: release.tag_name,
+    publishedAt: new Date(release.published_at || release.created_at),
+    url: release.html_url,
+    prerelease: Boolean(release.prerelease),
+    draft: Boolean(release.draft),
+    body: release.body || '',
+    fromTag: false
+  };
+}
+
+/**
+ * Convert a dated git tag into our release shape
+ * Tags have no release page or notes, so the URL compares the tag with the
+ * previous one, and pre-releases are recognized by their version suffix.
+ */
+function tagToRelease(source, tag, previous) {
+  const repository = `${source.owner}/${source.repo}`;
+  const version = parseVersion(tag.name);
+  return {
+    name: source.name,
+    repository,
+    version: tag.name,
+    publishedAt: tag.date,
+    url: previous
+      ? `https://github.com/${repository}/compare/${encodeRef(previous.name)}...${encodeRef(tag.name)}`
+      : `https://github.com/${repository}/releases/tag/${encodeRef(tag.name)}`,
+    prerelease: Boolean(version && version.prerelease),
+    draft: false,
+    body: '',
+    fromTag: true
+  };
+}
+
+/**
+ * Convert a version published to a package registry into our release shape
+ */
+function registryToRelease(source, found, version) {
+  return {
+    name: source.name,
+    repository: `${source.owner}/${source.repo}`,
+    version: version.version,
+    publishedAt: version.publishedAt,
+    url: version.url,
+    prerelease: version.prerelease,
+    draft: false,
+    body: '',
+    fromTag: false,
+    fromRegistry: found.registry
+  };
+}
+
+/**
+ * Release strategy of a source
+ */
+function releaseStrategy(source) {
+  return (source.options || {}).strategy || 'auto';
+}
+
+/**
+ * Check if a package name matches a glob pattern such as `@ethereumjs/*`
+ */
+function matchesPattern(name, pattern) {
+  const regex = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${regex}$`).test(name);
+}
+
+/**
+ * Label a monorepo release with the package and version parsed from its tag
+ * Releases of other sources are returned unchanged.
+ */
+function labelPackage(source, release) {
+  if (!release || !(source.options || {}).monorepo) {
+    return release;
+  }
+  const parsed = parsePackageTag(release.version);
+  return { ...release, package: parsed && parsed.package, packageVersion: parsed && parsed.version };
+}
+
+/**
+ * Label a monorepo's releases with their packages, keeping the packages its
+ * `include` / `exclude` patterns select
+ * Tags without a package prefix are kept only when there are no `include` patterns.
+ */
+function selectPackages(source, releases) {
+  const monorepo = (source.options || {}).monorepo;
+  if (!monorepo) {
+    return releases;
+  }
+  const { include = [], exclude = [] } = monorepo === true ? {} : monorepo;
+  const selected = name => (include.length === 0 || include.some(pattern => matchesPattern(name, pattern))) &&
+    !exclude.some(pattern => matchesPattern(name, pattern));
+
+  return releases
+    .map(release => labelPackage(source, release))
+    .filter(release => (release.package ? selected(release.package) : include.length === 0));
+}
+
+/**
+ * Version a release is compared by: the package version for monorepo packages
+ */
+function versionOf(release) {
+  return release.packageVersion || release.version;
+}
+
+/**
+ * Annotate releases with the version they follow (`previousVersion`, tagged
+ * `previousTag`) and the size of the step (`change`, see classifyChange in
+ * lib/version.js)
+ *
+ * A release follows the highest lower version published before it, of the
+ * same monorepo package. Stable releases only follow stable ones, so 1.15.0
+ * follows 1.14.8 rather than 1.15.0-rc.1, and a backported 1.14.9 released
+ * after 1.15.0 still follows 1.14.8. `earlier` are older releases to compare
+ * with, and `calendar` marks a source with `YY.MM` calendar versions.
+ */
+function classifyReleases(releases, earlier = [], { calendar = false } = {}) {
+  const candidates = [...releases, ...earlier].filter(release => !release.draft);
+
+  return releases.map(release => {
+    const previous = candidates
+      .filter(other => other.package === release.package &&
+        other.publishedAt < release.publishedAt &&
+        (release.prerelease || !other.prerelease) &&
+        compareVersions(versionOf(other), versionOf(release)) < 0)
+      .reduce((best, other) => (!best || compareVersions(versionOf(other), versionOf(best)) > 0 ? other : best), null);
+
+    return {
+      ...release,
+      previousVersion: previous ? versionOf(previous) : null,
+      previousTag: previous ? previous.version : null,
+      change: previous ? (release.prerelease ? 'prerelease' : classifyChange(versionOf(previous), versionOf(release), { calendar })) : null
+    };
+  });
+}
+
+/**
+ * Keep only the newest release of each monorepo package, so a report lists
+ * every package once (releases outside monorepos are all kept)
+ */
+function latestPerPackage(releases) {
+  const newest = new Map();
+  for (const release of releases) {
+    const key = `${release.repository}|${release.package}`;
+    if (release.package && (!newest.has(key) || release.publishedAt > newest.get(key).publishedAt)) {
+      newest.set(key, release);
+    }
+  }
+  return releases.filter(release => !release.package || newest.get(`${release.repository}|${release.package}`) === release);
+}
+
+/**
+ * Fetch latest release for a repository
+ * Resolves to null when there is none and throws on API errors.
+ */
+async function fetchLatestRelease(source) {
+  const url = `${GITHUB_API_URL}/repos/${source.owner}/${source.repo}/releases/latest`;
+  const release = await fetchGitHubAPI(url);
+  return release ? toRelease(source, release) : null;
+}
+
+/**
+ * Fetch every release published since a date, newest first
+ *
+ * `/releases/latest` skips pre-releases and only returns one release, so this
+ * pages through `/releases` until it passes `since`, however many pages that
+ * takes. Also resolves the newest release overall (`latest`), which is null
+ * when the repository has none, and the older releases read on the way
+ * (`earlier`), which the releases in the window are compared with.
+ */
+async function fetchReleasesSince(source, since) {
+  const releases = [];
+  const earlier = [];
+  let latest = null;
+
+  for (let page = 1; ; page++) {
+    const url = `${GITHUB_API_URL}/repos/${source.owner}/${source.repo}/releases?per_page=${PER_PAGE}&page=${page}`;
+    const data = await fetchGitHubAPI(url);
+    if (!data || data.length === 0) {
+      break;
+    }
+
+    const pageReleases = data.map(release => toRelease(source, release));
+    latest = latest || pageReleases[0];
+    releases.push(...pageReleases.filter(release => release.publishedAt >= since));
+    earlier.push(...pageReleases.filter(release => release.publishedAt < since));
+
+    // Pages are ordered by creation date, so stop once a page reaches back past `since`
+    if (data.length < PER_PAGE || pageReleases[pageReleases.length - 1].publishedAt < since) {
+      break;
+    }
+  }
+
+  return {
+    releases: releases.sort((a, b) => b.publishedAt - a.publishedAt),
+    latest,
+    earlier
+  };
+}
+
+/**
+ * Sort tag names highest version first, with names that have no version last
+ */
+function byVersion(a, b) {
+  const order = compareVersions(b, a);
+  return order !== null ? order : Boolean(parseVersion(b)) - Boolean(parseVersion(a));
+}
+
+/**
+ * Date a tag was made: the tagger date of an annotated tag, or the committer
+ * date of the commit a lightweight tag points to
+ */
+async function fetchTagDate(base, name) {
+  const ref = await fetchGitHubAPI(`${base}/git/ref/tags/${encodeRef(name)}`);
+  if (!ref) {
+    return null;
+  }
+  if (ref.object.type === 'tag') {
+    const tag = await fetchGitHubAPI(`${base}/git/tags/${ref.object.sha}`);
+    return tag ? new Date(tag.tagger.date) : null;
+  }
+  const commit = await fetchGitHubAPI(`${base}/git/commits/${ref.object.sha}`);
+  return commit ? new Date(commit.committer.date) : null;
+}
+
+/**
+ * Fetch the highest-versioned tags of a repository with their dates, newest first
+ *
+ * The tag list is sorted by name and carries no dates, so this picks the
+ * `limit` highest versions and resolves the date of each. Resolves to null
+ * when the repository doesn't exist.
+ */
+async function fetchTags(source, limit = TAGS) {
+  const base = `${GITHUB_API_URL}/repos/${source.owner}/${source.repo}`;
+  const tags = await fetchGitHubAPI(`${base}/tags?per_page=${TAG_NAMES}`);
+  if (!tags) {
+    return null;
+  }
+
+  const highest = highestTags(tags, limit);
+  const dated = await Promise.all(highest.map(async ({ name }) => ({ name, date: await fetchTagDate(base, name) })));
+  return newestFirst(dated);
+}
+
+/**
+ * The tags with the highest versions, by name, as both backends pick them
+ */
+function highestTags(tags, limit = TAGS) {
+  return [...tags].sort((a, b) => byVersion(a.name, b.name)).slice(0, limit);
+}
+
+/**
+ * Dated tags, newest first
+ */
+function newestFirst(tags) {
+  return tags.filter(tag => tag.date).sort((a, b) => b.date - a.date);
+}
+
+/**
+ * Turn dated tags (newest first) into `{ releases, latest }` like fetchReleasesSince
+ */
+function tagReleases(source, tags, since) {
+  const all = tags.map((tag, i) => tagToRelease(source, tag, tags[i + 1]));
+  return {
+    releases: all.filter(release => release.publishedAt >= since),
+    latest: all[0] || null,
+    earlier: all.filter(release => release.publishedAt < since)
+  };
+}
+
+/**
+ * Fetch a source's versions since a date with its release strategy
+ * `auto` only lists tags for repositories that have no releases at all.
+ * Registry versions are added by withRegistries.
+ */
+async function fetchVersionsSince(source, since) {
+  const strategy = releaseStrategy(source);
+  if (strategy === 'registry') {
+    return { releases: [], latest: null };
+  }
+  const result = strategy === 'tags' ? { releases: [], latest: null } : await fetchReleasesSince(source, since);
+  if (result.latest || strategy === 'releases') {
+    return result;
+  }
+  const tags = await fetchTags(source);
+  return tags ? tagReleases(source, tags, since) : result;
+}
+
+/**
+ * Turn a package's registry versions (newest first) into `{ releases, latest }`
+ * like fetchReleasesSince
+ */
+function registryReleases(source, found, since) {
+  const all = found.versions.map(version => registryToRelease(source, found, version));
+  return {
+    releases: all.filter(release => release.publishedAt >= since),
+    latest: all[0] || null,
+    earlier: all.filter(release => release.publishedAt < since)
+  };
+}
+
+/**
+ * Add the versions of a source's packages (the `registries` option) to what
+ * was found on GitHub, as `published`
+ *
+ * The first registry's versions replace the GitHub ones with the `registry`
+ * strategy, and with `auto` when the repository has no releases. Other
+ * registries that can't be read are left out, with a warning for each in
+ * `warnings`.
+ */
+async function withRegistries(source, result, since) {
+  const registries = Object.entries((source.options || {}).registries || {});
+  if (registries.length === 0) {
+    return result;
+  }
+
+  const found = await Promise.all(registries.map(([registry, name]) =>
+    fetchPackageVersions(registry, name).catch(error => error)));
+  const strategy = releaseStrategy(source);
+  const primary = found[0];
+  const useRegistry = strategy === 'registry' || (strategy === 'auto' && (!result.latest || result.latest.fromTag));
+  if (useRegistry && primary instanceof Error) {
+    throw primary;
+  }
+
+  const warnings = found
+    .map((entry, i) => entry instanceof Error && !(useRegistry && i === 0)
+      ? `Couldn't read the ${registryTitle(registries[i][0])} versions: ${entry.message}`
+      : null)
+    .filter(Boolean);
+  const published = found.filter(entry => entry && !(entry instanceof Error));
+
+  if (useRegistry && primary && primary.versions.length > 0) {
+    return { ...registryReleases(source, primary, since), published, warnings };
+  }
+  if (strategy === 'registry') {
+    return { releases: [], latest: null, published, warnings };
+  }
+  return { ...result, published, warnings };
+}
+
+/**
+ * The release's version on each of the source's other registries, with the
+ * newest version there (`latest`) for releases that aren't published yet
+ */
+function registryVersions(release, published) {
+  return published
+    .filter(found => found.registry !== release.fromRegistry)
+    .map(found => {
+      const match = found.versions.find(version => sameVersion(version.version, versionOf(release)));
+      return {
+        registry: found.registry,
+        package: found.package,
+        version: match ? match.version : null,
+        publishedAt: match ? match.publishedAt : null,
+        url: match ? match.url : found.url,
+        latest: found.versions.length > 0 ? found.versions[0].version : null
+      };
+    });
+}
+
+/**
+ * Pick the backend for release lookups
+ * `auto` uses GraphQL when a token is set, as the GraphQL API needs one.
+ * Replayed recordings need no token (see lib/http-cache.js).
+ */
+function resolveBackend(backend = 'auto', { replay = false } = {}) {
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Invalid backend: ${backend} (expected one of: ${BACKENDS.join(', ')})`);
+  }
+  if (backend === 'graphql' && !GITHUB_TOKEN && !replay) {
+    throw new Error('The graphql backend needs a GITHUB_TOKEN');
+  }
+  if (backend === 'auto') {
+    return GITHUB_TOKEN ? 'graphql' : 'rest';
+  }
+  return backend;
+}
+
+/**
+ * Fetch releases since a date for several sources with one GraphQL lookup
+ * Resolves to the same `{ releases, latest }` as fetchReleasesSince (plus the
+ * repository's canonical name, archive status and latest tags), null for
+ * missing repositories or an Error, per source.
+ */
+async function fetchReleasesGraphQL(sources, since) {
+  const repositories = await fetchRepositoriesGraphQL(sources, since);
+
+  return repositories.map((repository, i) => {
+    if (!repository || repository instanceof Error) {
+      return repository;
+    }
+    const strategy = releaseStrategy(sources[i]);
+    const all = repository.releases.map(release => toRelease(sources[i], release));
+    const versions = strategy === 'tags' || (strategy === 'auto' && all.length === 0)
+      ? tagReleases(sources[i], newestFirst(highestTags(repository.tags)), since)
+      : {
+        releases: all.filter(release => release.publishedAt >= since).sort((a, b) => b.publishedAt - a.publishedAt),
+        latest: all[0] || null,
+        earlier: all.filter(release => release.publishedAt < since)
+      };
+    return {
+      ...versions,
+      canonical: repository.nameWithOwner,
+      archived: repository.archived,
+      tags: repository.tags
+    };
+  });
+}
+
+/**
+ * Fetch releases since a date for sources in batches, yielding each batch as
+ * `[{ source, result, error }]` once it's done
+ *
+ * REST makes `batchSize` requests in parallel. GraphQL fetches a whole batch
+ * in one query and, with the `auto` backend, falls back to REST when that
+ * fails, with a warning in the `warnings` of each source it found.
+ * Sources with the `tags` strategy, or `auto` without any releases, get their
+ * git tags as releases, and sources with `registries` their registry
+ * versions (see withRegistries). A missing repository has
+ * `result: { releases: [], latest: null }`.
+ */
+async function* fetchReleaseBatches(sources, since, options = {}) {
+  const { batchSize = 10 } = options;
+  const backend = resolveBackend(options.backend, { replay: options.replay });
+  const size = backend === 'graphql' ? GRAPHQL_BATCH_SIZE : batchSize;
+
+  const viaREST = async batch => ({
+    found: await Promise.all(batch.map(source => fetchVersionsSince(source, since).catch(error => error))),
+    warnings: []
+  });
+  const viaGraphQL = async batch => {
+    try {
+      return { found: await fetchReleasesGraphQL(batch, since), warnings: [] };
+    } catch (error) {
+      if (options.backend === 'graphql') {
+        return { found: batch.map(() => error), warnings: [] };
+      }
+      const { found } = await viaREST(batch);
+      return { found, warnings: [`GraphQL lookup failed (${error.message}), fell back to REST`] };
+    }
+  };
+
+  for (let i = 0; i < sources.length; i += size) {
+    const batch = sources.slice(i, i + size);
+    const { found, warnings } = await (backend === 'graphql' ? viaGraphQL(batch) : viaREST(batch));
+    const results = await Promise.all(batch.map((source, j) => found[j] instanceof Error
+      ? found[j]
+      : withRegistries(source, found[j] || { releases: [], latest: null }, since).catch(error => error)));
+    yield batch.map((source, j) => {
+      if (results[j] instanceof Error) {
+        return { source, result: null, error: results[j] };
+      }
+      const result = results[j] || { releases: [], latest: null };
+      return { source, result: { ...result, warnings: [...warnings, ...(result.warnings || [])] }, error: null };
+    });
+  }
+}
+
+/**
+ * Get latest release for a repository, logging errors instead of throwing
+ */
+async function getLatestRelease(source) {
+  try {
+    return await fetchLatestRelease(source);
+  } catch (error) {
+    console.error(`Error fetching release for ${source.name}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Format release information, extracting highlights from the release notes
+ */
+function formatRelease(release) {
+  if (!release) {
+    return null;
+  }
+
+  return {
+    name: release.name,
+    repository: release.repository,
+    version: release.version,
+    date: formatLongDate(release.publishedAt),
+    relativeDate: formatDate(release.publishedAt),
+    publishedAt: release.publishedAt,
+    url: release.url,
+    prerelease: release.prerelease,
+    draft: release.draft,
+    fromTag: Boolean(release.fromTag),
+    fromRegistry: release.fromRegistry || null,
+    registries: (release.registries || []).map(entry => ({
+      ...entry,
+      title: registryTitle(entry.registry),
+      date: entry.publishedAt ? formatLongDate(entry.publishedAt) : null
+    })),
+    package: release.package || null,
+    packageVersion: release.packageVersion || null,
+    previousVersion: release.previousVersion || null,
+    change: release.change || null,
+    changes: release.changes || null,
+    notes: extractReleaseNotes(release.body)
+  };
+}
+
+/**
+ * Attach the pull requests merged since the previous tag (`changes`, see
+ * lib/changes.js) to each release in the window, one release at a time
+ * A failed comparison leaves the release without changes; resolves to a
+ * warning for each.
+ */
+async function addChanges(releases, window) {
+  const warnings = [];
+  for (const release of releases) {
+    if (!release.previousTag || release.draft || !isWithinWindow(release, window)) {
+      continue;
+    }
+    try {
+      release.changes = await fetchChanges(release.repository, release.previousTag, release.version);
+    } catch (error) {
+      warnings.push(`Couldn't list the changes in ${release.version}: ${error.message}`);
+    }
+  }
+  return warnings;
+}
+
+/**
+ * What a source's versions are called in progress lines
+ */
+function versionNoun(latest) {
+  if (latest && latest.fromRegistry) {
+    return `${registryTitle(latest.fromRegistry)} version`;
+  }
+  return latest && latest.fromTag ? 'tag' : 'release';
+}
+
+/**
+ * Process sources in parallel batches
+ * Rate limits are handled by the GitHub client, so batches run back to back.
+ *
+ * Resolves to one check per source: `status` is 'ok', 'not_found' (no
+ * releases at all) or 'error', with the formatted releases published since
+ * the start of the reporting window. With `options.changes`, releases in the
+ * window carry the pull requests merged since the previous release. Problems
+ * that don't fail the check are listed in `warnings`.
+ */
+async function processBatch(sources, options) {
+  const { out = process.stdout, window } = options;
+  const checks = [];
+
+  for await (const batch of fetchReleaseBatches(sources, window.start, options)) {
+    const batchChecks = await Promise.all(batch.map(async ({ source, result, error }) => {
+      if (error) {
+        return { source, status: 'error', items: [], latest: null, error: error.message, warnings: [] };
+      }
+      const { prereleases = true, calendar = false } = source.options || {};
+      const releases = classifyReleases(selectPackages(source, result.releases), selectPackages(source, result.earlier || []), { calendar })
+        .filter(release => prereleases || !release.prerelease);
+      const warnings = [
+        ...(result.warnings || []),
+        ...(options.changes ? await addChanges(releases, window) : [])
+      ];
+      return {
+        source,
+        status: result.latest ? 'ok' : 'not_found',
+        items: releases.map(release =>
+          formatRelease({ ...release, registries: registryVersions(release, result.published || []) })),
+        latest: formatRelease(labelPackage(source, result.latest)),
+        error: null,
+        warnings
+      };
+    }));
+
+    for (const check of batchChecks) {
+      out.write(`  Checking ${check.source.name}... `);
+
+      const noun = versionNoun(check.latest);
+      if (check.status === 'ok' && check.items.length > 0) {
+        const versions = check.items.map(release => release.version).join(', ');
+        out.write(`✓ Found ${check.items.length} ${noun}${check.items.length > 1 ? 's' : ''}: ${versions}\n`);
+      } else if (check.status === 'ok') {
+        const latest = `${noun === 'release' ? '' : `${noun} `}${check.latest.version}, ${check.latest.date}`;
+        out.write(`✓ None since ${formatLongDate(window.start)} (latest ${latest})\n`);
+      } else if (check.status === 'not_found') {
+        out.write('✗ No release found\n');
+      } else {
+        out.write(`✗ Error: ${check.error}\n`);
+      }
+      for (const warning of check.warnings) {
+        out.write(`    ⚠️  ${warning}\n`);
+      }
+      checks.push(check);
+    }
+  }
+
+  return checks;
+}
+
+module.exports = {
+  BACKENDS,
+  STRATEGIES,
+  resolveBackend,
+  fetchLatestRelease,
+  fetchReleasesSince,
+  fetchTags,
+  fetchVersionsSince,
+  fetchReleasesGraphQL,
+  fetchReleaseBatches,
+  getLatestRelease,
+  selectPackages,
+  classifyReleases,
+  latestPerPackage,
+  formatRelease,
+  processBatch
+};
@@ -0,0 +1,227 @@
+/**
+ * Console report rendering
+ *
+ * Turns the results returned by one or more checkers into the text summary.
+ */
+
+const { registryTitle } = require('./package-registries');
+
+const RULE = '='.repeat(70);
+
+/**
+ * Render the pull requests merged since the previous release, by group
+ */
+function renderChanges(changes) {
+  const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+  const lines = [`  Changes since ${changes.base}: ${count(changes.pulls, 'pull request')}, ${count(changes.commits, 'commit')}`];
+  for (const group of changes.groups) {
+    lines.push(`    ${group.title}:`);
+    for (const pull of group.pulls) {
+      lines.push(`      #${pull.number} ${pull.title}${pull.author ? ` (@${pull.author})` : ''}`);
+    }
+  }
+  if (changes.more > 0) {
+    lines.push(`    ...and ${changes.more} more`);
+  }
+  if (changes.truncated) {
+    lines.push('    GitHub only listed part of the commits; the comparison has the rest');
+  }
+  lines.push(`    Compare: ${changes.url}`);
+  return lines;
+}
+
+/**
+ * Render a single release
+ * Monorepo packages are rendered nested under their repository's heading.
+ */
+function renderRelease(release) {
+  const labels = [
+    release.prerelease && 'Pre-release',
+    release.draft && 'Draft',
+    release.fromTag && 'Tag',
+    release.fromRegistry && registryTitle(release.fromRegistry)
+  ].filter(Boolean);
+  const title = release.package ? `  ${release.package} ${release.packageVersion}` : `${release.name} ${release.version}`;
+  const lines = [
+    `\n${title}${labels.map(label => ` (${label})`).join('')}`,
+    `  Released: ${release.date} (${release.relativeDate})`
+  ];
+  if (release.change) {
+    lines.push(`  Change: ${release.previousVersion} → ${release.packageVersion || release.version} (${release.change})`);
+  }
+  for (const entry of release.registries) {
+    lines.push(entry.version
+      ? `  ${entry.title}: ${entry.package} ${entry.version} (${entry.date})`
+      : `  ${entry.title}: ${entry.package} not published yet${entry.latest ? ` (latest ${entry.latest})` : ''}`);
+  }
+
+  const { notes } = release;
+  if (notes.critical || notes.mandatory) {
+    const urgency = [notes.critical && 'Critical', notes.mandatory && 'Mandatory upgrade'].filter(Boolean);
+    lines.push(`  ❗ ${urgency.join(', ')}`);
+  }
+  if (notes.summary) {
+    lines.push(`  Summary: ${notes.summary}`);
+  }
+  for (const item of notes.breaking) {
+    lines.push(`  ⚠️  Breaking: ${item}`);
+  }
+  for (const item of notes.security) {
+    lines.push(`  🔒 Security: ${item}`);
+  }
+  if (notes.advisories.length > 0) {
+    lines.push(`  Advisories: ${notes.advisories.join(', ')}`);
+  }
+
+  if (release.changes) {
+    lines.push(...renderChanges(release.changes));
+  }
+
+  lines.push(`  URL: ${release.url}`);
+  return release.package ? lines.map((line, i) => (i === 0 ? line : `  ${line}`)) : lines;
+}
+
+/**
+ * Render releases, with one heading per monorepo above its packages
+ */
+function renderReleases(releases) {
+  return releases.flatMap((release, i) => {
+    const previous = releases[i - 1];
+    const heading = release.package && !(previous && previous.package && previous.repository === release.repository)
+      ? [`\n${release.name} (${release.repository})`]
+      : [];
+    return [...heading, ...renderRelease(release)];
+  });
+}
+
+/**
+ * Render a single blog post
+ */
+function renderPost(post) {
+  const lines = [
+    `\n${post.title}`,
+    `  Feed: ${post.feed}`,
+    `  Published: ${post.date} (${post.relativeDate})`
+  ];
+  if (post.categories.length > 0) {
+    lines.push(`  Categories: ${post.categories.join(', ')}`);
+  }
+  if (post.engagement) {
+    lines.push(`  Engagement: ${post.engagement}`);
+  }
+  if (post.description) {
+    lines.push(`  Description: ${post.description}`);
+  }
+  lines.push(`  URL: ${post.link}`);
+  return lines;
+}
+
+/**
+ * Render a new proposal or status transition
+ */
+function renderProposal(proposal) {
+  const lines = [
+    `\n${proposal.name}: ${proposal.title}`,
+    proposal.proposed
+      ? `  Status: ${proposal.status} (new proposal)`
+      : `  Status: ${proposal.previousStatus} → ${proposal.status}`
+  ];
+  if (proposal.category) {
+    lines.push(`  Category: ${proposal.category}`);
+  }
+  lines.push(`  Merged: ${proposal.date} (${proposal.relativeDate})`);
+  lines.push(`  Pull request: #${proposal.pullRequest.number} ${proposal.pullRequest.title}`);
+  lines.push(`  URL: ${proposal.url}`);
+  return lines;
+}
+
+/**
+ * Render an All Core Devs call
+ */
+function renderCall(call) {
+  const lines = [
+    `\n${call.name}: ${call.callTitle}`,
+    `  When: ${call.date}${call.time ? `, ${call.time}` : ''} (${call.relativeDate})`,
+    `  Agenda: ${call.url}`
+  ];
+  for (const url of call.recordings) {
+    lines.push(`  Recording: ${url}`);
+  }
+  for (const url of call.notes) {
+    lines.push(`  Notes: ${url}`);
+  }
+  return lines;
+}
+
+const NOUNS = { release: 'releases', post: 'posts', proposal: 'EIP or ERC changes', call: 'calls' };
+
+/**
+ * Sort section items the way each item kind is listed
+ * Posts are sorted alphabetically by title, proposals by number (EIPs before
+ * ERCs), calls by date, releases by name and then by monorepo package
+ */
+function sortItems(section) {
+  if (section.kind === 'post') {
+    return [...section.items].sort((a, b) => a.title.localeCompare(b.title));
+  } else if (section.kind === 'proposal') {
+    return [...section.items].sort((a, b) => a.type.localeCompare(b.type) || a.number - b.number);
+  } else if (section.kind === 'call') {
+    return [...section.items].sort((a, b) => a.publishedAt - b.publishedAt);
+  }
+  return [...section.items].sort((a, b) => a.name.localeCompare(b.name) || (a.package || '').localeCompare(b.package || ''));
+}
+
+/**
+ * Render one report section
+ */
+function renderSection(section, window) {
+  if (section.items.length === 0) {
+    return [`  No ${NOUNS[section.kind]} ${window.phrase}`];
+  }
+
+  if (section.kind === 'post') {
+    return sortItems(section).flatMap(renderPost);
+  } else if (section.kind === 'proposal') {
+    return sortItems(section).flatMap(renderProposal);
+  } else if (section.kind === 'call') {
+    return sortItems(section).flatMap(renderCall);
+  }
+  return renderReleases(sortItems(section));
+}
+
+/**
+ * Render the summary and statistics for a set of checker results
+ */
+function renderText(results, options = {}) {
+  const { title = 'SUMMARY', window, newOnly = false } = options;
+  const lines = [];
+
+  // Print summary
+  lines.push('\n\n' + RULE);
+  lines.push(`\n📊 ${title} (${window.label}${newOnly ? ', new only' : ''})\n`);
+  lines.push(RULE);
+
+  const sections = results.flatMap(result => result.sections);
+  sections.forEach((section, index) => {
+    lines.push(`${index === 0 ? '\n' : '\n\n'}${section.title}\n`);
+    lines.push(...renderSection(section, window));
+  });
+
+  // Summary statistics
+  lines.push('\n\n' + RULE);
+  lines.push('\n📈 STATISTICS\n');
+  for (const result of results) {
+    // Group statistics per checker when several ran together
+    if (results.length > 1) {
+      lines.push(`  ${result.title}:`);
+    }
+    const indent = results.length > 1 ? '    ' : '  ';
+    for (const stat of result.stats) {
+      lines.push(`${indent}${stat.label}: ${stat.value}`);
+    }
+  }
+
+  return lines.join('\n') + '\n\n';
+}
+
+module.exports = { RULE, renderText, sortItems };
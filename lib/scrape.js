@@ -0,0 +1,222 @@
+/**
+ * Post lists scraped from the HTML index pages of blogs without a feed
+ *
+ * Entries are read, in order of preference:
+ * - with the per-site selectors from the source's options, when it has them
+ * - from JSON-LD structured data (BlogPosting, Article, ItemList, ...)
+ * - from <time> elements and the heading and link around each of them
+ *
+ * They come back as { title, link, date, description, categories }, the
+ * fields the feed parsers read from feed entries.
+ */
+
+const cheerio = require('cheerio');
+
+const SELECTOR_FIELDS = ['item', 'title', 'link', 'date', 'description'];
+const POST_TYPES = ['Article', 'BlogPosting', 'NewsArticle', 'Report', 'ScholarlyArticle', 'SocialMediaPosting', 'TechArticle'];
+const HEADINGS = 'h1, h2, h3, h4, h5, h6';
+
+// Dates written out in prose, such as "March 12, 2026", "12 Mar 2026" or "2026-03-12"
+const MONTH = '(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\\.?';
+const PROSE_DATE = new RegExp(`\\b${MONTH} \\d{1,2},? \\d{4}\\b|\\b\\d{1,2} ${MONTH},? \\d{4}\\b|\\b\\d{4}-\\d{2}-\\d{2}\\b`, 'i');
+
+/**
+ * Parse a date from an attribute or a line of text
+ * Dates without a time zone are taken as UTC.
+ */
+function parseDate(value) {
+  // Without a year this is more likely "5 min read" than a date
+  if (!value || !/\d{4}/.test(value)) {
+    return null;
+  }
+
+  let text = value.trim();
+  if (/^\d{4}-\d{2}-\d{2}T[\d:.]+$/.test(text)) {
+    text += 'Z';
+  }
+  const zoned = /^\d{4}-\d{2}-\d{2}(T.*)?$/.test(text) || /(\bGMT|\bUTC|[+-]\d{2}:?\d{2})$/i.test(text);
+  let time = Date.parse(zoned ? text : `${text} UTC`);
+  if (Number.isNaN(time)) {
+    const prose = text.match(PROSE_DATE);
+    time = prose ? Date.parse(/^\d{4}/.test(prose[0]) ? prose[0] : `${prose[0]} UTC`) : NaN;
+  }
+
+  return Number.isNaN(time) ? null : new Date(time);
+}
+
+/**
+ * Text of a selection with its whitespace collapsed
+ */
+function textOf(selection) {
+  return selection.text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Date of a selection: its datetime or content attribute, or its text
+ */
+function dateOf(selection) {
+  return selection.length ? parseDate(selection.attr('datetime') || selection.attr('content') || textOf(selection)) : null;
+}
+
+/**
+ * Absolute URL of a link relative to the page, or '' when there is none
+ */
+function resolveLink(href, pageUrl) {
+  if (!href) {
+    return '';
+  }
+  try {
+    return new URL(href, pageUrl).href;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Read entries with per-site selectors, each relative to its `item` element
+ * Without a `title`, `link` or `date` selector, the first heading, link and
+ * <time> of the item are used.
+ */
+function entriesFromSelectors($, selectors, pageUrl) {
+  return $(selectors.item).toArray().map(element => {
+    const item = $(element);
+    const link = selectors.link
+      ? item.find(selectors.link).first()
+      : (item.is('a') ? item : item.find('a[href]').first());
+    const heading = item.find(HEADINGS).first();
+    const title = selectors.title ? item.find(selectors.title).first() : (heading.length ? heading : link);
+    const description = selectors.description ? item.find(selectors.description).first() : $();
+
+    return {
+      title: textOf(title),
+      link: resolveLink(link.attr('href'), pageUrl),
+      date: dateOf(item.find(selectors.date || 'time').first()),
+      description: textOf(description),
+      categories: []
+    };
+  });
+}
+
+/**
+ * Plain list of strings from a JSON-LD value (string, comma list or array)
+ */
+function strings(value) {
+  if (Array.isArray(value)) {
+    return value.filter(item => typeof item === 'string');
+  }
+  return typeof value === 'string' ? value.split(',').map(item => item.trim()) : [];
+}
+
+/**
+ * Read entries from JSON-LD structured data
+ * Posts can sit at the top level, in an @graph, in an ItemList or in a Blog.
+ */
+function entriesFromJSONLD($, pageUrl) {
+  const entries = [];
+
+  const visit = node => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    const types = [].concat(node['@type'] || []);
+    if (types.some(type => POST_TYPES.includes(type))) {
+      const page = node.mainEntityOfPage;
+      entries.push({
+        title: node.headline || node.name || '',
+        link: resolveLink(node.url || (typeof page === 'string' ? page : page && page['@id']), pageUrl),
+        date: parseDate(node.datePublished || node.dateCreated),
+        description: typeof node.description === 'string' ? node.description : '',
+        categories: [...strings(node.articleSection), ...strings(node.keywords)]
+      });
+    }
+    for (const key of ['@graph', 'itemListElement', 'item', 'blogPost', 'hasPart']) {
+      visit(node[key]);
+    }
+  };
+
+  for (const script of $('script[type^="application/ld+json"]').toArray()) {
+    try {
+      visit(JSON.parse($(script).text()));
+    } catch (e) {
+      // Broken structured data is common; the <time> fallback may still work
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Read entries from <time> elements
+ * Each <time> is widened to the largest enclosing element without another
+ * <time> (the post's card), whose heading and link give the title and URL.
+ */
+function entriesFromTimeElements($, pageUrl) {
+  const times = $('time').toArray();
+
+  // Number of <time> elements inside each of their ancestors
+  const timesWithin = new Map();
+  for (const time of times) {
+    for (let node = time.parent; node; node = node.parent) {
+      timesWithin.set(node, (timesWithin.get(node) || 0) + 1);
+    }
+  }
+
+  return times.map(time => {
+    let card = time;
+    while (card.parent.type === 'tag' && card.parent.name !== 'body' && timesWithin.get(card.parent) === 1) {
+      card = card.parent;
+    }
+
+    const heading = $(card).find(HEADINGS).first();
+    const headingLink = heading.find('a[href]').first();
+    const candidates = [
+      headingLink.length ? headingLink : heading.closest('a[href]'),
+      $(time).closest('a[href]'),
+      $(card).is('a[href]') ? $(card) : $(card).find('a[href]').first()
+    ];
+    const link = candidates.find(candidate => candidate.length) || $();
+
+    return {
+      title: textOf(heading.length ? heading : link),
+      link: resolveLink(link.attr('href'), pageUrl),
+      date: dateOf($(time)),
+      description: '',
+      categories: []
+    };
+  }).filter(entry => entry.link);
+}
+
+/**
+ * Scrape post entries from an HTML index page
+ * `url` is the page's address, used to resolve relative links. Entries
+ * without a date are left out, as are repeated links.
+ */
+function scrapePosts(html, { url, selectors } = {}) {
+  const $ = cheerio.load(html);
+
+  let entries;
+  if (selectors) {
+    entries = entriesFromSelectors($, selectors, url);
+  } else {
+    entries = entriesFromJSONLD($, url).filter(entry => entry.date);
+    if (entries.length === 0) {
+      entries = entriesFromTimeElements($, url);
+    }
+  }
+
+  const seen = new Set();
+  return entries.filter(entry => {
+    if (!entry.date || (entry.link && seen.has(entry.link))) {
+      return false;
+    }
+    seen.add(entry.link);
+    return true;
+  });
+}
+
+module.exports = { SELECTOR_FIELDS, scrapePosts, parseDate };
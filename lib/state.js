@@ -0,0 +1,149 @@
+/**
+ * Persistent "seen items" state
+ *
+ * A local JSON file remembering which releases (by repository and tag), posts
+ * (by link), EIP or ERC changes (by proposal and status) and calls (by type,
+ * number and stage, see callStage) have been reported and which have gone out
+ * in an issue:
+ *
+ * - `pending`: the batch reported by the most recent run that used the state
+ * - `published`: everything committed with `ethereal mark-published`
+ *
+ * `--new-only` hides items that are already published.
+ */
+
+const fs = require('fs');
+
+const STATE_VERSION = 1;
+const DEFAULT_STATE_FILE = '.ethereal-state.json';
+
+/**
+ * Create an empty state
+ */
+function createState() {
+  return { version: STATE_VERSION, pending: null, published: {} };
+}
+
+/**
+ * Load state from disk, starting empty if the file doesn't exist yet
+ */
+function loadState(file) {
+  if (!fs.existsSync(file)) {
+    return createState();
+  }
+
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to read state file ${file}: ${e.message}`);
+  }
+  if (state.version !== STATE_VERSION) {
+    throw new Error(`Unsupported state file version in ${file}: ${state.version}`);
+  }
+  return state;
+}
+
+/**
+ * Write state to disk
+ */
+function saveState(file, state) {
+  fs.writeFileSync(file, JSON.stringify(state, null, 2) + '\n');
+}
+
+/**
+ * How far along a call is: `upcoming`, `held`, or `recorded` once its
+ * recording or notes are posted
+ * Each stage is reported on its own, so a call that went out as upcoming
+ * comes back once it has been held.
+ */
+function callStage(item) {
+  if (item.recordings.length > 0 || item.notes.length > 0) {
+    return 'recorded';
+  }
+  return item.upcoming ? 'upcoming' : 'held';
+}
+
+/**
+ * Stable key identifying a release, post, proposal change or call across runs
+ */
+function itemKey(item) {
+  if (item.version !== undefined) {
+    return `release:${item.repository || item.name}@${item.version}`;
+  } else if (item.status !== undefined) {
+    return `proposal:${item.name}@${item.status}`;
+  } else if (item.call !== undefined) {
+    return `call:${item.name}@${callStage(item)}`;
+  }
+  return `post:${item.link || `${item.feed}/${item.title}`}`;
+}
+
+/**
+ * Summary stored for each item so the state file is readable on its own
+ */
+function describeItem(item) {
+  let title = item.title;
+  if (item.version !== undefined) {
+    title = `${item.name} ${item.version}`;
+  } else if (item.status !== undefined) {
+    title = `${item.name} ${item.status}`;
+  }
+  return {
+    title,
+    url: item.url || item.link,
+    publishedAt: item.publishedAt.toISOString()
+  };
+}
+
+/**
+ * Check if an item already went out in an issue
+ */
+function isPublished(state, item) {
+  return Boolean(state.published[itemKey(item)]);
+}
+
+/**
+ * Replace the pending batch with the items a run reported
+ */
+function recordReported(state, items, window) {
+  const pending = {};
+  for (const item of items) {
+    if (!isPublished(state, item)) {
+      pending[itemKey(item)] = describeItem(item);
+    }
+  }
+
+  state.pending = {
+    reportedAt: new Date().toISOString(),
+    window: { start: window.start.toISOString(), end: window.end.toISOString(), label: window.label },
+    items: pending
+  };
+}
+
+/**
+ * Move the pending batch to published
+ * Returns the number of items marked as published.
+ */
+function markPublished(state) {
+  if (!state.pending) {
+    return 0;
+  }
+
+  const publishedAt = new Date().toISOString();
+  const keys = Object.keys(state.pending.items);
+  for (const key of keys) {
+    state.published[key] = { ...state.pending.items[key], issuePublishedAt: publishedAt };
+  }
+  state.pending = null;
+  return keys.length;
+}
+
+module.exports = {
+  DEFAULT_STATE_FILE,
+  loadState,
+  saveState,
+  itemKey,
+  isPublished,
+  recordReported,
+  markPublished
+};
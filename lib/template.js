@@ -0,0 +1,144 @@
+/**
+ * Tiny Mustache-style template renderer
+ *
+ * Supports the subset the newsletter templates need:
+ * - `{{name}}` / `{{a.b}}`   value lookup (walking up enclosing sections);
+ *                            arrays are joined with ", "
+ * - `{{#name}}...{{/name}}`  repeat for arrays, enter objects, show if truthy
+ * - `{{^name}}...{{/name}}`  show if missing, false or an empty array
+ * - `{{> name}}`             render a partial template in the current context
+ * - `{{! comment }}`         ignored
+ *
+ * Lines containing nothing but a section, partial or comment tag are dropped
+ * entirely, so templates can put tags on their own lines without leaving
+ * blank lines.
+ */
+
+const TAG = /\{\{\s*([#^/!>]?)\s*([^}]*?)\s*\}\}/g;
+const STANDALONE = /^[ \t]*(\{\{\s*[#^/!>][^}]*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Parse template source into a tree of text, variable and section nodes
+ */
+function parse(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  const text = source.replace(STANDALONE, '$1');
+  for (const match of text.matchAll(TAG)) {
+    const [tag, type, name] = match;
+    const current = stack[stack.length - 1];
+
+    if (match.index > last) {
+      current.children.push({ type: 'text', value: text.slice(last, match.index) });
+    }
+    last = match.index + tag.length;
+
+    if (type === '!') {
+      continue;
+    } else if (type === '>') {
+      current.children.push({ type: 'partial', name });
+    } else if (type === '#' || type === '^') {
+      const section = { type, name, children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (type === '/') {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Template error: unexpected {{/${name}}}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'var', name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Template error: unclosed {{#${stack[stack.length - 1].name}}}`);
+  }
+  if (last < text.length) {
+    root.children.push({ type: 'text', value: text.slice(last) });
+  }
+
+  return root;
+}
+
+/**
+ * Look up a (dotted) name, starting from the innermost context
+ */
+function lookup(contexts, name) {
+  if (name === '.') {
+    return contexts[contexts.length - 1];
+  }
+
+  const [head, ...rest] = name.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context !== null && typeof context === 'object' && head in context) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), context[head]);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Check if a value counts as empty for sections
+ */
+function isEmpty(value) {
+  return !value || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Render parsed nodes against a context stack
+ * `partials` returns the template source for a partial name.
+ */
+function renderNodes(nodes, contexts, partials) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'var') {
+      const value = lookup(contexts, node.name);
+      if (Array.isArray(value)) {
+        output += value.join(', ');
+      } else if (value != null) {
+        output += String(value);
+      }
+    } else if (node.type === 'partial') {
+      output += renderNodes(parse(partials(node.name)).children, contexts, partials);
+    } else if (node.type === '^') {
+      if (isEmpty(lookup(contexts, node.name))) {
+        output += renderNodes(node.children, contexts, partials);
+      }
+    } else {
+      const value = lookup(contexts, node.name);
+      if (isEmpty(value)) {
+        continue;
+      }
+      if (Array.isArray(value)) {
+        for (const item of value) {
+          output += renderNodes(node.children, [...contexts, item], partials);
+        }
+      } else if (typeof value === 'object') {
+        output += renderNodes(node.children, [...contexts, value], partials);
+      } else {
+        output += renderNodes(node.children, contexts, partials);
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template string with the given data
+ * `partials` is called with a partial's name and returns its source.
+ */
+function renderTemplate(source, data, partials = name => {
+  throw new Error(`Template error: unknown partial {{> ${name}}}`);
+}) {
+  return renderNodes(parse(source).children, [data], partials);
+}
+
+module.exports = { renderTemplate };
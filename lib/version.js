@@ -0,0 +1,130 @@
+/**
+ * Version parsing and comparison for release tags
+ */
+
+// Size of the step between two versions, least significant first
+const CHANGES = ['prerelease', 'patch', 'minor', 'major'];
+
+// Pre-release labels written without a dash, as in the PEP 440 `1.2.0rc1`
+const PRERELEASE_LABEL = /^(?:a|b|c|rc|alpha|beta|pre|preview|dev)\.?\d*$/i;
+
+/**
+ * Parse the numeric version out of a tag such as `v1.2.3`, `nethermind-1.2.3`,
+ * `@scope/pkg@1.2.3`, `25.10.0-RC1` or a date such as `2026-10-14`. Returns
+ * null when the tag has no version number.
+ *
+ * Build metadata (`+build.5`) is ignored. A suffix makes a pre-release when
+ * it follows a dash (`-rc.1`) or is a pre-release label (`rc1`), so
+ * `1.2.3hotfix2` is a release.
+ */
+function parseVersion(tag) {
+  const name = String(tag).replace(/\+[0-9A-Za-z.-]*$/, '');
+  const date = name.match(/(?:^|[^\d])(\d{4})-(\d{2})-(\d{2})(?:([-.]?)([0-9A-Za-z][0-9A-Za-z.-]*))?$/);
+  const match = date
+    ? [null, date.slice(1, 4).join('.'), date[4], date[5]]
+    : name.match(/(\d+(?:\.\d+)*)(?:([-.]?)([0-9A-Za-z][0-9A-Za-z.-]*))?$/) ||
+      name.match(/(\d+(?:\.\d+)*)/);
+  if (!match) {
+    return null;
+  }
+
+  const [, numbers, separator, suffix] = match;
+  const prerelease = suffix && /[A-Za-z]/.test(suffix) && (separator === '-' || PRERELEASE_LABEL.test(suffix));
+  return {
+    numbers: numbers.split('.').map(Number),
+    prerelease: prerelease ? suffix : null
+  };
+}
+
+/**
+ * Compare two parsed versions; a pre-release sorts before its release
+ */
+function compareParsed(a, b) {
+  const length = Math.max(a.numbers.length, b.numbers.length);
+  for (let i = 0; i < length; i++) {
+    const diff = (a.numbers[i] || 0) - (b.numbers[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  if (a.prerelease && !b.prerelease) {
+    return -1;
+  } else if (!a.prerelease && b.prerelease) {
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * Compare two version tags, or null when either can't be parsed
+ */
+function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  return left && right ? compareParsed(left, right) : null;
+}
+
+/**
+ * Check if two tags name the same version, such as `v1.2.0-rc.1` and the
+ * PyPI-style `1.2.0rc1`
+ */
+function sameVersion(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  const suffix = version => (version.prerelease || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return Boolean(left && right) && compareParsed(left, right) === 0 && suffix(left) === suffix(right);
+}
+
+/**
+ * Check if a parsed version is date-based: a four-digit year first
+ * (`2026.10.1`, `2026-10-14`) or, for `calendar` sources, a two-digit year
+ * and a month (`25.10.0`)
+ */
+function isCalendarVersion(version, calendar) {
+  const [year, month] = version.numbers;
+  return year >= 1000 || (calendar && year <= 99 && month >= 1 && month <= 12);
+}
+
+/**
+ * Classify the step from one version tag to the next as 'major', 'minor',
+ * 'patch' or 'prerelease', or null when either can't be parsed or the
+ * version didn't go up
+ *
+ * Date-based versions (`2026.10.1`, and `25.10.0` with `calendar`) have no
+ * major releases: a new year or month is 'minor' and anything after it
+ * 'patch'. Both versions must be date-based, so `24.0.0` after `23.5.1` is
+ * still a major release. Without `calendar`, `23.1.0` after `22.5.1` is one too.
+ */
+function classifyChange(previous, current, { calendar = false } = {}) {
+  const from = parseVersion(previous);
+  const to = parseVersion(current);
+  if (!from || !to || compareParsed(from, to) >= 0) {
+    return null;
+  }
+  if (to.prerelease) {
+    return 'prerelease';
+  }
+
+  const index = to.numbers.findIndex((number, i) => number !== (from.numbers[i] || 0));
+  if (index === -1) {
+    // Only the pre-release suffix went away, as in 1.2.0-rc.1 to 1.2.0
+    return 'patch';
+  }
+  if (isCalendarVersion(from, calendar) && isCalendarVersion(to, calendar)) {
+    return index <= 1 ? 'minor' : 'patch';
+  }
+  return CHANGES[Math.max(1, 3 - index)];
+}
+
+/**
+ * Split a monorepo tag such as `@ethereumjs/vm@8.1.0`, `hardhat@2.22.0` or
+ * `contracts/v1.2.0` into its package and version. Returns null for tags
+ * without a package prefix, such as `v1.2.0`.
+ */
+function parsePackageTag(tag) {
+  const match = String(tag).match(/^(@?[^@\s]+)@(v?\d[^@\s]*)$/) ||
+    String(tag).match(/^(.*[^/-])[/-](v?\d+\.\d+[^/]*)$/);
+  return match ? { package: match[1], version: match[2] } : null;
+}
+
+module.exports = { CHANGES, parseVersion, compareVersions, sameVersion, classifyChange, parsePackageTag };
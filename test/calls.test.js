@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer } = require('./helpers/mock-server');
+const { setClock } = require('../lib/dates');
+const { itemKey } = require('../lib/state');
+
+process.env.GITHUB_TOKEN = '';
+
+/**
+ * An ethereum/pm issue
+ */
+function issue(number, title, body, extra = {}) {
+  return {
+    number,
+    title,
+    body,
+    comments: 0,
+    html_url: `https://github.com/ethereum/pm/issues/${number}`,
+    ...extra
+  };
+}
+
+const WINDOW = { start: new Date('2026-10-10T00:00:00Z'), end: new Date('2026-10-17T00:00:00Z') };
+
+let calls;
+
+describe('fetchCalls', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockServer();
+    process.env.GITHUB_API_URL = server.url;
+    calls = require('../lib/calls');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('lists the calls scheduled within the window with their recordings and notes', async () => {
+    server.routes['/repos/ethereum/pm/issues?state=all&sort=updated&direction=desc&since=2026-09-10T00:00:00.000Z&per_page=100&page=1'] = {
+      body: [
+        issue(1801, 'All Core Devs - Execution (ACDE) #223, October 15, 2026',
+          '# Meeting Info\n- Date & Time: [October 15, 2026, 14:00 UTC](https://savvytime.com/converter/utc/oct-15-2026/2pm)\n- Duration: 90 minutes',
+          { comments: 2 }),
+        issue(1805, 'All Core Devs - Testing (ACDT) #58, October 12, 2026', 'Agenda to follow'),
+        issue(1790, 'All Core Devs - Consensus (ACDC) #167, October 1, 2026', '- Date & Time: October 1, 2026, 14:00 UTC'),
+        issue(1806, 'Breakout room: FOCIL #12', '- Date & Time: October 14, 2026, 15:00 UTC'),
+        issue(1807, 'Add ACDE #223 notes', '', { pull_request: {} })
+      ]
+    };
+    server.routes['/repos/ethereum/pm/issues/1801/comments?per_page=100'] = {
+      body: [
+        { body: 'Recording: https://youtu.be/abc123\nStream: https://www.youtube.com/watch?v=abc123' },
+        { body: 'Notes: https://github.com/ethereum/pm/blob/master/AllCoreDevs-EL-Meetings/call_223.md\nSee also https://github.com/ethereum/EIPs/pull/9502' }
+      ]
+    };
+
+    const found = await calls.fetchCalls(WINDOW);
+
+    assert.deepEqual(found.map(call => [call.name, call.publishedAt.toISOString(), call.time]), [
+      ['ACDT #58', '2026-10-12T00:00:00.000Z', null],
+      ['ACDE #223', '2026-10-15T14:00:00.000Z', '14:00 UTC']
+    ]);
+    assert.deepEqual(found[1], {
+      call: 'ACDE',
+      callTitle: 'All Core Devs - Execution',
+      number: 223,
+      name: 'ACDE #223',
+      title: 'All Core Devs - Execution (ACDE) #223, October 15, 2026',
+      publishedAt: new Date('2026-10-15T14:00:00Z'),
+      time: '14:00 UTC',
+      url: 'https://github.com/ethereum/pm/issues/1801',
+      recordings: ['https://youtu.be/abc123', 'https://www.youtube.com/watch?v=abc123'],
+      notes: ['https://github.com/ethereum/pm/blob/master/AllCoreDevs-EL-Meetings/call_223.md']
+    });
+    assert.deepEqual(found[0].recordings, []);
+  });
+
+  it('pages past the issues updated since a window long past', async () => {
+    const path = page => `/repos/ethereum/pm/issues?state=all&sort=updated&direction=desc&since=2025-12-06T00:00:00.000Z&per_page=100&page=${page}`;
+    for (let page = 1; page <= 6; page++) {
+      server.routes[path(page)] = {
+        body: Array.from({ length: 100 }, (_, i) => issue(3000 - page * 100 - i, 'Breakout room: FOCIL', 'Agenda'))
+      };
+    }
+    server.routes[path(7)] = {
+      body: [issue(1500, 'All Core Devs - Execution (ACDE) #200, January 8, 2026', '- Date & Time: January 8, 2026, 14:00 UTC')]
+    };
+
+    const found = await calls.fetchCalls({ start: new Date('2026-01-05T00:00:00Z'), end: new Date('2026-01-12T00:00:00Z') });
+
+    assert.deepEqual(found.map(call => call.name), ['ACDE #200']);
+  });
+
+  it('resolves to null when the repository is missing', async () => {
+    assert.equal(await calls.fetchCalls({ start: new Date('2020-01-01T00:00:00Z'), end: new Date('2020-01-08T00:00:00Z') }), null);
+  });
+});
+
+describe('formatCall', () => {
+  after(() => {
+    setClock(null);
+  });
+
+  it('keeps apart an upcoming call, the call once held and once its recording is posted', () => {
+    const call = {
+      call: 'ACDE',
+      number: 223,
+      name: 'ACDE #223',
+      title: 'All Core Devs - Execution (ACDE) #223, October 15, 2026',
+      publishedAt: new Date('2026-10-15T14:00:00Z'),
+      recordings: [],
+      notes: []
+    };
+
+    setClock(new Date('2026-10-14T00:00:00Z'));
+    const upcoming = calls.formatCall(call);
+    setClock(new Date('2026-10-16T00:00:00Z'));
+    const held = calls.formatCall(call);
+    const recorded = calls.formatCall({ ...call, recordings: ['https://youtu.be/abc123'] });
+
+    assert.equal(upcoming.upcoming, true);
+    assert.equal(upcoming.relativeDate, 'upcoming');
+    assert.deepEqual([upcoming, held, recorded].map(itemKey), ['call:ACDE #223@upcoming', 'call:ACDE #223@held', 'call:ACDE #223@recorded']);
+  });
+});
+
+describe('parseCallTitle', () => {
+  it('reads the call type and number from current and older titles', () => {
+    const summary = title => {
+      const call = calls.parseCallTitle(title);
+      return call && [call.type.id, call.number];
+    };
+    assert.deepEqual(summary('All Core Devs - Consensus (ACDC) #167, October 1, 2026'), ['ACDC', 167]);
+    assert.deepEqual(summary('ACDT #58'), ['ACDT', 58]);
+    assert.deepEqual(summary('Execution Layer Meeting 203'), ['ACDE', 203]);
+    assert.deepEqual(summary('Consensus-layer Call 145'), ['ACDC', 145]);
+    assert.equal(summary('RollCall #12'), null);
+  });
+});
+
+describe('parseSchedule', () => {
+  it('reads the date and time in UTC from the body, or the date from the title', () => {
+    const summary = (title, body) => {
+      const schedule = calls.parseSchedule(title, body);
+      return schedule && [schedule.scheduledAt.toISOString(), schedule.time];
+    };
+    assert.deepEqual(summary('ACDE #223', '### Meeting Date/Time: Thursday 2026/10/15 at 9:00 UTC'), ['2026-10-15T09:00:00.000Z', '09:00 UTC']);
+    assert.deepEqual(summary('ACDC #168', '- Date & Time: Oct 22nd, 2026, 14:00-15:30 UTC'), ['2026-10-22T14:00:00.000Z', '14:00 UTC']);
+    assert.deepEqual(summary('ACDT #59, October 19, 2026', 'Agenda'), ['2026-10-19T00:00:00.000Z', null]);
+    assert.equal(summary('ACDT #60', 'Date to be decided'), null);
+  });
+});
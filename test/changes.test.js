@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer } = require('./helpers/mock-server');
+
+process.env.GITHUB_TOKEN = '';
+
+/**
+ * A commit in a compare response
+ */
+function commit(message) {
+  return { commit: { message } };
+}
+
+/**
+ * A pull request, merged unless `merged_at` is given
+ */
+function pull(number, title, labels = [], extra = {}) {
+  return {
+    number,
+    title,
+    user: { login: `dev${number}` },
+    labels: labels.map(name => ({ name })),
+    html_url: `https://github.com/ethereum/go-ethereum/pull/${number}`,
+    merged_at: '2026-10-13T12:00:00Z',
+    ...extra
+  };
+}
+
+let changes;
+
+describe('fetchChanges', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockServer();
+    process.env.GITHUB_API_URL = server.url;
+    changes = require('../lib/changes');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('groups the merged pull requests between two tags by label and title', async () => {
+    const base = '/repos/ethereum/go-ethereum';
+    server.routes[`${base}/compare/v1.16.7...v1.16.8`] = {
+      body: {
+        html_url: 'https://github.com/ethereum/go-ethereum/compare/v1.16.7...v1.16.8',
+        total_commits: 5,
+        commits: [
+          commit('eth: add eth_simulateV2 (#101)'),
+          commit('Merge pull request #102 from carol/fix-sync'),
+          commit('core/state: cache storage roots (#103)'),
+          commit('docs: typos (#104)'),
+          commit('params: release v1.16.8')
+        ]
+      }
+    };
+    server.routes[`${base}/pulls/101`] = { body: pull(101, 'eth: add eth_simulateV2', ['enhancement']) };
+    server.routes[`${base}/pulls/102`] = { body: pull(102, 'eth/downloader: fix stalled sync', ['type:bug']) };
+    server.routes[`${base}/pulls/103`] = { body: pull(103, 'perf(state): cache storage roots') };
+    server.routes[`${base}/pulls/104`] = { body: pull(104, 'docs: typos') };
+
+    const result = await changes.fetchChanges('ethereum/go-ethereum', 'v1.16.7', 'v1.16.8');
+
+    assert.equal(result.url, 'https://github.com/ethereum/go-ethereum/compare/v1.16.7...v1.16.8');
+    assert.equal(result.commits, 5);
+    assert.equal(result.pulls, 4);
+    assert.equal(result.more, 0);
+    assert.deepEqual(result.groups.map(group => [group.id, group.pulls.map(item => item.number)]), [
+      ['features', [101]],
+      ['fixes', [102]],
+      ['performance', [103]],
+      ['other', [104]]
+    ]);
+    assert.deepEqual(result.groups[1].pulls[0], {
+      number: 102,
+      title: 'eth/downloader: fix stalled sync',
+      author: 'dev102',
+      labels: ['type:bug'],
+      url: 'https://github.com/ethereum/go-ethereum/pull/102'
+    });
+  });
+
+  it('only looks up the newest pull requests', async () => {
+    const numbers = Array.from({ length: changes.MAX_PULLS + 5 }, (_, i) => 200 + i);
+    server.routes['/repos/example/repo/compare/v2.0.0...v2.1.0'] = {
+      body: {
+        html_url: 'https://github.com/example/repo/compare/v2.0.0...v2.1.0',
+        total_commits: numbers.length,
+        commits: numbers.map(n => commit(`change ${n} (#${n})`))
+      }
+    };
+    for (const n of numbers) {
+      server.routes[`/repos/example/repo/pulls/${n}`] = { body: pull(n, `change ${n}`) };
+    }
+    server.routes['/repos/example/repo/pulls/224'] = { body: pull(224, 'closed', [], { merged_at: null }) };
+
+    const result = await changes.fetchChanges('example/repo', 'v2.0.0', 'v2.1.0');
+
+    assert.equal(result.pulls, 25);
+    assert.equal(result.more, 5);
+    const listed = result.groups.flatMap(group => group.pulls.map(item => item.number));
+    assert.equal(listed.length, changes.MAX_PULLS - 1, 'pull requests that were not merged are left out');
+    assert.equal(listed[0], 223);
+    assert.ok(!listed.includes(204));
+  });
+
+  it('flags comparisons the compare API only listed part of', async () => {
+    server.routes['/repos/example/repo/compare/v3.0.0...v3.1.0'] = {
+      body: {
+        html_url: 'https://github.com/example/repo/compare/v3.0.0...v3.1.0',
+        total_commits: 400,
+        commits: Array.from({ length: 250 }, (_, i) => commit(`change ${i}`))
+      }
+    };
+
+    const result = await changes.fetchChanges('example/repo', 'v3.0.0', 'v3.1.0');
+
+    assert.equal(result.commits, 400);
+    assert.equal(result.truncated, true);
+  });
+
+  it('names the missing tag when there is nothing to compare', async () => {
+    server.routes['/repos/example/repo/git/ref/tags/v0.0.1'] = { body: { ref: 'refs/tags/v0.0.1', object: { sha: 'abc', type: 'commit' } } };
+
+    await assert.rejects(changes.fetchChanges('example/repo', 'v0.0.1', 'v9.9.9'), /^Error: tag v9\.9\.9 not found$/);
+    await assert.rejects(changes.fetchChanges('example/repo', 'v0.0.0', 'v9.9.9'), /^Error: tag v0\.0\.0 and v9\.9\.9 not found$/);
+  });
+});
+
+describe('pullNumber', () => {
+  it('reads the pull request from merge and squash commits', () => {
+    assert.equal(changes.pullNumber('Merge pull request #123 from alice/rpc\n\nAdd eth_foo'), 123);
+    assert.equal(changes.pullNumber('core: faster trie hashing (#4567)\n\nCo-authored-by: bob'), 4567);
+    assert.equal(changes.pullNumber('params: begin v1.16.9 release cycle'), null);
+    assert.equal(changes.pullNumber('revert "see #12" for now'), null);
+  });
+});
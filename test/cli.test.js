@@ -0,0 +1,519 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockServer } = require('./helpers/mock-server');
+
+const BIN = path.join(__dirname, '..', 'bin', 'ethereal.js');
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+/**
+ * A GitHub API release
+ */
+function release(tag, date, extra = {}) {
+  return {
+    tag_name: tag,
+    html_url: `https://github.com/example/releases/tag/${tag}`,
+    published_at: date,
+    created_at: date,
+    prerelease: false,
+    draft: false,
+    body: '',
+    ...extra
+  };
+}
+
+const releasesPath = repository => `/repos/${repository}/releases?per_page=100&page=1`;
+const issuesPath = since => `/repos/ethereum/pm/issues?state=all&sort=updated&direction=desc&since=${since}&per_page=100&page=1`;
+const pullsPath = repository => `/repos/${repository}/pulls?state=closed&sort=updated&direction=desc&per_page=100&page=1`;
+
+/**
+ * A proposal file as the GitHub contents API returns it
+ */
+function proposalFile(status) {
+  const text = `---\neip: 7702\ntitle: Set Code for EOAs\nstatus: ${status}\ncategory: Core\n---\n`;
+  return { body: { encoding: 'base64', content: Buffer.from(text).toString('base64') } };
+}
+
+describe('ethereal CLI', () => {
+  let server;
+  let dir;
+  let sourcesFile;
+
+  /**
+   * Run a script against the mock server, resolving to { code, stdout, stderr }
+   */
+  function runScript(script, args) {
+    return new Promise(resolve => {
+      execFile(process.execPath, [script, ...args, '--sources', sourcesFile], {
+        cwd: dir,
+        env: {
+          ...process.env,
+          GITHUB_API_URL: server.url,
+          GITHUB_TOKEN: '',
+          ETHEREAL_CACHE_DIR: path.join(dir, 'cache'),
+          ETHEREAL_STATE: path.join(dir, 'state.json')
+        }
+      }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+  }
+
+  /**
+   * Run the CLI against the mock server
+   */
+  function ethereal(...args) {
+    return runScript(BIN, args);
+  }
+
+  before(async () => {
+    server = await startMockServer({
+      [releasesPath('ethereum/go-ethereum')]: {
+        body: [
+          release('v1.16.8', '2026-10-14T10:00:00Z', {
+            body: 'This is a **mandatory** upgrade.\n\n## Security\n- Fixes GHSA-abcd-1234-efgh in the p2p layer'
+          }),
+          release('v1.16.7', '2026-09-30T10:00:00Z')
+        ]
+      },
+      '/repos/ethereum/go-ethereum/compare/v1.16.7...v1.16.8': {
+        body: {
+          html_url: 'https://github.com/ethereum/go-ethereum/compare/v1.16.7...v1.16.8',
+          total_commits: 3,
+          commits: [
+            { commit: { message: 'eth/downloader: fix stalled sync (#32001)' } },
+            { commit: { message: 'params: release v1.16.8' } },
+            { commit: { message: 'Merge pull request #32002 from dev/simulate' } }
+          ]
+        }
+      },
+      '/repos/ethereum/go-ethereum/pulls/32001': {
+        body: {
+          title: 'eth/downloader: fix stalled sync',
+          user: { login: 'alice' },
+          labels: [{ name: 'bug' }],
+          html_url: 'https://github.com/ethereum/go-ethereum/pull/32001',
+          merged_at: '2026-10-13T00:00:00Z'
+        }
+      },
+      '/repos/ethereum/go-ethereum/pulls/32002': {
+        body: {
+          title: 'feat: eth_simulateV2',
+          user: { login: 'bob' },
+          labels: [],
+          html_url: 'https://github.com/ethereum/go-ethereum/pull/32002',
+          merged_at: '2026-10-13T00:00:00Z'
+        }
+      },
+      [releasesPath('erigontech/erigon')]: {
+        body: [release('v3.3.0-rc1', '2026-10-12T08:00:00Z', { prerelease: true })]
+      },
+      [releasesPath('sigp/lighthouse')]: {
+        body: [release('v8.0.1', '2026-10-16T23:59:59Z')]
+      },
+      [releasesPath('foundry-rs/foundry')]: {
+        body: [release('v1.4.0', '2026-10-17T00:00:00Z')]
+      },
+      [releasesPath('ethereumjs/ethereumjs-monorepo')]: {
+        body: [
+          release('@ethereumjs/vm@10.0.1', '2026-10-15T09:00:00Z'),
+          release('@ethereumjs/tx@10.0.1', '2026-10-15T08:00:00Z'),
+          release('@ethereumjs/vm@10.0.0', '2026-10-12T09:00:00Z'),
+          release('@ethereumjs/testdata@1.0.0', '2026-10-12T08:00:00Z')
+        ]
+      },
+      '/repos/ethereumjs/ethereumjs-monorepo/compare/%40ethereumjs/vm%4010.0.0...%40ethereumjs/vm%4010.0.1': {
+        status: 422,
+        body: { message: 'No common ancestor' }
+      },
+      [pullsPath('ethereum/EIPs')]: {
+        body: [{
+          number: 9502,
+          title: 'Update EIP-7702: Move to Last Call',
+          html_url: 'https://github.com/ethereum/EIPs/pull/9502',
+          merged_at: '2026-10-15T12:00:00Z',
+          updated_at: '2026-10-15T12:00:00Z',
+          merge_commit_sha: 'after',
+          base: { sha: 'fork' }
+        }]
+      },
+      '/repos/ethereum/EIPs/git/commits/after': { body: { sha: 'after', parents: [{ sha: 'before' }] } },
+      '/repos/ethereum/EIPs/pulls/9502/files?per_page=100&page=1': {
+        body: [{ filename: 'EIPS/eip-7702.md', status: 'modified', patch: '-status: Review\n+status: Last Call' }]
+      },
+      '/repos/ethereum/EIPs/contents/EIPS/eip-7702.md?ref=before': proposalFile('Review'),
+      '/repos/ethereum/EIPs/contents/EIPS/eip-7702.md?ref=after': proposalFile('Last Call'),
+      [pullsPath('ethereum/ERCs')]: { body: [] },
+      [issuesPath('2026-09-10T00:00:00.000Z')]: {
+        body: [{
+          number: 1801,
+          title: 'All Core Devs - Execution (ACDE) #223, October 15, 2026',
+          body: '- Date & Time: [October 15, 2026, 14:00 UTC](https://savvytime.com/converter/utc/oct-15-2026/2pm)',
+          comments: 1,
+          html_url: 'https://github.com/ethereum/pm/issues/1801'
+        }]
+      },
+      '/repos/ethereum/pm/issues/1801/comments?per_page=100': {
+        body: [{ body: 'Recording: https://youtu.be/abc123' }]
+      },
+      '/blog/feed.xml': { body: fixture('rss.xml') },
+      '/vitalik/feed.xml': { body: fixture('atom.xml') },
+      '/no-feed': { body: fixture('not-a-feed.html') }
+    });
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethereal-cli-'));
+    sourcesFile = path.join(dir, 'sources.json');
+    const github = (id, name, category, owner, repo) => ({ id, name, type: 'github', category, owner, repo });
+    const feed = (id, name, url) => ({ id, name, type: 'feed', category: 'blog', url: `${server.url}${url}` });
+    fs.writeFileSync(sourcesFile, JSON.stringify({
+      version: 1,
+      sources: [
+        github('geth', 'Geth', 'execution', 'ethereum', 'go-ethereum'),
+        github('erigon', 'Erigon', 'execution', 'erigontech', 'erigon'),
+        github('lighthouse', 'Lighthouse', 'consensus', 'sigp', 'lighthouse'),
+        github('foundry', 'Foundry', 'dev-tool', 'foundry-rs', 'foundry'),
+        {
+          ...github('ethereumjs', 'EthereumJS', 'dev-tool', 'ethereumjs', 'ethereumjs-monorepo'),
+          options: { monorepo: { include: ['@ethereumjs/*'], exclude: ['@ethereumjs/testdata'] } }
+        },
+        feed('ef-blog', 'EF Blog', '/blog/feed.xml'),
+        feed('vitalik', 'Vitalik', '/vitalik/feed.xml'),
+        feed('broken', 'Broken Blog', '/no-feed')
+      ]
+    }));
+  });
+
+  after(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('prints a text summary of the window for every checker', async () => {
+    const { code, stdout } = await ethereal('all', '--week', '2026-10-10');
+    const summary = stdout.slice(stdout.indexOf('WEEKLY SUMMARY'));
+
+    assert.equal(code, 0);
+    assert.match(stdout, /📊 WEEKLY SUMMARY \(2026-10-10 to 2026-10-16\)/);
+    assert.match(stdout, /Checking Geth\.\.\. ✓ Found 1 release: v1\.16\.8/);
+    assert.match(stdout, /Checking Broken Blog\.\.\. ✗ Error: Response is HTML, not a feed/);
+    assert.match(summary, /Geth v1\.16\.8/);
+    assert.match(summary, /❗ Mandatory upgrade/);
+    assert.match(summary, /GHSA-abcd-1234-efgh/);
+    assert.match(summary, /Erigon v3\.3\.0-rc1 \(Pre-release\)/);
+    assert.match(summary, /Lighthouse v8\.0\.1/);
+    assert.match(summary, /Fusaka Mainnet Announcement/);
+    assert.match(summary, /Layer 2 scaling in 2026/);
+    // Outside the window: the end is excluded, and earlier releases and posts are left out
+    assert.doesNotMatch(summary, /v1\.4\.0/);
+    assert.doesNotMatch(summary, /Geth v1\.16\.7/);
+    assert.match(summary, /Change: v1\.16\.7 → v1\.16\.8 \(patch\)/);
+    assert.doesNotMatch(summary, /Allocation Update Q3/);
+    assert.match(summary, /EIP-7702: Set Code for EOAs\n {2}Status: Review → Last Call\n {2}Category: Core/);
+    assert.match(summary, /ACDE #223: All Core Devs - Execution\n {2}When: October 15, 2026, 14:00 UTC \([^)]+\)\n {2}Agenda: https:\/\/github\.com\/ethereum\/pm\/issues\/1801\n {2}Recording: https:\/\/youtu\.be\/abc123/);
+    assert.match(summary, /EIPs and ERCs:\n {4}Repositories Checked: 2\n {4}New Proposals: 0\n {4}Status Changes: 1/);
+  });
+
+  it('leaves pre-releases out with --no-prereleases', async () => {
+    const { stdout } = await ethereal('clients', '--week', '2026-10-10', '--no-prereleases', '-q');
+
+    assert.doesNotMatch(stdout, /v3\.3\.0-rc1/);
+    assert.match(stdout, /Geth v1\.16\.8/);
+  });
+
+  it('leaves out releases smaller than --min-change', async () => {
+    const { stdout } = await ethereal('clients', '--week', '2026-10-10', '--min-change', 'minor', '-q');
+
+    assert.doesNotMatch(stdout, /Geth v1\.16\.8/, 'a patch release');
+    assert.match(stdout, /Lighthouse v8\.0\.1/, 'no earlier version to compare with');
+  });
+
+  it('renders the newsletter draft', async () => {
+    const { code, stdout, stderr } = await ethereal('all', '--week', '2026-10-10', '--format', 'markdown');
+
+    assert.equal(code, 0);
+    assert.match(stdout, /\[Geth v1\.16\.8\]\(https:\/\/github\.com\/example\/releases\/tag\/v1\.16\.8\)/);
+    assert.match(stdout, /\[Fusaka Mainnet Announcement\]\(https:\/\/blog\.ethereum\.org\/2026\/10\/14\/fusaka-mainnet\)/);
+    assert.match(stdout, /## EIPs and ERCs\n\n- \[EIP-7702\]\(https:\/\/eips\.ethereum\.org\/EIPS\/eip-7702\): Set Code for EOAs, Review → Last Call \(\[#9502\]\(https:\/\/github\.com\/ethereum\/EIPs\/pull\/9502\)\)/);
+    assert.match(stdout, /## All Core Devs calls\n\n- \[ACDE #223\]\(https:\/\/github\.com\/ethereum\/pm\/issues\/1801\) \(All Core Devs - Execution\), October 15, 2026, 14:00 UTC, \[recording\]\(https:\/\/youtu\.be\/abc123\)\n/);
+    assert.match(stderr, /Checking Geth/, 'progress goes to stderr');
+  });
+
+  it('lists the pull requests merged since the previous release with --changes', async () => {
+    const text = await ethereal('clients', '--week', '2026-10-10', '--changes', '-q');
+    assert.match(text.stdout, /Changes since v1\.16\.7: 2 pull requests, 3 commits\n {4}Features:\n {6}#32002 feat: eth_simulateV2 \(@bob\)\n {4}Fixes:\n {6}#32001 eth\/downloader: fix stalled sync \(@alice\)/);
+    assert.match(text.stdout, /Compare: https:\/\/github\.com\/ethereum\/go-ethereum\/compare\/v1\.16\.7\.\.\.v1\.16\.8/);
+
+    const { stdout } = await ethereal('clients', '--week', '2026-10-10', '--changes', '--format', 'markdown', '-q');
+    assert.match(stdout, /\n {2}- \[Changes since v1\.16\.7\]\(.*compare.*\):\n {4}- Features:\n {6}- \[#32002\]\(.*\/pull\/32002\) feat: eth_simulateV2 by @bob\n/);
+
+    const report = JSON.parse((await ethereal('clients', '--week', '2026-10-10', '--changes', '--json')).stdout);
+    const geth = report.items.find(item => item.version === 'v1.16.8');
+    assert.deepEqual(geth.changes.groups.map(group => group.id), ['features', 'fixes']);
+    assert.equal(report.items.find(item => item.version === 'v8.0.1').changes, null);
+  });
+
+  it('reports changes that could not be listed as warnings of the source, except with --quiet', async () => {
+    const { stdout } = await ethereal('dev-tools', '--week', '2026-10-10', '--changes');
+    assert.match(stdout, /Checking EthereumJS\.\.\. ✓ Found .*\n {4}⚠️ {2}Couldn't list the changes in @ethereumjs\/vm@10\.0\.1: GitHub API error: 422/);
+
+    const quiet = await ethereal('dev-tools', '--week', '2026-10-10', '--changes', '-q');
+    assert.doesNotMatch(quiet.stdout + quiet.stderr, /⚠️/);
+
+    const report = JSON.parse((await ethereal('dev-tools', '--week', '2026-10-10', '--changes', '--json', '-q')).stdout);
+    const ethereumjs = report.sources.find(source => source.name === 'EthereumJS');
+    assert.equal(ethereumjs.warnings.length, 1);
+    assert.match(ethereumjs.warnings[0], /^Couldn't list the changes in @ethereumjs\/vm@10\.0\.1: GitHub API error: 422/);
+    assert.deepEqual(report.sources.find(source => source.name === 'Foundry').warnings, []);
+  });
+
+  it('writes JSON with every source check and item', async () => {
+    const { code, stdout } = await ethereal('all', '--since', '2026-09-01', '--until', '2026-10-17', '--json', '-q');
+    const report = JSON.parse(stdout);
+
+    assert.equal(code, 0);
+    assert.equal(report.schemaVersion, 1);
+    assert.equal(report.window.start, '2026-09-01T00:00:00.000Z');
+    assert.equal(report.summary.sourcesChecked, 11);
+    assert.equal(report.summary.sourcesFailed, 1);
+    const reported = report.items.filter(item => item.kind === 'release' && item.reported);
+    assert.deepEqual(reported.map(item => item.version).sort(), [
+      '@ethereumjs/tx@10.0.1',
+      '@ethereumjs/vm@10.0.1',
+      'v1.16.7',
+      'v1.16.8',
+      'v3.3.0-rc1',
+      'v8.0.1'
+    ]);
+    const foundry = report.items.find(item => item.version === 'v1.4.0');
+    assert.equal(foundry.inWindow, false);
+    const broken = report.sources.find(source => source.name === 'Broken Blog');
+    assert.equal(broken.status, 'error');
+    assert.match(broken.error, /not a feed/);
+    const proposal = report.items.find(item => item.kind === 'proposal');
+    assert.deepEqual([proposal.number, proposal.previousStatus, proposal.status, proposal.reported], [7702, 'Review', 'Last Call', true]);
+  });
+
+  it('exports the reported releases and posts as Atom and RSS feed files', async () => {
+    const atomFile = path.join(dir, 'feed.atom');
+    const rssFile = path.join(dir, 'feed.rss');
+    const { code, stdout } = await ethereal('export-feed', '--week', '2026-10-10', '--atom', atomFile, '--rss', rssFile,
+      '--atom-url', 'https://example.com/feed.atom', '--rss-url', 'https://example.com/feed.rss');
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Atom feed written to .*feed\.atom/);
+    const atom = fs.readFileSync(atomFile, 'utf8');
+    assert.match(atom, /<id>urn:ethereal:release:ethereum\/go-ethereum@v1\.16\.8<\/id>/);
+    assert.match(atom, /<category term="execution" label="Execution clients"\/>/);
+    assert.match(atom, /<title>Fusaka Mainnet Announcement<\/title>/);
+    assert.doesNotMatch(atom, /EIP-7702|ACDE/, 'only releases and posts are exported');
+    assert.match(atom, /<link rel="self" type="application\/atom\+xml" href="https:\/\/example\.com\/feed\.atom"\/>/);
+
+    const rss = fs.readFileSync(rssFile, 'utf8');
+    assert.match(rss, /<guid isPermaLink="false">urn:ethereal:release:ethereum\/go-ethereum@v1\.16\.8<\/guid>/);
+    assert.match(rss, /<category domain="dev-tools">Dev tools<\/category>/);
+    assert.match(rss, /<atom:link rel="self" type="application\/rss\+xml" href="https:\/\/example\.com\/feed\.rss"\/>/);
+
+    const again = await ethereal('export-feed', '--week', '2026-10-10', '--feed-url', 'https://example.com/feed.atom', '-q');
+    assert.equal(again.stdout, atom, 'without files, the Atom feed goes to stdout');
+  });
+
+  it('prints the export-feed format asked for and rejects the report formats', async () => {
+    const rss = await ethereal('export-feed', '--week', '2026-10-10', '--format', 'rss', '--feed-url', 'https://example.com/feed.rss', '-q');
+    assert.equal(rss.code, 0);
+    assert.match(rss.stdout, /^<\?xml[^\n]*\n<rss version="2\.0"/);
+    assert.match(rss.stdout, /<atom:link rel="self" type="application\/rss\+xml" href="https:\/\/example\.com\/feed\.rss"\/>/);
+
+    const json = await ethereal('export-feed', '--week', '2026-10-10', '--format', 'json');
+    assert.equal(json.code, 1);
+    assert.match(json.stderr, /Invalid --format for export-feed: json \(expected one of: atom, rss\)/);
+
+    const both = await ethereal('export-feed', '--format', 'rss', '--rss', path.join(dir, 'unused.rss'));
+    assert.equal(both.code, 1);
+    assert.match(both.stderr, /Use --format to print a feed, or --atom and --rss to write feed files, not both/);
+
+    const twoFeeds = await ethereal('export-feed', '--atom', 'a.atom', '--rss', 'a.rss', '--feed-url', 'https://example.com/feed');
+    assert.equal(twoFeeds.code, 1);
+    assert.match(twoFeeds.stderr, /--feed-url is the URL of one feed; give --atom-url and --rss-url for both/);
+
+    const badUrl = await ethereal('export-feed', '--feed-url', 'feed.atom');
+    assert.match(badUrl.stderr, /Invalid --feed-url: feed\.atom/);
+
+    const twoUrls = await ethereal('export-feed', '--feed-url', 'https://example.com/a', '--atom-url', 'https://example.com/b');
+    assert.match(twoUrls.stderr, /Use --feed-url or --atom-url, not both/);
+  });
+
+  it('hides items marked as published from later --new-only runs', async () => {
+    const stateFile = path.join(dir, 'published.json');
+    const first = await ethereal('clients', '--week', '2026-10-10', '--new-only', '--state', stateFile, '-q');
+    assert.match(first.stdout, /Geth v1\.16\.8/);
+    const pending = JSON.parse(fs.readFileSync(stateFile, 'utf8')).pending;
+    assert.ok(pending.items['release:ethereum/go-ethereum@v1.16.8']);
+    assert.equal(pending.window.start, '2026-10-10T00:00:00.000Z');
+
+    const marked = await ethereal('mark-published', '--state', stateFile);
+    assert.match(marked.stdout, /✓ Marked 3 items as published/);
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    assert.equal(state.pending, null);
+    assert.ok(state.published['release:sigp/lighthouse@v8.0.1'].issuePublishedAt);
+
+    const second = await ethereal('clients', '--week', '2026-10-10', '--new-only', '--state', stateFile, '-q');
+    assert.doesNotMatch(second.stdout, /Geth v1\.16\.8|Lighthouse v8\.0\.1/);
+
+    const all = await ethereal('clients', '--week', '2026-10-10', '--state', stateFile, '-q');
+    assert.match(all.stdout, /Geth v1\.16\.8/, 'published items are shown without --new-only');
+  });
+
+  it('leaves the state file alone without --new-only or --state', async () => {
+    await ethereal('clients', '--week', '2026-10-10', '-q');
+
+    assert.equal(fs.existsSync(path.join(dir, 'state.json')), false);
+  });
+
+  it('lists the newest release of each monorepo package under its repository', async () => {
+    const text = await ethereal('dev-tools', '--week', '2026-10-10', '-q');
+    assert.match(text.stdout, /EthereumJS \(ethereumjs\/ethereumjs-monorepo\)\n\n {2}@ethereumjs\/tx 10\.0\.1\n {4}Released: October 15, 2026/);
+    assert.match(text.stdout, /\n {2}@ethereumjs\/vm 10\.0\.1\n/);
+    assert.doesNotMatch(text.stdout, /vm 10\.0\.0|testdata/);
+
+    const { stdout } = await ethereal('dev-tools', '--week', '2026-10-10', '--format', 'markdown', '-q');
+    assert.match(stdout, /- EthereumJS \(ethereumjs\/ethereumjs-monorepo\):\n {2}- \[@ethereumjs\/tx 10\.0\.1\]\(.*\), released October 15, 2026\n {2}- \[@ethereumjs\/vm 10\.0\.1\]/);
+
+    const report = JSON.parse((await ethereal('dev-tools', '--week', '2026-10-10', '--json')).stdout);
+    const vm = report.items.filter(item => item.package === '@ethereumjs/vm');
+    assert.deepEqual(vm.map(item => [item.packageVersion, item.reported]), [['10.0.1', true], ['10.0.0', false]]);
+  });
+
+  it('runs the check-* scripts like their subcommands', async () => {
+    const script = path.join(__dirname, '..', 'scripts', 'check-client-releases.js');
+    const expected = await ethereal('clients', '--week', '2026-10-10', '-q');
+    const { code, stdout } = await runScript(script, ['--week', '2026-10-10', '-q']);
+
+    assert.equal(code, 0);
+    assert.equal(stdout, expected.stdout, 'the registry comes from --sources');
+
+    const invalid = await runScript(script, ['--days', 'abc']);
+    assert.equal(invalid.code, 1);
+    assert.match(invalid.stderr, /Invalid --days: abc/);
+
+    process.env.ETHEREAL_SOURCES = sourcesFile;
+    try {
+      const { CLIENTS } = require(script);
+      assert.deepEqual([...CLIENTS.execution, ...CLIENTS.consensus].map(client => client.name), ['Geth', 'Erigon', 'Lighthouse']);
+    } finally {
+      delete process.env.ETHEREAL_SOURCES;
+    }
+  });
+
+  it('filters sources by tag and category', async () => {
+    const { stdout } = await ethereal('sources', 'list', '--category', 'execution');
+
+    assert.match(stdout, /geth/);
+    assert.match(stdout, /erigon/);
+    assert.doesNotMatch(stdout, /lighthouse/);
+    assert.match(stdout, /2 sources/);
+  });
+
+  it('renders a custom template', async () => {
+    const template = path.join(dir, 'short.md');
+    fs.writeFileSync(template, '{{window.since}} to {{window.until}}{{#execution}}:{{#items}} {{name}} {{version}}{{/items}}{{/execution}}\n');
+
+    const { stdout } = await ethereal('clients', '--week', '2026-10-10', '-f', 'markdown', '--template', template, '-q');
+    assert.match(stdout, /^2026-10-10 to 2026-10-16:.* Geth v1\.16\.8/);
+    assert.doesNotMatch(stdout, /Lighthouse/, 'sections are only rendered where the template asks');
+  });
+
+  it('writes NDJSON records to --output', async () => {
+    const output = path.join(dir, 'report.ndjson');
+    const { code, stdout, stderr } = await ethereal('clients', '--week', '2026-10-10', '--ndjson', '-o', output);
+    const records = fs.readFileSync(output, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+    assert.equal(code, 0);
+    assert.equal(stdout, '');
+    assert.match(stderr, /Report written to/);
+    assert.equal(records[0].record, 'run');
+    assert.equal(records[0].window.label, '2026-10-10 to 2026-10-16');
+    const geth = records.findIndex(record => record.record === 'source' && record.name === 'Geth');
+    assert.equal(records[geth + 1].record, 'item');
+    assert.equal(records[geth + 1].version, 'v1.16.8');
+  });
+
+  it('prints the readiness matrix for an upgrade', async () => {
+    const { code, stdout } = await ethereal('readiness', 'fusaka', '--json', '-q');
+    const clients = Object.fromEntries(JSON.parse(stdout).clients.map(client => [client.name, client]));
+
+    assert.equal(code, 0);
+    assert.equal(clients.Geth.status, 'ready');
+    assert.equal(clients.Geth.version, 'v1.16.7', 'the first release at or above the minimum');
+    assert.equal(clients.Lighthouse.status, 'ready');
+    assert.equal(clients.Erigon.status, 'pending', 'pre-releases do not count');
+
+    const list = await ethereal('readiness');
+    assert.match(list.stdout, /fusaka +Fusaka/);
+
+    const unknown = await ethereal('readiness', 'pectra');
+    assert.equal(unknown.code, 1);
+    assert.match(unknown.stderr, /Unknown upgrade: pectra/);
+  });
+
+  it('adds, validates and removes sources', async () => {
+    const count = () => JSON.parse(fs.readFileSync(sourcesFile, 'utf8')).sources.length;
+    const before = count();
+
+    const added = await ethereal('sources', 'add', '--name', 'Lodestar', '--category', 'consensus', '--repo', 'ChainSafe/lodestar', '--tag', 'typescript');
+    assert.match(added.stdout, /✓ Added lodestar/);
+    const lodestar = JSON.parse(fs.readFileSync(sourcesFile, 'utf8')).sources.find(source => source.id === 'lodestar');
+    assert.deepEqual(lodestar, {
+      id: 'lodestar',
+      name: 'Lodestar',
+      type: 'github',
+      category: 'consensus',
+      owner: 'ChainSafe',
+      repo: 'lodestar',
+      tags: ['typescript']
+    });
+
+    const duplicate = await ethereal('sources', 'add', '--name', 'Lodestar', '--category', 'consensus', '--repo', 'ChainSafe/lodestar');
+    assert.equal(duplicate.code, 1);
+    assert.match(duplicate.stderr, /duplicate id/);
+
+    const teku = await ethereal('sources', 'add', '--name', 'Teku (calendar)', '--id', 'teku-calendar', '--category', 'consensus',
+      '--repo', 'Consensys/teku-calendar', '--options', '{"calendar": true}');
+    assert.match(teku.stdout, /✓ Added teku-calendar/);
+    const calendar = JSON.parse(fs.readFileSync(sourcesFile, 'utf8')).sources.find(source => source.id === 'teku-calendar');
+    assert.deepEqual(calendar.options, { calendar: true });
+    assert.equal((await ethereal('sources', 'remove', 'teku-calendar')).code, 0);
+
+    const badJSON = await ethereal('sources', 'add', '--name', 'Grandine', '--category', 'consensus', '--repo', 'grandinetech/grandine', '--options', '{calendar}');
+    assert.equal(badJSON.code, 1);
+    assert.match(badJSON.stderr, /Invalid --options/);
+
+    const badOption = await ethereal('sources', 'add', '--name', 'Grandine', '--category', 'consensus', '--repo', 'grandinetech/grandine', '--options', '{"strategy": "nightly"}');
+    assert.equal(badOption.code, 1);
+    assert.match(badOption.stderr, /invalid value for option "strategy"/);
+
+    const valid = await ethereal('sources', 'validate');
+    assert.match(valid.stdout, new RegExp(`is valid \\(${before + 1} sources\\)`));
+
+    const removed = await ethereal('sources', 'remove', 'lodestar');
+    assert.match(removed.stdout, /✓ Removed lodestar/);
+    assert.equal(count(), before);
+  });
+
+  it('rejects unknown and conflicting output formats', async () => {
+    const format = await ethereal('clients', '--format', 'html');
+    assert.equal(format.code, 1);
+    assert.match(format.stderr, /Invalid --format: html/);
+
+    const formats = await ethereal('clients', '--json', '--ndjson');
+    assert.equal(formats.code, 1);
+    assert.match(formats.stderr, /Use only one of --format, --json and --ndjson/);
+  });
+
+  it('exits with an error for bad arguments', async () => {
+    const { code, stderr } = await ethereal('clients', '--days', 'abc');
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Invalid --days: abc/);
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  formatDate,
+  formatLongDate,
+  parseDateArg,
+  resolveWindow,
+  isWithinWindow,
+  setClock
+} = require('../lib/dates');
+
+// Monday October 19, 2026, mid-morning UTC
+const NOW = new Date('2026-10-19T09:30:00Z');
+
+describe('resolveWindow', () => {
+  it('defaults to the last 7 days ending now', () => {
+    const window = resolveWindow({ now: NOW });
+
+    assert.deepEqual(window.start, new Date('2026-10-12T09:30:00Z'));
+    assert.deepEqual(window.end, NOW);
+    assert.equal(window.label, 'Last 7 Days');
+    assert.equal(window.phrase, 'in last 7 days');
+  });
+
+  it('uses a singular label for one day', () => {
+    assert.equal(resolveWindow({ days: '1', now: NOW }).label, 'Last 1 Day');
+  });
+
+  it('labels explicit windows with the last day included', () => {
+    const window = resolveWindow({ since: '2026-10-10', until: '2026-10-17', now: NOW });
+
+    assert.deepEqual(window.start, new Date('2026-10-10T00:00:00Z'));
+    assert.deepEqual(window.end, new Date('2026-10-17T00:00:00Z'));
+    assert.equal(window.label, '2026-10-10 to 2026-10-16');
+    assert.equal(window.phrase, 'from 2026-10-10 to 2026-10-16');
+  });
+
+  it('counts --days back from --until', () => {
+    const window = resolveWindow({ until: '2026-10-17', days: '3', now: NOW });
+    assert.deepEqual(window.start, new Date('2026-10-14T00:00:00Z'));
+  });
+
+  it('resolves newsletter weeks from Saturday to Friday UTC', () => {
+    const last = resolveWindow({ week: 'last', now: NOW });
+    assert.deepEqual(last.start, new Date('2026-10-10T00:00:00Z'));
+    assert.deepEqual(last.end, new Date('2026-10-17T00:00:00Z'));
+
+    const current = resolveWindow({ week: 'this', now: NOW });
+    assert.deepEqual(current.start, new Date('2026-10-17T00:00:00Z'));
+  });
+
+  it('treats a Saturday as the first day of its week', () => {
+    const window = resolveWindow({ week: '2026-10-17', now: NOW });
+    assert.deepEqual(window.start, new Date('2026-10-17T00:00:00Z'));
+
+    const friday = resolveWindow({ week: '2026-10-16', now: NOW });
+    assert.deepEqual(friday.start, new Date('2026-10-10T00:00:00Z'));
+  });
+
+  it('rejects conflicting and invalid options', () => {
+    assert.throws(() => resolveWindow({ week: 'last', days: '7', now: NOW }), /--week cannot be combined/);
+    assert.throws(() => resolveWindow({ since: '2026-10-01', days: '7', now: NOW }), /--days cannot be combined/);
+    assert.throws(() => resolveWindow({ days: '0', now: NOW }), /Invalid --days/);
+    assert.throws(() => resolveWindow({ days: 'abc', now: NOW }), /Invalid --days/);
+    assert.throws(() => resolveWindow({ since: '2026-10-17', until: '2026-10-17', now: NOW }), /window is empty/);
+    assert.throws(() => resolveWindow({ since: 'yesterday', now: NOW }), /Invalid --since date: yesterday/);
+  });
+});
+
+describe('isWithinWindow', () => {
+  const window = resolveWindow({ since: '2026-10-10', until: '2026-10-17', now: NOW });
+  const at = iso => ({ publishedAt: new Date(iso) });
+
+  it('includes the start and excludes the end', () => {
+    assert.equal(isWithinWindow(at('2026-10-10T00:00:00Z'), window), true);
+    assert.equal(isWithinWindow(at('2026-10-16T23:59:59.999Z'), window), true);
+    assert.equal(isWithinWindow(at('2026-10-17T00:00:00Z'), window), false);
+    assert.equal(isWithinWindow(at('2026-10-09T23:59:59.999Z'), window), false);
+  });
+
+  it('rejects items without a date', () => {
+    assert.equal(isWithinWindow(null, window), false);
+    assert.equal(isWithinWindow({ publishedAt: null }, window), false);
+  });
+});
+
+describe('date formatting', () => {
+  afterEach(() => setClock(null));
+
+  it('parses date-only arguments as midnight UTC', () => {
+    assert.deepEqual(parseDateArg('2026-10-10', '--since'), new Date('2026-10-10T00:00:00Z'));
+    assert.deepEqual(parseDateArg('2026-10-10T12:00:00+02:00', '--since'), new Date('2026-10-10T10:00:00Z'));
+  });
+
+  it('formats long dates in UTC', () => {
+    assert.equal(formatLongDate(new Date('2026-10-16T23:30:00Z')), 'October 16, 2026');
+  });
+
+  it('formats relative dates against the clock', () => {
+    setClock(NOW);
+
+    assert.equal(formatDate(new Date('2026-10-19T01:00:00Z')), 'Today');
+    assert.equal(formatDate(new Date('2026-10-18T01:00:00Z')), 'Yesterday');
+    assert.equal(formatDate(new Date('2026-10-15T01:00:00Z')), '4 days ago');
+    assert.equal(formatDate(new Date('2026-10-05T01:00:00Z')), '2 weeks ago');
+    assert.equal(formatDate(new Date('2026-08-01T01:00:00Z')), '2 months ago');
+    assert.equal(formatDate(new Date('2024-10-01T01:00:00Z')), '2 years ago');
+  });
+});
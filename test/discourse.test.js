@@ -0,0 +1,143 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer } = require('./helpers/mock-server');
+const { fetchPosts, formatPost } = require('../lib/feeds');
+
+/**
+ * A topic in a Discourse topic list
+ */
+function topic(id, title, extra = {}) {
+  return {
+    id,
+    title,
+    slug: title.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+    created_at: '2026-10-14T09:00:00.000Z',
+    posts_count: 1,
+    views: 10,
+    like_count: 0,
+    category_id: 5,
+    ...extra
+  };
+}
+
+const topicList = topics => ({ body: { topic_list: { topics } } });
+
+const CATEGORIES = {
+  body: {
+    category_list: {
+      categories: [
+        { id: 5, name: 'Execution Layer Research', slug: 'execution-layer-research' },
+        { id: 7, name: 'Sharding', slug: 'sharding', subcategory_list: [{ id: 9, name: 'Data Availability', slug: 'data-availability' }] }
+      ]
+    }
+  }
+};
+
+describe('discourse adapter', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+    for (const key of Object.keys(server.routes)) {
+      delete server.routes[key];
+    }
+    server.routes['/categories.json?include_subcategories=true'] = CATEGORIES;
+  });
+
+  it('reads the latest and top topics as posts with their engagement', async () => {
+    server.routes['/latest.json'] = topicList([
+      topic(101, 'Native rollups', { posts_count: 13, views: 840, like_count: 31, tags: ['rollups', { name: 'l2' }] }),
+      topic(102, 'Blob fee markets', { category_id: 9, excerpt: 'A proposal for <b>blob</b> pricing' })
+    ]);
+    server.routes['/top.json?period=weekly'] = topicList([
+      topic(101, 'Native rollups', { posts_count: 13, views: 840, like_count: 31 }),
+      topic(90, 'Delayed execution', { created_at: '2026-10-02T12:00:00.000Z', posts_count: 40, views: 2100, like_count: 55 })
+    ]);
+
+    const source = { name: 'Ethereum Research', url: `${server.url}/`, options: { adapter: 'discourse' } };
+    const { format, posts } = await fetchPosts(source);
+
+    assert.equal(format, 'discourse');
+    assert.deepEqual(posts.map(post => post.title), ['Native rollups', 'Blob fee markets', 'Delayed execution']);
+    assert.deepEqual(posts[0], {
+      feed: 'Ethereum Research',
+      title: 'Native rollups',
+      link: `${server.url}/t/native-rollups/101`,
+      publishedAt: new Date('2026-10-14T09:00:00.000Z'),
+      description: '',
+      categories: ['Execution Layer Research', 'rollups', 'l2'],
+      replies: 12,
+      views: 840,
+      likes: 31
+    });
+    assert.deepEqual(posts[1].categories, ['Data Availability']);
+
+    const formatted = formatPost(posts[1]);
+    assert.equal(formatted.description, 'A proposal for blob pricing');
+    assert.equal(formatted.engagement, '0 replies, 10 views, 0 likes');
+  });
+
+  it('reads per-category lists and leaves out topics below the engagement minimums', async () => {
+    server.routes['/c/sharding/l/latest.json'] = topicList([
+      topic(201, 'Quiet thread', { posts_count: 2, views: 40 }),
+      topic(202, 'Busy thread', { posts_count: 9, views: 600, like_count: 12 })
+    ]);
+    server.routes['/c/sharding/l/top.json?period=monthly'] = topicList([]);
+
+    const source = {
+      name: 'Ethereum Research',
+      url: server.url,
+      options: { adapter: 'discourse', categories: ['sharding'], top: 'monthly', engagement: { replies: 5, likes: 10 } }
+    };
+    const { posts } = await fetchPosts(source);
+
+    assert.deepEqual(posts.map(post => post.title), ['Busy thread']);
+    assert.equal(formatPost(posts[0]).engagement, '8 replies, 600 views, 12 likes');
+  });
+
+  it('pages through the topic lists until a page has no topic active within the window', async () => {
+    const list = (topics, more) => ({ body: { topic_list: { topics, more_topics_url: more } } });
+    server.routes['/latest.json'] = list([
+      topic(301, 'Pinned welcome', { created_at: '2020-01-01T00:00:00.000Z', bumped_at: '2020-01-01T00:00:00.000Z' }),
+      topic(302, 'Fresh thread', { bumped_at: '2026-10-15T00:00:00.000Z' })
+    ], '/latest?page=1');
+    server.routes['/latest.json?page=1'] = list([
+      topic(303, 'Revived thread', { created_at: '2026-09-01T00:00:00.000Z', bumped_at: '2026-10-13T00:00:00.000Z' }),
+      topic(304, 'Old thread', { created_at: '2026-09-01T00:00:00.000Z', bumped_at: '2026-09-20T00:00:00.000Z' })
+    ], '/latest?page=2');
+    server.routes['/latest.json?page=2'] = list([
+      topic(305, 'Older thread', { created_at: '2026-08-01T00:00:00.000Z', bumped_at: '2026-09-10T00:00:00.000Z' })
+    ], '/latest?page=3');
+    server.routes['/top.json?period=weekly'] = list([topic(302, 'Fresh thread')], '/top?period=weekly&page=1');
+    server.routes['/top.json?period=weekly&page=1'] = list([]);
+
+    const source = { name: 'Ethereum Research', url: server.url, options: { adapter: 'discourse' } };
+    const { posts } = await fetchPosts(source, { since: new Date('2026-10-12T00:00:00.000Z') });
+
+    assert.deepEqual(posts.map(post => post.title), ['Pinned welcome', 'Fresh thread', 'Revived thread', 'Old thread', 'Older thread']);
+    assert.deepEqual(server.requests.map(request => request.path).filter(path => path !== '/categories.json?include_subcategories=true').sort(), [
+      '/latest.json',
+      '/latest.json?page=1',
+      '/latest.json?page=2',
+      '/top.json?period=weekly',
+      '/top.json?period=weekly&page=1'
+    ]);
+
+    server.requests.length = 0;
+    await fetchPosts(source);
+    assert.deepEqual(server.requests.map(request => request.path).filter(path => path.startsWith('/latest')), ['/latest.json']);
+  });
+
+  it('fails when the forum has no JSON endpoints', async () => {
+    const source = { name: 'Not a forum', url: `${server.url}/blog`, options: { adapter: 'discourse' } };
+    await assert.rejects(fetchPosts(source), /HTTP error: 404/);
+  });
+});
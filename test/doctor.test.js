@@ -0,0 +1,189 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockServer } = require('./helpers/mock-server');
+
+process.env.GITHUB_TOKEN = '';
+
+const BIN = path.join(__dirname, '..', 'bin', 'ethereal.js');
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const NOW = new Date('2026-10-17T00:00:00Z');
+const SILENT = { write() {} };
+
+const EMPTY_FEED = '<?xml version="1.0"?><rss version="2.0"><channel><title>Empty</title></channel></rss>';
+
+/**
+ * A GitHub source
+ */
+function github(id, owner, repo, options) {
+  return { id, name: id, type: 'github', category: 'execution', owner, repo, ...(options && { options }) };
+}
+
+/**
+ * A GitHub repository and its latest release, as mock server routes
+ */
+function repository(fullName, { archived = false, published = '2026-10-01T00:00:00Z' } = {}) {
+  return {
+    [`/repos/${fullName}`]: { body: { full_name: fullName, archived } },
+    [`/repos/${fullName}/releases?per_page=1`]: {
+      body: published ? [{ tag_name: 'v1.0.0', published_at: published }] : []
+    }
+  };
+}
+
+let doctor;
+
+describe('checkSources', () => {
+  let server;
+  let feed;
+
+  /**
+   * Problems found for each source, by source id
+   */
+  async function problemsOf(sources) {
+    const results = await doctor.checkSources(sources, { months: 12, now: NOW, out: SILENT });
+    return Object.fromEntries(results.map(result => [result.source.id, result.problems]));
+  }
+
+  before(async () => {
+    server = await startMockServer({
+      ...repository('ethereum/go-ethereum'),
+      ...repository('erigontech/erigon'),
+      '/repos/ledgerwatch/erigon': { body: { full_name: 'erigontech/erigon', archived: false } },
+      ...repository('old/client', { archived: true }),
+      ...repository('stale/client', { published: '2025-06-01T00:00:00Z' }),
+      ...repository('none/releases', { published: null }),
+      ...repository('none/tags', { published: null }),
+      '/repos/none/tags/tags?per_page=100': { body: [] },
+      ...repository('none/auto', { published: null }),
+      '/repos/none/auto/tags?per_page=100': { body: [] },
+      ...repository('none/registry', { published: null }),
+      '/unpublished-client': { body: { versions: {}, time: {} } },
+      ...repository('npm/client'),
+      '/blog/feed.xml': { body: fixture('rss.xml') },
+      '/old-feed.xml': { status: 301, headers: { location: '/blog/feed.xml' } },
+      '/no-feed': { body: fixture('not-a-feed.html') },
+      '/empty.xml': { body: EMPTY_FEED }
+    });
+    process.env.GITHUB_API_URL = server.url;
+    process.env.NPM_REGISTRY_URL = server.url;
+    doctor = require('../lib/doctor');
+    feed = (id, url) => ({ id, name: id, type: 'feed', category: 'blog', url: `${server.url}${url}` });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('passes healthy sources', async () => {
+    assert.deepEqual(await problemsOf([
+      github('geth', 'ethereum', 'go-ethereum'),
+      feed('blog', '/blog/feed.xml')
+    ]), { geth: [], blog: [] });
+  });
+
+  it('reports repositories and feeds that moved, with the new location', async () => {
+    const problems = await problemsOf([
+      github('erigon', 'ledgerwatch', 'erigon'),
+      feed('old-feed', '/old-feed.xml')
+    ]);
+
+    assert.deepEqual(problems.erigon, [{
+      kind: 'moved',
+      message: 'Redirects to erigontech/erigon',
+      suggestion: { owner: 'erigontech', repo: 'erigon' }
+    }]);
+    assert.deepEqual(problems['old-feed'], [{
+      kind: 'moved',
+      message: `Redirects to ${server.url}/blog/feed.xml`,
+      suggestion: { url: `${server.url}/blog/feed.xml` }
+    }]);
+  });
+
+  it('reports archived and stale repositories', async () => {
+    const problems = await problemsOf([
+      github('archived', 'old', 'client'),
+      github('stale', 'stale', 'client')
+    ]);
+
+    assert.deepEqual(problems.archived, [{ kind: 'archived', message: 'Repository is archived' }]);
+    assert.deepEqual(problems.stale, [{ kind: 'stale', message: 'No release in 12 months (latest June 1, 2025)' }]);
+  });
+
+  it('reports repositories without releases for each release strategy', async () => {
+    const problems = await problemsOf([
+      github('releases', 'none', 'releases', { strategy: 'releases' }),
+      github('tags', 'none', 'tags', { strategy: 'tags' }),
+      github('auto', 'none', 'auto'),
+      github('registry', 'none', 'registry', { strategy: 'registry', registries: { npm: 'unpublished-client' } })
+    ]);
+
+    assert.deepEqual(problems, {
+      releases: [{ kind: 'no_releases', message: 'Repository has no releases' }],
+      tags: [{ kind: 'no_releases', message: 'Repository has no tags' }],
+      auto: [{ kind: 'no_releases', message: 'Repository has no releases or tags' }],
+      registry: [{ kind: 'no_releases', message: 'Package has no published versions' }]
+    });
+  });
+
+  it('reports missing repositories, registry packages and feeds', async () => {
+    const problems = await problemsOf([
+      github('missing', 'missing', 'client'),
+      github('npm', 'npm', 'client', { registries: { npm: 'missing-client' } }),
+      feed('gone', '/gone.xml')
+    ]);
+
+    assert.deepEqual(problems, {
+      missing: [{ kind: 'not_found', message: 'Repository missing/client not found (404)' }],
+      npm: [{ kind: 'not_found', message: 'Package missing-client not found on npm (404)' }],
+      gone: [{ kind: 'not_found', message: 'Feed URL not found (404)' }]
+    });
+  });
+
+  it('reports feed URLs that are not feeds or have no entries', async () => {
+    const problems = await problemsOf([
+      feed('html', '/no-feed'),
+      feed('empty', '/empty.xml')
+    ]);
+
+    assert.equal(problems.html.length, 1);
+    assert.equal(problems.html[0].kind, 'not_a_feed');
+    assert.match(problems.html[0].message, /not a feed/);
+    assert.deepEqual(problems.empty, [{ kind: 'empty', message: 'Feed has no dated entries' }]);
+  });
+
+  it('exits with status 1 only when a source needs attention', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethereal-doctor-'));
+
+    /**
+     * Run doctor on a registry of sources, resolving to { code, stdout }
+     */
+    const runDoctor = sources => {
+      const file = path.join(dir, 'sources.json');
+      fs.writeFileSync(file, JSON.stringify({ version: 1, sources }));
+      return new Promise(resolve => {
+        execFile(process.execPath, [BIN, 'doctor', '--sources', file, '--months', '1200', '--no-cache'], {
+          cwd: dir,
+          env: { ...process.env, GITHUB_API_URL: server.url, GITHUB_TOKEN: '' }
+        }, (error, stdout) => resolve({ code: error ? error.code : 0, stdout }));
+      });
+    };
+
+    try {
+      const healthy = await runDoctor([github('geth', 'ethereum', 'go-ethereum'), feed('blog', '/blog/feed.xml')]);
+      assert.equal(healthy.code, 0);
+      assert.match(healthy.stdout, /✓ All 2 sources are healthy/);
+
+      const failing = await runDoctor([github('geth', 'ethereum', 'go-ethereum'), github('archived', 'old', 'client')]);
+      assert.equal(failing.code, 1);
+      assert.match(failing.stdout, /archived \(archived, old\/client\)\n {5}archived: Repository is archived/);
+      assert.match(failing.stdout, /1 of 2 sources need attention/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
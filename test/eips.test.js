@@ -0,0 +1,200 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer } = require('./helpers/mock-server');
+
+process.env.GITHUB_TOKEN = '';
+
+/**
+ * A proposal file with front matter, as the contents API returns it
+ */
+function proposalFile(fields) {
+  const text = `---\n${Object.entries(fields).map(([key, value]) => `${key}: ${value}`).join('\n')}\n---\n\n## Abstract\n`;
+  return { body: { encoding: 'base64', content: Buffer.from(text).toString('base64') } };
+}
+
+/**
+ * A closed pull request, merged unless `merged_at` is given
+ */
+function pull(number, title, mergedAt, extra = {}) {
+  return {
+    number,
+    title,
+    html_url: `https://github.com/ethereum/EIPs/pull/${number}`,
+    merged_at: mergedAt,
+    updated_at: mergedAt || '2026-10-12T00:00:00Z',
+    merge_commit_sha: `merge${number}`,
+    base: { sha: `base${number}` },
+    ...extra
+  };
+}
+
+const WINDOW = { start: new Date('2026-10-10T00:00:00Z'), end: new Date('2026-10-17T00:00:00Z') };
+
+let eips;
+
+describe('fetchProposalChanges', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockServer();
+    process.env.GITHUB_API_URL = server.url;
+    eips = require('../lib/eips');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('reports new proposals and status transitions merged within the window', async () => {
+    const base = '/repos/ethereum/EIPs';
+    server.routes[`${base}/pulls?state=closed&sort=updated&direction=desc&per_page=100&page=1`] = {
+      body: [
+        pull(9502, 'Update EIP-7702: Move to Last Call', '2026-10-15T12:00:00Z'),
+        pull(9501, 'Add EIP: Block-level access lists', '2026-10-13T09:00:00Z'),
+        pull(9500, 'Update EIP-4844: typo', '2026-10-12T09:00:00Z'),
+        pull(9499, 'Update EIP-7594: Move to Review', null),
+        pull(9400, 'Update EIP-7623: Move to Final', '2026-10-02T09:00:00Z')
+      ]
+    };
+    server.routes[`${base}/pulls/9502/files?per_page=100&page=1`] = {
+      body: [{ filename: 'EIPS/eip-7702.md', status: 'modified', patch: '@@ -4,7 +4,7 @@\n-status: Review\n+status: Last Call\n' }]
+    };
+    server.routes[`${base}/pulls/9501/files?per_page=100&page=1`] = {
+      body: [
+        { filename: 'EIPS/eip-7928.md', status: 'added', patch: '@@ -0,0 +1,12 @@\n+---\n' },
+        { filename: 'assets/eip-7928/diagram.png', status: 'added' }
+      ]
+    };
+    server.routes[`${base}/pulls/9500/files?per_page=100&page=1`] = {
+      body: [{ filename: 'EIPS/eip-4844.md', status: 'modified', patch: '@@ -40,7 +40,7 @@\n-teh\n+the\n' }]
+    };
+    server.routes[`${base}/git/commits/merge9502`] = { body: { sha: 'merge9502', parents: [{ sha: 'parent9502' }] } };
+    server.routes[`${base}/contents/EIPS/eip-7702.md?ref=parent9502`] = proposalFile({ eip: 7702, title: 'Set Code for EOAs', status: 'Review', category: 'Core' });
+    server.routes[`${base}/contents/EIPS/eip-7702.md?ref=merge9502`] = proposalFile({ eip: 7702, title: 'Set Code for EOAs', status: 'Last Call', category: 'Core' });
+    server.routes[`${base}/contents/EIPS/eip-7928.md?ref=merge9501`] = proposalFile({ eip: 7928, title: '"Block-Level Access Lists"', status: 'Draft', type: 'Standards Track', category: 'Core' });
+
+    const changes = await eips.fetchProposalChanges(eips.REPOSITORIES[0], WINDOW);
+
+    assert.deepEqual(changes.map(change => [change.name, change.previousStatus, change.status]), [
+      ['EIP-7928', null, 'Draft'],
+      ['EIP-7702', 'Review', 'Last Call']
+    ]);
+    assert.deepEqual(changes[1], {
+      type: 'EIP',
+      number: 7702,
+      name: 'EIP-7702',
+      title: 'Set Code for EOAs',
+      category: 'Core',
+      previousStatus: 'Review',
+      status: 'Last Call',
+      repository: 'ethereum/EIPs',
+      url: 'https://eips.ethereum.org/EIPS/eip-7702',
+      pullRequest: { number: 9502, title: 'Update EIP-7702: Move to Last Call', url: 'https://github.com/ethereum/EIPs/pull/9502' },
+      publishedAt: new Date('2026-10-15T12:00:00Z')
+    });
+    assert.equal(changes[0].title, 'Block-Level Access Lists');
+    assert.equal(eips.formatProposal(changes[0]).proposed, true);
+    assert.ok(!server.requests.some(request => request.path.includes('eip-4844')), 'diffs without a status change are not looked up');
+  });
+
+  it('leaves out status lines that changed back to the same status', async () => {
+    const base = '/repos/ethereum/ERCs';
+    server.routes[`${base}/pulls?state=closed&sort=updated&direction=desc&per_page=100&page=1`] = {
+      body: [pull(700, 'Update ERC-7683: reformat', '2026-10-14T00:00:00Z')]
+    };
+    server.routes[`${base}/pulls/700/files?per_page=100&page=1`] = {
+      body: [{ filename: 'ERCS/erc-7683.md', status: 'modified', patch: '-status:  Review\n+status: Review\n' }]
+    };
+    server.routes[`${base}/git/commits/merge700`] = { body: { sha: 'merge700', parents: [{ sha: 'parent700' }] } };
+    server.routes[`${base}/contents/ERCS/erc-7683.md?ref=parent700`] = proposalFile({ eip: 7683, title: 'Cross Chain Intents', status: 'Review' });
+    server.routes[`${base}/contents/ERCS/erc-7683.md?ref=merge700`] = proposalFile({ eip: 7683, title: 'Cross Chain Intents', status: 'Review' });
+
+    assert.deepEqual(await eips.fetchProposalChanges(eips.REPOSITORIES[1], WINDOW), []);
+  });
+
+  it('reads the status before a pull request at the parent of its merge commit', async () => {
+    const repository = { ...eips.REPOSITORIES[0], owner: 'stale-base' };
+    const base = '/repos/stale-base/EIPs';
+    server.routes[`${base}/pulls?state=closed&sort=updated&direction=desc&per_page=100&page=1`] = {
+      body: [pull(9600, 'Update EIP-7702: Move to Final', '2026-10-14T00:00:00Z')]
+    };
+    server.routes[`${base}/pulls/9600/files?per_page=100&page=1`] = {
+      body: [{ filename: 'EIPS/eip-7702.md', status: 'modified', patch: '-status: Last Call\n+status: Final\n' }]
+    };
+    server.routes[`${base}/git/commits/merge9600`] = { body: { sha: 'merge9600', parents: [{ sha: 'parent9600' }] } };
+    // The branch was forked before another pull request moved EIP-7702 to Last Call
+    server.routes[`${base}/contents/EIPS/eip-7702.md?ref=base9600`] = proposalFile({ eip: 7702, status: 'Review' });
+    server.routes[`${base}/contents/EIPS/eip-7702.md?ref=parent9600`] = proposalFile({ eip: 7702, status: 'Last Call' });
+    server.routes[`${base}/contents/EIPS/eip-7702.md?ref=merge9600`] = proposalFile({ eip: 7702, status: 'Final' });
+
+    const changes = await eips.fetchProposalChanges(repository, WINDOW);
+
+    assert.deepEqual(changes.map(change => [change.name, change.previousStatus, change.status]), [['EIP-7702', 'Last Call', 'Final']]);
+  });
+
+  it('pages through the files of large pull requests and follows renamed proposals', async () => {
+    const repository = { ...eips.REPOSITORIES[0], owner: 'renames' };
+    const base = '/repos/renames/EIPs';
+    server.routes[`${base}/pulls?state=closed&sort=updated&direction=desc&per_page=100&page=1`] = {
+      body: [pull(9700, 'Renumber and add proposals', '2026-10-14T00:00:00Z')]
+    };
+    server.routes[`${base}/pulls/9700/files?per_page=100&page=1`] = {
+      body: Array.from({ length: 100 }, (_, i) => ({ filename: `assets/eip-7999/${i}.png`, status: 'added' }))
+    };
+    server.routes[`${base}/pulls/9700/files?per_page=100&page=2`] = {
+      body: [
+        { filename: 'EIPS/eip-7999.md', status: 'renamed', previous_filename: 'EIPS/eip-draft_access_lists.md' },
+        { filename: 'EIPS/eip-8001.md', status: 'renamed', previous_filename: 'EIPS/eip-8000.md' }
+      ]
+    };
+    server.routes[`${base}/git/commits/merge9700`] = { body: { sha: 'merge9700', parents: [{ sha: 'parent9700' }] } };
+    server.routes[`${base}/contents/EIPS/eip-7999.md?ref=merge9700`] = proposalFile({ eip: 7999, title: 'Access lists', status: 'Draft' });
+    server.routes[`${base}/contents/EIPS/eip-8000.md?ref=parent9700`] = proposalFile({ eip: 8000, status: 'Draft' });
+    server.routes[`${base}/contents/EIPS/eip-8001.md?ref=merge9700`] = proposalFile({ eip: 8001, status: 'Review' });
+
+    const changes = await eips.fetchProposalChanges(repository, WINDOW);
+
+    assert.deepEqual(changes.map(change => [change.name, change.previousStatus, change.status]), [
+      ['EIP-7999', null, 'Draft'],
+      ['EIP-8001', 'Draft', 'Review']
+    ]);
+    assert.ok(!server.requests.some(request => request.path.includes('eip-draft_access_lists')));
+  });
+
+  it('pages past pull requests updated since a window long past', async () => {
+    const repository = { ...eips.REPOSITORIES[0], owner: 'archive' };
+    const base = '/repos/archive/EIPs';
+    const past = { start: new Date('2026-01-05T00:00:00Z'), end: new Date('2026-01-12T00:00:00Z') };
+    // Six pages of pull requests merged, or updated, after the window
+    for (let page = 1; page <= 6; page++) {
+      server.routes[`${base}/pulls?state=closed&sort=updated&direction=desc&per_page=100&page=${page}`] = {
+        body: Array.from({ length: 100 }, (_, i) => pull(10000 - page * 100 - i, 'Later change', '2026-09-01T00:00:00Z'))
+      };
+    }
+    server.routes[`${base}/pulls?state=closed&sort=updated&direction=desc&per_page=100&page=7`] = {
+      body: [pull(8800, 'Add EIP: Early proposal', '2026-01-07T00:00:00Z'), pull(8700, 'Older change', '2025-12-01T00:00:00Z')]
+    };
+    server.routes[`${base}/pulls/8800/files?per_page=100&page=1`] = {
+      body: [{ filename: 'EIPS/eip-7900.md', status: 'added' }]
+    };
+    server.routes[`${base}/contents/EIPS/eip-7900.md?ref=merge8800`] = proposalFile({ eip: 7900, title: 'Early proposal', status: 'Draft' });
+
+    const changes = await eips.fetchProposalChanges(repository, past);
+
+    assert.deepEqual(changes.map(change => [change.name, change.status]), [['EIP-7900', 'Draft']]);
+    assert.ok(!server.requests.some(request => request.path.includes('page=8')));
+  });
+
+  it('resolves to null when the repository is missing', async () => {
+    const repository = { ...eips.REPOSITORIES[0], owner: 'nobody' };
+    assert.equal(await eips.fetchProposalChanges(repository, WINDOW), null);
+  });
+});
+
+describe('parseFrontMatter', () => {
+  it('reads the fields between the front matter fences', () => {
+    const text = '---\r\neip: 1\r\ntitle: EIP Purpose and Guidelines\r\nstatus: Living\r\n---\r\n\r\nstatus: not front matter\r\n';
+    assert.deepEqual(eips.parseFrontMatter(text), { eip: '1', title: 'EIP Purpose and Guidelines', status: 'Living' });
+    assert.equal(eips.parseFrontMatter('# No front matter'), null);
+  });
+});
@@ -0,0 +1,189 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderAtom, renderRSS, feedEntries } = require('../lib/export-feed');
+const { parseFeedDocument, parseFeed } = require('../lib/feeds');
+
+const WINDOW = { label: '2026-10-10 to 2026-10-16' };
+
+/**
+ * A formatted release, as the release checkers report it
+ */
+function release(name, version, publishedAt, extra = {}) {
+  return {
+    name,
+    repository: `example/${name.toLowerCase()}`,
+    version,
+    url: `https://github.com/example/${name.toLowerCase()}/releases/tag/${version}`,
+    publishedAt: new Date(publishedAt),
+    prerelease: false,
+    package: null,
+    notes: { summary: '' },
+    ...extra
+  };
+}
+
+const RESULTS = [
+  {
+    name: 'clients',
+    sections: [
+      {
+        id: 'execution',
+        kind: 'release',
+        items: [release('Geth', 'v1.16.8', '2026-10-14T10:00:00Z', { notes: { summary: 'Fixes <p2p> & sync' } })]
+      },
+      { id: 'consensus', kind: 'release', items: [release('Lighthouse', 'v8.0.1-rc.0', '2026-10-16T08:00:00Z', { prerelease: true })] }
+    ]
+  },
+  {
+    name: 'dev-tools',
+    sections: [
+      {
+        id: 'dev-tools',
+        kind: 'release',
+        items: [release('EthereumJS', '@ethereumjs/vm@10.0.1', '2026-10-15T09:00:00Z', { package: '@ethereumjs/vm', packageVersion: '10.0.1' })]
+      }
+    ]
+  },
+  {
+    name: 'blogs',
+    sections: [
+      {
+        id: 'blogs',
+        kind: 'post',
+        items: [{
+          feed: 'EF Blog',
+          title: 'Fusaka "Mainnet" Announcement',
+          link: 'https://blog.ethereum.org/2026/10/14/fusaka-mainnet?utm=feed&lang=en',
+          publishedAt: new Date('2026-10-14T12:00:00Z'),
+          description: 'Fusaka goes live\u0007 on mainnet',
+          categories: []
+        }]
+      }
+    ]
+  }
+];
+
+/**
+ * Parse a rendered feed back with the feed reader used for blog sources
+ */
+async function readBack(xml) {
+  const feed = await parseFeedDocument(xml);
+  return { format: feed.format, data: feed.data, posts: parseFeed(feed, 'export') };
+}
+
+describe('export-feed', () => {
+  it('lists every reported release and post, newest first, with stable ids', () => {
+    const entries = feedEntries(RESULTS);
+
+    assert.deepEqual(entries.map(entry => [entry.title, entry.category.term]), [
+      ['Lighthouse v8.0.1-rc.0 (pre-release)', 'consensus'],
+      ['EthereumJS @ethereumjs/vm 10.0.1', 'dev-tools'],
+      ['Fusaka "Mainnet" Announcement', 'blogs'],
+      ['Geth v1.16.8', 'execution']
+    ]);
+    assert.equal(entries[3].id, 'urn:ethereal:release:example/geth@v1.16.8');
+    assert.equal(entries[2].id, 'urn:ethereal:post:https://blog.ethereum.org/2026/10/14/fusaka-mainnet%3Futm=feed%26lang=en');
+    assert.deepEqual(feedEntries(RESULTS).map(entry => entry.id), entries.map(entry => entry.id), 'ids are the same on every run');
+  });
+
+  it('renders an Atom feed with a category per source type', async () => {
+    const xml = renderAtom(RESULTS, { window: WINDOW });
+    const { format, data, posts } = await readBack(xml);
+
+    assert.equal(format, 'atom');
+    assert.equal(data.feed.updated[0], '2026-10-16T08:00:00.000Z');
+    assert.deepEqual(posts.map(post => [post.title, post.categories]), [
+      ['Lighthouse v8.0.1-rc.0 (pre-release)', ['Consensus clients']],
+      ['EthereumJS @ethereumjs/vm 10.0.1', ['Dev tools']],
+      ['Fusaka "Mainnet" Announcement', ['Blog posts']],
+      ['Geth v1.16.8', ['Execution clients']]
+    ]);
+    assert.equal(posts[2].link, 'https://blog.ethereum.org/2026/10/14/fusaka-mainnet?utm=feed&lang=en');
+    assert.equal(posts[2].description, 'Fusaka goes live on mainnet', 'characters XML does not allow are dropped');
+    assert.equal(posts[3].description, 'Fixes <p2p> & sync');
+    assert.deepEqual(data.feed.entry[3].id, ['urn:ethereal:release:example/geth@v1.16.8']);
+    assert.deepEqual(data.feed.entry[3].author[0].name, ['Geth']);
+  });
+
+  it('renders an RSS 2.0 feed with the same items and GUIDs', async () => {
+    const xml = renderRSS(RESULTS, { window: WINDOW });
+    const { format, data, posts } = await readBack(xml);
+    const items = data.rss.channel[0].item;
+
+    assert.equal(format, 'rss');
+    assert.equal(data.rss.$.version, '2.0');
+    assert.deepEqual(posts.map(post => [post.title, post.publishedAt.toISOString(), post.categories]), [
+      ['Lighthouse v8.0.1-rc.0 (pre-release)', '2026-10-16T08:00:00.000Z', ['Consensus clients']],
+      ['EthereumJS @ethereumjs/vm 10.0.1', '2026-10-15T09:00:00.000Z', ['Dev tools']],
+      ['Fusaka "Mainnet" Announcement', '2026-10-14T12:00:00.000Z', ['Blog posts']],
+      ['Geth v1.16.8', '2026-10-14T10:00:00.000Z', ['Execution clients']]
+    ]);
+    assert.deepEqual(items.map(item => item.guid[0]._), feedEntries(RESULTS).map(entry => entry.id));
+    assert.equal(items[0].guid[0].$.isPermaLink, 'false');
+  });
+
+  it('links to itself when given the URL it is published at', async () => {
+    const atom = renderAtom(RESULTS, { window: WINDOW, feedUrl: 'https://example.com/feed.atom?lang=en&v=1' });
+    const rss = renderRSS(RESULTS, { window: WINDOW, feedUrl: 'https://example.com/feed.rss' });
+
+    const links = (await readBack(atom)).data.feed.link.map(link => link.$);
+    assert.deepEqual(links.find(link => link.rel === 'self'), {
+      rel: 'self',
+      type: 'application/atom+xml',
+      href: 'https://example.com/feed.atom?lang=en&v=1'
+    });
+    assert.deepEqual((await readBack(rss)).data.rss.channel[0]['atom:link'][0].$, {
+      rel: 'self',
+      type: 'application/rss+xml',
+      href: 'https://example.com/feed.rss'
+    });
+    assert.doesNotMatch(renderAtom(RESULTS, { window: WINDOW }), /rel="self"/);
+    assert.doesNotMatch(renderRSS(RESULTS, { window: WINDOW }), /atom:link/);
+  });
+
+  it('links entries without a link of their own to their source', async () => {
+    const post = { feed: 'EF Blog', title: 'No link', link: '', publishedAt: new Date('2026-10-14T12:00:00Z'), categories: [] };
+    const unlinked = [{
+      name: 'blogs',
+      sections: [{ id: 'blogs', kind: 'post', items: [post] }],
+      checks: [{ source: { name: 'EF Blog', url: 'https://blog.ethereum.org/feed.xml' }, items: [post] }]
+    }, {
+      name: 'clients',
+      sections: [{ id: 'execution', kind: 'release', items: [release('Geth', 'v1.16.8', '2026-10-13T10:00:00Z', { url: '' })] }]
+    }];
+
+    const atom = await readBack(renderAtom(unlinked, { window: WINDOW }));
+    const rss = await readBack(renderRSS(unlinked, { window: WINDOW }));
+
+    assert.deepEqual(atom.posts.map(entry => entry.link), ['https://blog.ethereum.org/feed.xml', 'https://github.com/example/geth']);
+    assert.deepEqual(rss.posts.map(entry => entry.link), ['https://blog.ethereum.org/feed.xml', 'https://github.com/example/geth']);
+  });
+
+  it('gives entries without any link their content instead', async () => {
+    const unlinked = [{
+      name: 'blogs',
+      sections: [{
+        id: 'blogs',
+        kind: 'post',
+        items: [{ feed: 'EF Blog', title: 'No link', link: '', publishedAt: new Date('2026-10-14T12:00:00Z'), categories: [] }]
+      }]
+    }];
+
+    const atom = renderAtom(unlinked, { window: WINDOW });
+    const rss = renderRSS(unlinked, { window: WINDOW });
+
+    assert.doesNotMatch(atom, /href=""/);
+    const entry = (await readBack(atom)).data.feed.entry[0];
+    assert.equal(entry.link, undefined);
+    assert.deepEqual(entry.content, [{ _: 'No link', $: { type: 'text' } }]);
+    assert.doesNotMatch(rss, /<link><\/link>/);
+    assert.equal((await readBack(rss)).data.rss.channel[0].item[0].link, undefined);
+  });
+
+  it('renders valid feeds when nothing was reported', async () => {
+    const empty = [{ name: 'blogs', sections: [{ id: 'blogs', kind: 'post', items: [] }] }];
+
+    assert.deepEqual((await readBack(renderAtom(empty, { window: WINDOW }))).posts, []);
+    assert.deepEqual((await readBack(renderRSS(empty, { window: WINDOW }))).posts, []);
+  });
+});
@@ -0,0 +1,172 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startMockServer } = require('./helpers/mock-server');
+const { fetchFeed, fetchPosts, parseFeedDocument, parseFeed, formatPost } = require('../lib/feeds');
+const { setClock } = require('../lib/dates');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+/**
+ * Detect, parse and normalize a fixture
+ */
+async function postsFrom(name) {
+  const feed = await parseFeedDocument(fixture(name));
+  return { format: feed.format, posts: parseFeed(feed, 'Test Feed') };
+}
+
+describe('parseFeedDocument and parseFeed', () => {
+  it('reads RSS 2.0, dropping items without a date', async () => {
+    const { format, posts } = await postsFrom('rss.xml');
+
+    assert.equal(format, 'rss');
+    assert.deepEqual(posts.map(post => post.title), ['Fusaka Mainnet Announcement', 'Allocation Update Q3']);
+    assert.equal(posts[0].link, 'https://blog.ethereum.org/2026/10/14/fusaka-mainnet');
+    assert.deepEqual(posts[0].publishedAt, new Date('2026-10-14T10:00:00Z'));
+    assert.deepEqual(posts[0].categories, ['Protocol']);
+    assert.equal(posts[0].feed, 'Test Feed');
+  });
+
+  it('reads Atom, preferring the alternate link and falling back to <updated>', async () => {
+    const { format, posts } = await postsFrom('atom.xml');
+
+    assert.equal(format, 'atom');
+    assert.equal(posts[0].link, 'https://vitalik.eth.limo/general/2026/10/15/l2.html');
+    assert.deepEqual(posts[0].categories, ['Scaling']);
+    assert.equal(posts[0].description, 'Where rollups are heading.');
+    assert.deepEqual(posts[1].publishedAt, new Date('2026-09-01T00:00:00Z'));
+    assert.equal(posts[1].description, '<p>Older thoughts.</p>');
+  });
+
+  it('reads RSS 1.0 (RDF) with Dublin Core dates', async () => {
+    const { format, posts } = await postsFrom('rdf.xml');
+
+    assert.equal(format, 'rdf');
+    assert.equal(posts.length, 1);
+    assert.deepEqual(posts[0].publishedAt, new Date('2026-10-13T09:00:00Z'));
+    assert.deepEqual(posts[0].categories, ['research']);
+  });
+
+  it('reads JSON Feed', async () => {
+    const { format, posts } = await postsFrom('feed.json');
+
+    assert.equal(format, 'json');
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].link, 'https://example.org/updates/1');
+    assert.deepEqual(posts[0].categories, ['devnets']);
+  });
+
+  it('rejects HTML pages', async () => {
+    await assert.rejects(parseFeedDocument(fixture('not-a-feed.html')), /Response is HTML, not a feed/);
+  });
+
+  it('rejects JSON that is not a JSON Feed', async () => {
+    await assert.rejects(parseFeedDocument('{"items": []}'), /JSON but not a JSON Feed/);
+  });
+
+  it('rejects XML documents that are not feeds', async () => {
+    await assert.rejects(parseFeedDocument('<sitemap><url/></sitemap>'), /Not a recognizable feed \(root element <sitemap>\)/);
+  });
+
+  it('handles a channel without items', async () => {
+    const feed = await parseFeedDocument('<rss><channel><title>Empty</title></channel></rss>');
+    assert.deepEqual(parseFeed(feed, 'Empty'), []);
+  });
+});
+
+describe('formatPost', () => {
+  before(() => setClock(new Date('2026-10-17T00:00:00Z')));
+  after(() => setClock(null));
+
+  it('strips HTML and adds display dates', async () => {
+    const { posts } = await postsFrom('rss.xml');
+    const post = formatPost(posts[0]);
+
+    assert.equal(post.description, 'Fusaka is scheduled for mainnet activation.');
+    assert.equal(post.date, 'October 14, 2026');
+    assert.equal(post.relativeDate, '2 days ago');
+  });
+
+  it('truncates long descriptions to 200 characters', () => {
+    const post = formatPost({
+      feed: 'Test Feed',
+      title: 'Long',
+      link: 'https://example.org/long',
+      publishedAt: new Date('2026-10-16T00:00:00Z'),
+      description: 'x'.repeat(300),
+      categories: []
+    });
+
+    assert.equal(post.description.length, 200);
+    assert.ok(post.description.endsWith('...'));
+  });
+});
+
+describe('fetchFeed', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockServer({
+      '/feed.xml': { headers: { 'Content-Type': 'application/rss+xml' }, body: fixture('rss.xml') },
+      '/blog': { headers: { 'Content-Type': 'text/html' }, body: fixture('not-a-feed.html') }
+    });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('fetches and detects a feed', async () => {
+    const feed = await fetchFeed(`${server.url}/feed.xml`);
+    assert.equal(feed.format, 'rss');
+  });
+
+  it('reports HTTP errors', async () => {
+    await assert.rejects(fetchFeed(`${server.url}/missing.xml`), /HTTP error: 404/);
+  });
+
+  it('reports HTML responses', async () => {
+    await assert.rejects(fetchFeed(`${server.url}/blog`), /Response is HTML/);
+  });
+});
+
+describe('fetchPosts', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockServer({
+      '/feed.xml': { body: fixture('rss.xml') },
+      '/solidity/blog/': { headers: { 'Content-Type': 'text/html' }, body: fixture('blog-time.html') }
+    });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('reads feeds by default', async () => {
+    const { format, posts } = await fetchPosts({ name: 'EF Blog', url: `${server.url}/feed.xml` });
+
+    assert.equal(format, 'rss');
+    assert.equal(posts[0].feed, 'EF Blog');
+  });
+
+  it('scrapes index pages with the html adapter', async () => {
+    const { format, posts } = await fetchPosts({
+      name: 'Solidity Blog',
+      url: `${server.url}/solidity/blog/`,
+      options: { adapter: 'html' }
+    });
+
+    assert.equal(format, 'html');
+    assert.deepEqual(posts[0], {
+      feed: 'Solidity Blog',
+      title: 'Solidity 0.8.31 Release Announcement',
+      link: `${server.url}/blog/2026/10/14/solidity-0.8.31-release-announcement/`,
+      publishedAt: new Date('2026-10-14T00:00:00Z'),
+      description: '',
+      categories: []
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { startMockServer } = require('./helpers/mock-server');
+
+// A token is set so the retry-without-token path can be exercised
+process.env.GITHUB_TOKEN = 'ghp_testtoken';
+
+describe('fetchGitHubAPI', () => {
+  let server;
+  let github;
+
+  before(async () => {
+    server = await startMockServer();
+    process.env.GITHUB_API_URL = server.url;
+    github = require('../lib/github');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+    for (const key of Object.keys(server.routes)) {
+      delete server.routes[key];
+    }
+    github.setETagCache(null);
+  });
+
+  it('parses a 200 response and sends the token', async () => {
+    server.routes['/repos/ethereum/go-ethereum'] = { body: { full_name: 'ethereum/go-ethereum' } };
+
+    const data = await github.fetchGitHubAPI(`${server.url}/repos/ethereum/go-ethereum`);
+
+    assert.deepEqual(data, { full_name: 'ethereum/go-ethereum' });
+    assert.equal(server.requests[0].headers.authorization, 'token ghp_testtoken');
+    assert.equal(server.requests[0].headers['user-agent'], 'Ethereal-News-Tools');
+  });
+
+  it('follows redirects', async () => {
+    server.routes['/repos/ledgerwatch/erigon'] = { status: 301, headers: { Location: `${server.url}/repositories/1` } };
+    server.routes['/repositories/1'] = { body: { full_name: 'erigontech/erigon' } };
+
+    const data = await github.fetchGitHubAPI(`${server.url}/repos/ledgerwatch/erigon`);
+
+    assert.equal(data.full_name, 'erigontech/erigon');
+    assert.deepEqual(server.requests.map(request => request.path), ['/repos/ledgerwatch/erigon', '/repositories/1']);
+  });
+
+  it('gives up after too many redirects', async () => {
+    server.routes['/loop'] = { status: 302, headers: { Location: `${server.url}/loop` } };
+
+    await assert.rejects(github.fetchGitHubAPI(`${server.url}/loop`), /Too many redirects/);
+  });
+
+  it('resolves a 404 to null', async () => {
+    assert.equal(await github.fetchGitHubAPI(`${server.url}/repos/nobody/nothing`), null);
+  });
+
+  it('retries without the token after a 401, warning once', async () => {
+    server.routes['/private'] = request => (request.headers.authorization
+      ? { status: 401, body: { message: 'Bad credentials' } }
+      : { body: { ok: true } });
+    const warnings = [];
+    github.setWarningOutput({ write: text => warnings.push(text) });
+
+    assert.deepEqual(await github.fetchGitHubAPI(`${server.url}/private`), { ok: true });
+    assert.deepEqual(await github.fetchGitHubAPI(`${server.url}/private`), { ok: true });
+    assert.equal(server.requests.length, 4);
+    assert.equal(server.requests[1].headers.authorization, undefined);
+    assert.deepEqual(warnings, ['  ⚠️  GitHub API authentication failed, retrying without token\n']);
+  });
+
+  it('fails when the anonymous retry is rejected too', async () => {
+    server.routes['/private'] = { status: 401, body: { message: 'Bad credentials' } };
+
+    await assert.rejects(github.fetchGitHubAPI(`${server.url}/private`), /authentication failed/);
+  });
+
+  it('reports an exhausted rate limit with its reset time', async () => {
+    server.routes['/limited'] = {
+      status: 403,
+      headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Limit': '60', 'X-RateLimit-Reset': '4102444800' },
+      body: { message: 'API rate limit exceeded' }
+    };
+
+    await assert.rejects(github.fetchGitHubAPI(`${server.url}/limited`), /rate limit exceeded until 00:00 UTC/);
+    assert.deepEqual(github.getRateLimit(), { limit: 60, remaining: 0, reset: new Date(4102444800 * 1000) });
+  });
+
+  it('fails fast while the rate limit is exhausted', async () => {
+    server.routes['/other'] = { body: {} };
+
+    await assert.rejects(github.fetchGitHubAPI(`${server.url}/other`), /rate limit exceeded/);
+    assert.equal(server.requests.length, 0);
+  });
+});
+
+describe('fetchGitHubAPI retries and ETags', () => {
+  // A fresh copy of the client, so the exhausted budget above doesn't carry over
+  let server;
+  let github;
+  let cacheDir;
+
+  before(async () => {
+    server = await startMockServer();
+    process.env.GITHUB_API_URL = server.url;
+    delete require.cache[require.resolve('../lib/github')];
+    github = require('../lib/github');
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethereal-etags-'));
+  });
+
+  after(async () => {
+    await server.close();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('retries 5xx errors', async () => {
+    let calls = 0;
+    server.routes['/flaky'] = () => (++calls === 1 ? { status: 502, body: 'Bad gateway' } : { body: [1, 2] });
+
+    assert.deepEqual(await github.fetchGitHubAPI(`${server.url}/flaky`), [1, 2]);
+    assert.equal(calls, 2);
+  });
+
+  it('waits for Retry-After on secondary rate limits', async () => {
+    let calls = 0;
+    server.routes['/secondary'] = () => (++calls === 1
+      ? { status: 403, headers: { 'Retry-After': '0' }, body: { message: 'You have exceeded a secondary rate limit' } }
+      : { body: { ok: true } });
+
+    assert.deepEqual(await github.fetchGitHubAPI(`${server.url}/secondary`), { ok: true });
+    assert.equal(calls, 2);
+  });
+
+  it('waits for Retry-After given as an HTTP date', async () => {
+    let calls = 0;
+    const retryAt = new Date(Date.now() + 1500);
+    server.routes['/secondary-date'] = () => (++calls === 1
+      ? { status: 429, headers: { 'Retry-After': retryAt.toUTCString() }, body: { message: 'You have exceeded a secondary rate limit' } }
+      : { body: { ok: true } });
+
+    const started = Date.now();
+    assert.deepEqual(await github.fetchGitHubAPI(`${server.url}/secondary-date`), { ok: true });
+    assert.equal(calls, 2);
+    const waited = Date.now() - started;
+    assert.ok(waited >= 200 && waited < 10000, `waited ${waited}ms`);
+  });
+
+  it('gives up on a Retry-After longer than it waits', async () => {
+    server.routes['/secondary-long'] = {
+      status: 403,
+      headers: { 'Retry-After': '3600' },
+      body: { message: 'You have exceeded a secondary rate limit' }
+    };
+
+    await assert.rejects(github.fetchGitHubAPI(`${server.url}/secondary-long`),
+      /secondary rate limit exceeded for 3600s, longer than the 60s the client waits/);
+    assert.equal(server.requests.filter(request => request.path === '/secondary-long').length, 1);
+  });
+
+  it('reports other 403s as forbidden', async () => {
+    server.routes['/forbidden'] = { status: 403, body: { message: 'Resource not accessible by integration' } };
+
+    await assert.rejects(github.fetchGitHubAPI(`${server.url}/forbidden`),
+      /access forbidden: Resource not accessible by integration/);
+  });
+
+  it('answers 304 responses from the ETag cache', async () => {
+    const { createDiskCache } = require('../lib/cache');
+    github.setETagCache(createDiskCache(cacheDir));
+    server.routes['/releases'] = request => (request.headers['if-none-match'] === '"v1"'
+      ? { status: 304, headers: { ETag: '"v1"' } }
+      : { headers: { ETag: '"v1"' }, body: [{ tag_name: 'v1.0.0' }] });
+
+    const first = await github.fetchGitHubAPI(`${server.url}/releases`);
+    const second = await github.fetchGitHubAPI(`${server.url}/releases`);
+
+    assert.deepEqual(second, first);
+    assert.equal(server.requests.at(-1).headers['if-none-match'], '"v1"');
+  });
+
+  it('uses a cached response once the rate limit is exhausted', async () => {
+    server.routes['/releases'] = {
+      status: 403,
+      headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Limit': '60', 'X-RateLimit-Reset': '4102444800' },
+      body: { message: 'API rate limit exceeded' }
+    };
+    const warnings = [];
+    github.setWarningOutput({ write: text => warnings.push(text) });
+
+    assert.deepEqual(await github.fetchGitHubAPI(`${server.url}/releases`), [{ tag_name: 'v1.0.0' }]);
+    assert.match(warnings.join(''), /rate limit exceeded until 00:00 UTC; using cached responses where available/);
+  });
+});
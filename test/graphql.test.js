@@ -0,0 +1,168 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer } = require('./helpers/mock-server');
+
+// The auto backend only uses GraphQL with a token
+process.env.GITHUB_TOKEN = 'ghp_testtoken';
+
+const SINCE = new Date('2026-10-10T00:00:00Z');
+
+/**
+ * A GraphQL release node
+ */
+function releaseNode(tagName, date) {
+  return {
+    tagName,
+    createdAt: date,
+    publishedAt: date,
+    url: `https://github.com/example/repo/releases/tag/${tagName}`,
+    isPrerelease: false,
+    isDraft: false,
+    description: ''
+  };
+}
+
+/**
+ * A source for example/<repo>
+ */
+const source = repo => ({ name: repo, owner: 'example', repo });
+
+describe('GraphQL release lookups', () => {
+  let server;
+  let graphql;
+  let releases;
+  let queries;
+
+  /**
+   * Answer GraphQL queries: every repository has one release in the window,
+   * `paged` has a second page, `missing` doesn't exist and `private` can't be read
+   */
+  function answer(request) {
+    const { variables } = JSON.parse(request.body);
+    queries.push(variables);
+    const data = {};
+    const errors = [];
+
+    for (const [key, repo] of Object.entries(variables).filter(([name]) => name.startsWith('name'))) {
+      const alias = `r${key.slice('name'.length)}`;
+      const after = variables[`after${key.slice('name'.length)}`];
+      if (repo === 'missing' || repo === 'private') {
+        data[alias] = null;
+        errors.push({ path: [alias], type: repo === 'missing' ? 'NOT_FOUND' : 'FORBIDDEN', message: `Can't read ${repo}` });
+        continue;
+      }
+      const paged = repo === 'paged' && !after;
+      data[alias] = {
+        nameWithOwner: `example/${repo}`,
+        isArchived: false,
+        releases: {
+          pageInfo: { hasNextPage: paged, endCursor: paged ? 'cursor1' : null },
+          nodes: after
+            ? [releaseNode('v1.0.0', '2026-10-01T00:00:00Z')]
+            : [releaseNode('v1.1.0', '2026-10-12T00:00:00Z')]
+        },
+        refs: { nodes: [] }
+      };
+    }
+    return { body: { data, errors } };
+  }
+
+  before(async () => {
+    server = await startMockServer();
+    process.env.GITHUB_API_URL = server.url;
+    graphql = require('../lib/graphql');
+    releases = require('../lib/releases');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    queries = [];
+    server.requests.length = 0;
+    for (const key of Object.keys(server.routes)) {
+      delete server.routes[key];
+    }
+  });
+
+  it('looks up 25 repositories per query and pages each one until it passes the start date', async () => {
+    server.routes['/graphql'] = answer;
+    const sources = ['paged', 'missing', 'private', ...Array.from({ length: 25 }, (_, i) => `repo${i}`)].map(source);
+
+    const found = await graphql.fetchRepositoriesGraphQL(sources, SINCE);
+
+    assert.deepEqual(queries.map(variables => Object.keys(variables).filter(name => name.startsWith('owner')).length), [25, 3, 1]);
+    assert.deepEqual(queries[2], { owner0: 'example', name0: 'paged', after0: 'cursor1' });
+    assert.equal(found.length, 28);
+    assert.deepEqual(found[0].releases.map(release => release.tag_name), ['v1.1.0', 'v1.0.0']);
+    assert.equal(found[1], null);
+    assert.ok(found[2] instanceof Error);
+    assert.match(found[2].message, /GitHub GraphQL error: Can't read private/);
+    assert.equal(found[27].nameWithOwner, 'example/repo24');
+  });
+
+  it('keeps paging past ten pages while releases are in the window', async () => {
+    server.routes['/graphql'] = request => {
+      const { variables } = JSON.parse(request.body);
+      queries.push(variables);
+      const page = variables.after0 ? Number(variables.after0) : 1;
+      const date = page < 12 ? '2026-10-12T00:00:00Z' : '2026-10-01T00:00:00Z';
+      return {
+        body: {
+          data: {
+            r0: {
+              nameWithOwner: 'example/busy',
+              isArchived: false,
+              releases: {
+                pageInfo: { hasNextPage: true, endCursor: String(page + 1) },
+                nodes: [releaseNode(`v1.${page}.0`, date)]
+              },
+              refs: { nodes: [] }
+            }
+          }
+        }
+      };
+    };
+
+    const [found] = await graphql.fetchRepositoriesGraphQL([source('busy')], SINCE);
+
+    assert.equal(queries.length, 12);
+    assert.equal(found.releases.length, 12);
+    assert.equal(found.releases[11].tag_name, 'v1.12.0');
+  });
+
+  it('falls back to REST when a GraphQL lookup fails with the auto backend', async () => {
+    server.routes['/graphql'] = { body: { errors: [{ message: 'Something went wrong' }] } };
+    server.routes['/repos/example/repo/releases?per_page=100&page=1'] = {
+      body: [{ tag_name: 'v2.0.0', html_url: 'https://github.com/example/repo/releases/tag/v2.0.0', published_at: '2026-10-12T00:00:00Z' }]
+    };
+
+    const batches = [];
+    for await (const batch of releases.fetchReleaseBatches([source('repo')], SINCE, { backend: 'auto' })) {
+      batches.push(batch);
+    }
+
+    assert.equal(batches.length, 1);
+    assert.equal(batches[0][0].error, null);
+    assert.deepEqual(batches[0][0].result.releases.map(release => release.version), ['v2.0.0']);
+    assert.deepEqual(batches[0][0].result.warnings, [
+      'GraphQL lookup failed (GitHub GraphQL error: Something went wrong), fell back to REST'
+    ]);
+  });
+
+  it('reports the failure for every source with the graphql backend', async () => {
+    server.routes['/graphql'] = { body: { errors: [{ message: 'Something went wrong' }] } };
+
+    const batches = [];
+    for await (const batch of releases.fetchReleaseBatches([source('repo'), source('other')], SINCE, { backend: 'graphql' })) {
+      batches.push(batch);
+    }
+
+    assert.deepEqual(batches[0].map(({ result, error }) => [result, error.message]), [
+      [null, 'GitHub GraphQL error: Something went wrong'],
+      [null, 'GitHub GraphQL error: Something went wrong']
+    ]);
+    assert.ok(server.requests.every(request => request.path === '/graphql'));
+  });
+});
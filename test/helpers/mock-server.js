@@ -0,0 +1,52 @@
+/**
+ * Local HTTP server imitating the GitHub API and feed hosts
+ *
+ * Routes map a path (with query string) to a response or to a function that
+ * returns one: { status = 200, headers = {}, body }. Object bodies are sent as
+ * JSON. Every request is recorded so tests can check what was asked for.
+ */
+
+const http = require('http');
+
+/**
+ * Start a mock server on a free local port
+ */
+async function startMockServer(routes = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const request = { method: req.method, path: req.url, headers: req.headers, body };
+      requests.push(request);
+
+      const route = routes[req.url];
+      const response = typeof route === 'function' ? route(request) : route;
+      if (!response) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Not Found' }));
+        return;
+      }
+
+      const { status = 200, headers = {}, body: payload = '' } = response;
+      const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+      res.writeHead(status, headers);
+      res.end(text);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    routes,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startMockServer };
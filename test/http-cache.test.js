@@ -0,0 +1,190 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockServer } = require('./helpers/mock-server');
+const { parseDuration, createHTTPCache, writeRecording, readRecording } = require('../lib/http-cache');
+
+const BIN = path.join(__dirname, '..', 'bin', 'ethereal.js');
+
+/**
+ * A stand-in for the network that answers with the statuses given, in turn,
+ * and counts the requests it was sent
+ */
+function network(...statuses) {
+  const send = async (url, options) => {
+    const statusCode = statuses[Math.min(send.calls, statuses.length - 1)];
+    send.calls++;
+    return { statusCode, headers: { etag: `"${send.calls}"` }, body: `${options.method || 'GET'} ${url} #${send.calls}` };
+  };
+  send.calls = 0;
+  return send;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('HTTP cache', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethereal-http-cache-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('parses durations', () => {
+    assert.equal(parseDuration('90'), 90 * 1000);
+    assert.equal(parseDuration('30m'), 30 * 60 * 1000);
+    assert.equal(parseDuration('1d'), 24 * 60 * 60 * 1000);
+    assert.throws(() => parseDuration('0s'), /Invalid duration: 0s/);
+    assert.throws(() => parseDuration('6 hours'), /Invalid duration/);
+  });
+
+  it('records every response, errors included, without the request headers', async () => {
+    const cacheDir = path.join(dir, 'record');
+    const cache = createHTTPCache({ mode: 'record', dir: cacheDir });
+    const send = network(500, 200);
+    const options = { headers: { Authorization: 'token ghp_secret' } };
+
+    assert.equal((await cache.request('https://api.github.com/a', options, send)).statusCode, 500);
+    assert.equal((await cache.request('https://api.github.com/a', options, send)).statusCode, 200);
+    assert.equal(send.calls, 2, 'recording always goes to the network');
+
+    const files = fs.readdirSync(cacheDir);
+    assert.equal(files.length, 1, 'the latest response replaces the earlier one');
+    const saved = fs.readFileSync(path.join(cacheDir, files[0]), 'utf8');
+    assert.doesNotMatch(saved, /ghp_secret|Authorization/);
+    assert.match(saved, /GET https:\/\/api\.github\.com\/a #2/);
+  });
+
+  it('replays recorded responses, keyed by method, URL and body', async () => {
+    const cacheDir = path.join(dir, 'replay');
+    const recorder = createHTTPCache({ mode: 'record', dir: cacheDir });
+    await recorder.request('https://api.github.com/graphql', { method: 'POST', body: '{"query":"a"}' }, network(200));
+    await recorder.request('https://api.github.com/graphql', { method: 'POST', body: '{"query":"b"}' }, network(404));
+
+    const cache = createHTTPCache({ mode: 'replay', dir: cacheDir });
+    const send = network(200);
+    assert.equal((await cache.request('https://api.github.com/graphql', { method: 'POST', body: '{"query":"a"}' }, send)).statusCode, 200);
+    assert.equal((await cache.request('https://api.github.com/graphql', { method: 'POST', body: '{"query":"b"}' }, send)).statusCode, 404);
+    assert.equal(send.calls, 0);
+  });
+
+  it('fails to replay a request that was not recorded', async () => {
+    const cache = createHTTPCache({ mode: 'replay', dir: path.join(dir, 'replay') });
+    const send = network(200);
+
+    await assert.rejects(cache.request('https://api.github.com/graphql', { method: 'POST', body: '{"query":"c"}' }, send),
+      /Not in the recording \(--replay\): POST https:\/\/api\.github\.com\/graphql/);
+    await assert.rejects(cache.request('https://example.com/feed.xml', {}, send),
+      /Not in the recording \(--replay\): GET https:\/\/example\.com\/feed\.xml/);
+    assert.equal(send.calls, 0);
+  });
+
+  it('reuses responses younger than the ttl, except errors', async () => {
+    const cache = createHTTPCache({ mode: 'ttl', dir: path.join(dir, 'ttl'), ttl: 300 });
+    const send = network(200);
+    const first = await cache.request('https://example.com/feed.xml', {}, send);
+    assert.deepEqual(await cache.request('https://example.com/feed.xml', {}, send), first);
+    assert.equal(send.calls, 1);
+
+    await sleep(400);
+    const expired = await cache.request('https://example.com/feed.xml', {}, send);
+    assert.equal(send.calls, 2);
+    assert.notDeepEqual(expired, first);
+
+    const failing = network(502, 200);
+    assert.equal((await cache.request('https://example.com/flaky.xml', {}, failing)).statusCode, 502);
+    assert.equal((await cache.request('https://example.com/flaky.xml', {}, failing)).statusCode, 200);
+    assert.equal(failing.calls, 2, 'errors are refetched');
+  });
+
+  it('reads back the recorded time, backend and arguments', () => {
+    const recordingDir = path.join(dir, 'recording');
+    writeRecording(recordingDir, { recordedAt: new Date('2026-10-17T08:00:00Z'), backend: 'graphql', args: ['all', '--record'] });
+
+    assert.deepEqual(readRecording(recordingDir), {
+      recordedAt: new Date('2026-10-17T08:00:00Z'),
+      backend: 'graphql',
+      args: ['all', '--record']
+    });
+    assert.throws(() => readRecording(path.join(dir, 'nothing')), /No recording to replay in/);
+  });
+});
+
+describe('ethereal --record and --replay', () => {
+  let server;
+  let dir;
+  let sourcesFile;
+
+  /**
+   * Run the CLI against the mock server, resolving to { code, stdout, stderr }
+   */
+  function ethereal(...args) {
+    return new Promise(resolve => {
+      execFile(process.execPath, [BIN, ...args, '--sources', sourcesFile, '--cache-dir', path.join(dir, 'cache')], {
+        cwd: dir,
+        env: { ...process.env, GITHUB_API_URL: server.url, GITHUB_TOKEN: '' }
+      }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+  }
+
+  before(async () => {
+    server = await startMockServer({
+      '/repos/ethereum/go-ethereum/releases?per_page=100&page=1': {
+        body: [{
+          tag_name: 'v1.16.8',
+          html_url: 'https://github.com/ethereum/go-ethereum/releases/tag/v1.16.8',
+          published_at: '2026-10-14T10:00:00Z',
+          created_at: '2026-10-14T10:00:00Z',
+          prerelease: false,
+          draft: false,
+          body: ''
+        }]
+      }
+    });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethereal-replay-'));
+    sourcesFile = path.join(dir, 'sources.json');
+    const github = (id, name, owner, repo) => ({ id, name, type: 'github', category: 'execution', owner, repo });
+    fs.writeFileSync(sourcesFile, JSON.stringify({
+      version: 1,
+      sources: [github('geth', 'Geth', 'ethereum', 'go-ethereum')]
+    }));
+  });
+
+  after(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('replays a recorded run offline, as of the time it was recorded', async () => {
+    const recorded = await ethereal('clients', '--days', '7', '--record', '-q');
+    assert.equal(recorded.code, 0);
+
+    // Pretend the run was recorded on 2026-10-17
+    const recordingDir = path.join(dir, 'cache', 'http');
+    writeRecording(recordingDir, { ...readRecording(recordingDir), recordedAt: new Date('2026-10-17T00:00:00Z') });
+
+    const requests = server.requests.length;
+    const replayed = await ethereal('clients', '--days', '7', '--replay', '-q');
+
+    assert.equal(replayed.code, 0);
+    assert.equal(server.requests.length, requests, 'nothing is sent over the network');
+    assert.match(replayed.stdout, /Geth v1\.16\.8\n {2}Released: October 14, 2026 \(2 days ago\)/);
+  });
+
+  it('reports sources whose requests were not recorded', async () => {
+    fs.writeFileSync(sourcesFile, JSON.stringify({
+      version: 1,
+      sources: [{ id: 'reth', name: 'Reth', type: 'github', category: 'execution', owner: 'paradigmxyz', repo: 'reth' }]
+    }));
+
+    const { stdout } = await ethereal('clients', '--days', '7', '--replay');
+
+    assert.match(stdout, /Checking Reth\.\.\. ✗ Error: Not in the recording \(--replay\): GET .*\/repos\/paradigmxyz\/reth\/releases/);
+  });
+});
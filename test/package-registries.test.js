@@ -0,0 +1,110 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer } = require('./helpers/mock-server');
+
+describe('fetchPackageVersions', () => {
+  let server;
+  let registries;
+
+  before(async () => {
+    server = await startMockServer({
+      '/@wagmi%2Fcore': {
+        body: {
+          versions: { '2.0.0': {}, '2.1.0-beta.1': {}, '2.1.0': {} },
+          time: {
+            created: '2026-01-01T00:00:00Z',
+            modified: '2026-10-15T00:00:00Z',
+            '2.0.0': '2026-09-01T00:00:00Z',
+            '2.1.0-beta.1': '2026-10-01T00:00:00Z',
+            '2.1.0': '2026-10-15T00:00:00Z'
+          }
+        }
+      },
+      '/api/v1/crates/revm/versions?per_page=100': {
+        body: {
+          versions: [
+            { num: '27.1.1', created_at: '2026-10-14T10:00:00Z', yanked: true },
+            { num: '27.1.0', created_at: '2026-10-12T10:00:00Z', yanked: false }
+          ]
+        }
+      },
+      '/pypi/vyper/json': {
+        body: {
+          releases: {
+            '0.4.3': [{ upload_time_iso_8601: '2026-10-13T09:00:00Z' }, { upload_time_iso_8601: '2026-10-13T08:00:00Z' }],
+            '0.4.4rc1': [{ upload_time_iso_8601: '2026-10-16T08:00:00Z' }],
+            '0.4.2': []
+          }
+        }
+      },
+      '/v2/repositories/ethereum/client-go/tags?page_size=100&ordering=last_updated': {
+        body: {
+          results: [
+            { name: 'latest', last_updated: '2026-10-14T12:00:00Z' },
+            { name: 'alltools-v1.16.8', last_updated: '2026-10-14T12:00:00Z' },
+            { name: 'v1.16.8', last_updated: '2026-10-14T11:00:00Z', tag_last_pushed: '2026-10-14T10:00:00Z' },
+            { name: 'v1.16.8-amd64', last_updated: '2026-10-14T10:00:00Z' },
+            { name: 'v1.16.8-arm64', last_updated: '2026-10-14T10:00:00Z' },
+            { name: 'v1.16.8-rc.1-arm64-alpine', last_updated: '2026-10-13T10:00:00Z' },
+            { name: 'v1.16.8-rc.1', last_updated: '2026-10-13T09:00:00Z' },
+            { name: 'v1.16.7', last_updated: '2026-09-30T11:00:00Z' }
+          ]
+        }
+      },
+      '/pypi/broken/json': { status: 503, body: 'Service Unavailable' }
+    });
+    process.env.NPM_REGISTRY_URL = server.url;
+    process.env.CRATES_API_URL = server.url;
+    process.env.PYPI_URL = server.url;
+    process.env.DOCKER_HUB_API_URL = server.url;
+    registries = require('../lib/package-registries');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  const summary = found => found.versions.map(item => [item.version, item.publishedAt.toISOString(), item.prerelease]);
+
+  it('reads npm versions with their publish times', async () => {
+    const found = await registries.fetchPackageVersions('npm', '@wagmi/core');
+
+    assert.equal(found.url, 'https://www.npmjs.com/package/@wagmi/core');
+    assert.deepEqual(summary(found), [
+      ['2.1.0', '2026-10-15T00:00:00.000Z', false],
+      ['2.1.0-beta.1', '2026-10-01T00:00:00.000Z', true],
+      ['2.0.0', '2026-09-01T00:00:00.000Z', false]
+    ]);
+    assert.equal(found.versions[0].url, 'https://www.npmjs.com/package/@wagmi/core/v/2.1.0');
+  });
+
+  it('leaves out yanked crates', async () => {
+    const found = await registries.fetchPackageVersions('crates', 'revm');
+
+    assert.deepEqual(summary(found), [['27.1.0', '2026-10-12T10:00:00.000Z', false]]);
+  });
+
+  it('dates PyPI versions by their first upload', async () => {
+    const found = await registries.fetchPackageVersions('pypi', 'vyper');
+
+    assert.deepEqual(summary(found), [
+      ['0.4.4rc1', '2026-10-16T08:00:00.000Z', true],
+      ['0.4.3', '2026-10-13T08:00:00.000Z', false]
+    ]);
+  });
+
+  it('only reads Docker Hub tags that are versions, leaving out per-platform tags', async () => {
+    const found = await registries.fetchPackageVersions('docker', 'ethereum/client-go');
+
+    assert.deepEqual(summary(found), [
+      ['v1.16.8', '2026-10-14T10:00:00.000Z', false],
+      ['v1.16.8-rc.1', '2026-10-13T09:00:00.000Z', true],
+      ['v1.16.7', '2026-09-30T11:00:00.000Z', false]
+    ]);
+  });
+
+  it('resolves to null for missing packages and throws on errors', async () => {
+    assert.equal(await registries.fetchPackageVersions('npm', 'no-such-package'), null);
+    await assert.rejects(registries.fetchPackageVersions('pypi', 'broken'), /PyPI error: 503/);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { assessClient, renderReadinessText } = require('../lib/readiness');
+
+/**
+ * A release as the release backends return it
+ */
+function release(version, publishedAt, body = '', extra = {}) {
+  return {
+    version,
+    publishedAt: new Date(publishedAt),
+    url: `https://github.com/example/releases/tag/${version}`,
+    prerelease: false,
+    draft: false,
+    body,
+    ...extra
+  };
+}
+
+const UPGRADE = {
+  name: 'Fusaka',
+  keywords: ['fusaka', 'osaka'],
+  mainnetEpoch: 411392,
+  clients: { Geth: { minVersion: '1.16.7' } }
+};
+
+const GETH = { name: 'Geth' };
+const NETHERMIND = { name: 'Nethermind' };
+
+describe('assessClient', () => {
+  it('is ready from the first stable release at or above the minimum version', () => {
+    const result = assessClient(GETH, [
+      release('v1.16.8', '2026-10-14T00:00:00Z'),
+      release('v1.16.7', '2026-09-30T00:00:00Z', 'Schedules the Fusaka fork on mainnet'),
+      release('v1.16.7-rc.1', '2026-09-20T00:00:00Z', '', { prerelease: true }),
+      release('v1.16.6', '2026-09-01T00:00:00Z')
+    ], UPGRADE);
+
+    assert.equal(result.status, 'ready');
+    assert.equal(result.release.version, 'v1.16.7');
+    assert.equal(result.basis, '>= 1.16.7, notes mention mainnet');
+  });
+
+  it('says when the release notes don\'t back up the minimum version', () => {
+    const result = assessClient(GETH, [release('v1.16.7', '2026-09-30T00:00:00Z', 'Bug fixes')], UPGRADE);
+
+    assert.equal(result.status, 'ready');
+    assert.equal(result.basis, '>= 1.16.7, notes don\'t mention mainnet');
+  });
+
+  it('does not count tags that are not versions', () => {
+    const result = assessClient(GETH, [
+      release('nightly', '2026-10-15T00:00:00Z'),
+      release('v1.16.6', '2026-09-01T00:00:00Z', 'Fusaka activates on mainnet at epoch 411392')
+    ], UPGRADE);
+
+    assert.equal(result.status, 'pending');
+    assert.equal(result.release, null);
+    assert.equal(result.basis, 'needs >= 1.16.7, but v1.16.6 notes mention mainnet');
+  });
+
+  it('is pending below the minimum version, or with testnet mentions only', () => {
+    assert.deepEqual(assessClient(GETH, [release('v1.16.6', '2026-09-01T00:00:00Z')], UPGRADE), {
+      status: 'pending',
+      release: null,
+      basis: 'needs >= 1.16.7'
+    });
+
+    const testnet = assessClient(NETHERMIND, [
+      release('1.35.0', '2026-09-01T00:00:00Z', 'Fusaka on Holesky and Sepolia'),
+      release('1.35.1-rc', '2026-09-10T00:00:00Z', 'Osaka for mainnet', { prerelease: true })
+    ], UPGRADE);
+    assert.equal(testnet.status, 'pending');
+    assert.equal(testnet.release.version, '1.35.0');
+    assert.equal(testnet.basis, 'release notes mention testnets only');
+  });
+
+  it('is ready without a minimum version when stable release notes mention the epoch', () => {
+    const result = assessClient(NETHERMIND, [
+      release('1.35.2', '2026-10-01T00:00:00Z', 'Osaka activation at epoch 411392'),
+      release('1.35.3', '2026-10-08T00:00:00Z', 'Fusaka mainnet release')
+    ], UPGRADE);
+
+    assert.equal(result.status, 'ready');
+    assert.equal(result.release.version, '1.35.2');
+  });
+
+  it('is unknown with nothing to go on', () => {
+    const result = assessClient(NETHERMIND, [release('1.34.0', '2026-08-01T00:00:00Z', 'Performance work')], UPGRADE);
+
+    assert.deepEqual(result, { status: 'unknown', release: null, basis: 'no minimum version configured or mentions found' });
+  });
+});
+
+describe('renderReadinessText', () => {
+  it('lists every client with a count per status', () => {
+    const rows = [
+      { client: GETH, layer: 'Execution', ...assessClient(GETH, [release('v1.16.7', '2026-09-30T00:00:00Z')], UPGRADE), error: null },
+      { client: NETHERMIND, layer: 'Execution', status: 'unknown', release: null, basis: '', error: 'HTTP error: 502' }
+    ];
+    const text = renderReadinessText(UPGRADE, rows);
+
+    assert.match(text, /FUSAKA READINESS/);
+    assert.match(text, /Geth +Execution +ready +v1\.16\.7 +September 30, 2026 +>= 1\.16\.7/);
+    assert.match(text, /Nethermind +Execution +unknown +- +- +error: HTTP error: 502/);
+    assert.match(text, /1 ready, 0 pending, 1 unknown/);
+  });
+});
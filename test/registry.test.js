@@ -0,0 +1,116 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateRegistry,
+  loadRegistry,
+  sourcesIn,
+  addSource,
+  removeSource,
+  slugify
+} = require('../lib/registry');
+
+const geth = { id: 'geth', name: 'Geth', type: 'github', category: 'execution', owner: 'ethereum', repo: 'go-ethereum' };
+const prysm = { id: 'prysm', name: 'Prysm', type: 'github', category: 'consensus', owner: 'prysmaticlabs', repo: 'prysm' };
+const blog = { id: 'ef-blog', name: 'EF Blog', type: 'feed', category: 'blog', url: 'https://blog.ethereum.org/en/feed.xml' };
+
+const registry = sources => ({ version: 1, sources });
+
+describe('source registry', () => {
+  it('accepts the bundled registry', () => {
+    const bundled = loadRegistry();
+    assert.ok(bundled.sources.length > 50);
+  });
+
+  it('accepts valid sources', () => {
+    assert.deepEqual(validateRegistry(registry([
+      geth,
+      { ...prysm, options: { registries: { docker: 'prysmaticlabs/prysm-beacon-chain' }, strategy: 'registry' } },
+      { ...blog, tags: ['official'] },
+      { ...blog, id: 'pse', name: 'PSE', url: 'https://pse.dev/blog', options: { adapter: 'html', selectors: { item: 'article', date: '.date' } } },
+      {
+        ...blog,
+        id: 'ethresear-ch',
+        name: 'Ethereum Research',
+        url: 'https://ethresear.ch',
+        options: { adapter: 'discourse', categories: ['sharding'], top: 'monthly', engagement: { replies: 5, likes: 10 } }
+      }
+    ])), []);
+  });
+
+  it('rejects malformed sources', () => {
+    const errors = validateRegistry(registry([
+      { ...geth, id: 'Geth!' },
+      { ...prysm, category: 'blog' },
+      { ...blog, url: 'ftp://example.com/feed' },
+      { ...geth, id: 'reth', name: 'Reth', repo: 'reth', extra: true },
+      { ...geth, id: 'besu', name: 'Besu', repo: 'besu', options: { prereleases: 'no' } },
+      { ...blog, id: 'pse', name: 'PSE', url: 'https://pse.dev/blog', options: { adapter: 'scrape' } },
+      { ...blog, id: 'zkevm', name: 'zkEVM', url: 'https://zkevm.ethereum.foundation/blog', options: { selectors: { item: 'article' } } },
+      { ...blog, id: 'notes', name: 'Notes', url: 'https://notes.ethereum.org/', options: { adapter: 'html', selectors: { date: 'time' } } },
+      { ...geth, id: 'teku', name: 'Teku', repo: 'teku', options: { registries: { maven: 'teku' } } },
+      { ...geth, id: 'nimbus', name: 'Nimbus', repo: 'nimbus', options: { strategy: 'registry' } },
+      { ...blog, id: 'magicians', name: 'Magicians', url: 'https://ethereum-magicians.org', options: { adapter: 'discourse', engagement: { replies: -1 } } },
+      { ...blog, id: 'ethresear-ch', name: 'Research', url: 'https://ethresear.ch', options: { top: 'weekly' } },
+      { ...geth, id: 'lodestar', name: 'Lodestar', repo: 'lodestar', options: { calendar: 'yes' } }
+    ]));
+
+    assert.deepEqual(errors, [
+      'source #1 ("Geth!"): "id" must be lowercase letters, digits and dashes',
+      'source #2 ("prysm"): category "blog" needs type "feed"',
+      'source #3 ("ef-blog"): "url" must be an http(s) URL',
+      'source #4 ("reth"): unknown field "extra" for type "github"',
+      'source #5 ("besu"): invalid value for option "prereleases"',
+      'source #6 ("pse"): invalid value for option "adapter"',
+      'source #7 ("zkevm"): option "selectors" needs "adapter": "html"',
+      'source #8 ("notes"): invalid value for option "selectors"',
+      'source #9 ("teku"): invalid value for option "registries"',
+      'source #10 ("nimbus"): option "strategy": "registry" needs "registries"',
+      'source #11 ("magicians"): invalid value for option "engagement"',
+      'source #12 ("ethresear-ch"): option "top" needs "adapter": "discourse"',
+      'source #13 ("lodestar"): invalid value for option "calendar"'
+    ]);
+  });
+
+  it('rejects duplicate ids, names, repositories and URLs', () => {
+    const errors = validateRegistry(registry([
+      geth,
+      { ...geth, name: 'Go Ethereum', owner: 'Ethereum' },
+      { ...prysm, id: 'geth-2', name: 'geth', category: 'execution' },
+      blog,
+      { ...blog, id: 'ef-blog-2', name: 'EF Blog (mirror)' },
+      { ...blog, id: 'ef-blog-3', name: 'EF Blog (alias)', url: blog.url.replace('blog.ethereum.org', 'Blog.Ethereum.ORG') + '/' }
+    ]));
+
+    assert.deepEqual(errors, [
+      'source #2 ("geth"): duplicate id (already used by source #1 ("geth"))',
+      'source #2 ("geth"): duplicate repository (already used by source #1 ("geth"))',
+      'source #3 ("geth-2"): duplicate name (already used by source #1 ("geth"))',
+      'source #5 ("ef-blog-2"): duplicate url (already used by source #4 ("ef-blog"))',
+      'source #6 ("ef-blog-3"): duplicate url (already used by source #4 ("ef-blog"))'
+    ]);
+  });
+
+  it('rejects unsupported versions', () => {
+    assert.deepEqual(validateRegistry({ version: 2, sources: [] }), ['unsupported registry version: 2 (expected 1)']);
+  });
+
+  it('filters sources by category and tags', () => {
+    const tagged = registry([geth, { ...prysm, tags: ['java'] }, { ...geth, id: 'x', tags: ['go'] }]);
+
+    assert.deepEqual(sourcesIn(tagged, 'execution').map(source => source.id), ['geth', 'x']);
+    assert.deepEqual(sourcesIn(tagged, 'execution', ['go']).map(source => source.id), ['x']);
+  });
+
+  it('adds sources after their category and removes them by id', () => {
+    const added = addSource(registry([geth, prysm, blog]), { ...geth, id: 'reth', name: 'Reth', repo: 'reth' });
+
+    assert.deepEqual(added.sources.map(source => source.id), ['geth', 'reth', 'prysm', 'ef-blog']);
+    assert.deepEqual(removeSource(added, 'reth').sources.map(source => source.id), ['geth', 'prysm', 'ef-blog']);
+    assert.throws(() => removeSource(added, 'nope'), /No source with id "nope"/);
+  });
+
+  it('derives ids from names', () => {
+    assert.equal(slugify('Ethereum Foundation Blog'), 'ethereum-foundation-blog');
+    assert.equal(slugify('  Ethers.js!'), 'ethers-js');
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractReleaseNotes, stripMarkdown } = require('../lib/release-notes');
+
+describe('extractReleaseNotes', () => {
+  it('returns empty highlights for an empty body', () => {
+    assert.deepEqual(extractReleaseNotes(''), {
+      summary: '',
+      breaking: [],
+      security: [],
+      advisories: [],
+      mandatory: false,
+      critical: false
+    });
+  });
+
+  it('uses the first line of prose as the summary', () => {
+    const notes = extractReleaseNotes([
+      '![banner](https://example.com/banner.png)',
+      '# Geth v1.16.8',
+      '',
+      'This is a maintenance release with **bug fixes** for [the p2p layer](https://example.com).',
+      '',
+      'More details below.'
+    ].join('\n'));
+
+    assert.equal(notes.summary, 'This is a maintenance release with bug fixes for the p2p layer.');
+  });
+
+  it('collects breaking changes from headings and lines', () => {
+    const notes = extractReleaseNotes([
+      'Release notes.',
+      '## Breaking changes',
+      '- Removed the `--foo` flag',
+      '- Renamed `eth_bar` to `eth_baz`',
+      '## Other changes',
+      '- Breaking: the database format changed',
+      '- No breaking changes to the API'
+    ].join('\n'));
+
+    assert.deepEqual(notes.breaking, [
+      'Removed the --foo flag',
+      'Renamed eth_bar to eth_baz',
+      'Breaking: the database format changed'
+    ]);
+  });
+
+  it('collects security fixes and advisory ids', () => {
+    const notes = extractReleaseNotes([
+      'Patch release.',
+      '**Security**',
+      '- Fix a DoS in block processing (CVE-2026-12345)',
+      '- Harden RPC limits, see ghsa-ABCD-1234-efgh'
+    ].join('\n'));
+
+    assert.equal(notes.security.length, 2);
+    assert.deepEqual(notes.advisories, ['CVE-2026-12345', 'GHSA-abcd-1234-efgh']);
+  });
+
+  it('ignores code blocks', () => {
+    const notes = extractReleaseNotes(['```', 'breaking security critical', '```', 'Summary line.'].join('\n'));
+
+    assert.equal(notes.summary, 'Summary line.');
+    assert.deepEqual(notes.breaking, []);
+    assert.equal(notes.critical, false);
+  });
+
+  it('detects urgency, including in tables and emphasis', () => {
+    assert.equal(extractReleaseNotes('This is a **mandatory** upgrade.').mandatory, true);
+    assert.equal(extractReleaseNotes('| Network | _Upgrade required_ |').mandatory, true);
+    assert.equal(extractReleaseNotes('| Priority | High Priority |').critical, true);
+    assert.equal(extractReleaseNotes('## Urgent fix for Holesky').critical, true);
+    assert.equal(extractReleaseNotes('A non-critical bug fix release.').critical, false);
+  });
+
+  it('caps and truncates long lists', () => {
+    const lines = ['## Breaking', ...Array.from({ length: 8 }, (_, i) => `- Change ${i} ${'x'.repeat(200)}`)];
+    const notes = extractReleaseNotes(lines.join('\n'));
+
+    assert.equal(notes.breaking.length, 5);
+    assert.equal(notes.breaking[0].length, 160);
+    assert.ok(notes.breaking[0].endsWith('...'));
+  });
+});
+
+describe('stripMarkdown', () => {
+  it('removes links, emphasis, list markers and HTML', () => {
+    assert.equal(stripMarkdown('- [x] **Done**: see [docs](https://example.com) <br> _now_'), 'Done: see docs now');
+  });
+
+  it('leaves identifiers with underscores alone', () => {
+    assert.equal(stripMarkdown('Renamed snake_case_name'), 'Renamed snake_case_name');
+  });
+});
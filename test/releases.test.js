@@ -0,0 +1,445 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer } = require('./helpers/mock-server');
+
+// Unauthenticated, so release lookups use the REST backend
+process.env.GITHUB_TOKEN = '';
+
+/**
+ * A GitHub API release published `hoursAgo` before 2026-10-17
+ */
+function release(tag, hoursAgo, extra = {}) {
+  const date = new Date(Date.parse('2026-10-17T00:00:00Z') - hoursAgo * 60 * 60 * 1000).toISOString();
+  return {
+    tag_name: tag,
+    html_url: `https://github.com/example/repo/releases/tag/${tag}`,
+    published_at: date,
+    created_at: date,
+    prerelease: false,
+    draft: false,
+    body: '',
+    ...extra
+  };
+}
+
+const WINDOW = {
+  start: new Date('2026-10-10T00:00:00Z'),
+  end: new Date('2026-10-17T00:00:00Z'),
+  label: '2026-10-10 to 2026-10-16',
+  phrase: 'from 2026-10-10 to 2026-10-16'
+};
+
+describe('release lookups', () => {
+  let server;
+  let releases;
+
+  before(async () => {
+    server = await startMockServer();
+    process.env.GITHUB_API_URL = server.url;
+    process.env.NPM_REGISTRY_URL = server.url;
+    process.env.DOCKER_HUB_API_URL = server.url;
+    releases = require('../lib/releases');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+    for (const key of Object.keys(server.routes)) {
+      delete server.routes[key];
+    }
+  });
+
+  it('pages through releases until it passes the start date', async () => {
+    const page1 = Array.from({ length: 100 }, (_, i) => release(`v1.${200 - i}.0`, i));
+    const page2 = Array.from({ length: 100 }, (_, i) => release(`v1.${100 - i}.0`, 100 + i * 10));
+    server.routes['/repos/example/repo/releases?per_page=100&page=1'] = { body: page1 };
+    server.routes['/repos/example/repo/releases?per_page=100&page=2'] = { body: page2 };
+
+    const source = { name: 'Example', owner: 'example', repo: 'repo' };
+    const { releases: found, latest } = await releases.fetchReleasesSince(source, WINDOW.start);
+
+    // 168 hours in the window: all of page 1 and the first 7 of page 2
+    assert.equal(found.length, 107);
+    assert.equal(latest.version, 'v1.200.0');
+    assert.equal(found[0].repository, 'example/repo');
+    assert.deepEqual(server.requests.map(request => request.path), [
+      '/repos/example/repo/releases?per_page=100&page=1',
+      '/repos/example/repo/releases?per_page=100&page=2'
+    ]);
+  });
+
+  it('keeps paging past ten pages while releases are in the window', async () => {
+    for (let page = 1; page <= 12; page++) {
+      server.routes[`/repos/example/repo/releases?per_page=100&page=${page}`] = {
+        body: Array.from({ length: 100 }, (_, i) => release(`v${page}.${99 - i}.0`, page * 15 + i * 0.01))
+      };
+    }
+
+    const source = { name: 'Example', owner: 'example', repo: 'repo' };
+    const { releases: found, earlier } = await releases.fetchReleasesSince(source, WINDOW.start);
+
+    // Every page before the 12th is within the 168 hours of the window
+    assert.equal(found.length, 1100);
+    assert.equal(earlier.length, 100);
+    assert.equal(server.requests.length, 12);
+  });
+
+  it('uses the creation date of drafts', async () => {
+    server.routes['/repos/example/repo/releases?per_page=100&page=1'] = {
+      body: [release('v2.0.0', 5, { draft: true, published_at: null })]
+    };
+
+    const source = { name: 'Example', owner: 'example', repo: 'repo' };
+    const { releases: found } = await releases.fetchReleasesSince(source, WINDOW.start);
+
+    assert.equal(found[0].draft, true);
+    assert.deepEqual(found[0].publishedAt, new Date('2026-10-16T19:00:00Z'));
+  });
+
+  it('formats releases with highlights from the notes', () => {
+    const formatted = releases.formatRelease({
+      name: 'Geth',
+      repository: 'ethereum/go-ethereum',
+      version: 'v1.16.7',
+      publishedAt: new Date('2026-10-15T12:00:00Z'),
+      url: 'https://github.com/ethereum/go-ethereum/releases/tag/v1.16.7',
+      prerelease: false,
+      draft: false,
+      body: 'This release fixes a **critical** issue.\n\n## Breaking changes\n- Removed the `--foo` flag'
+    });
+
+    assert.equal(formatted.date, 'October 15, 2026');
+    assert.equal(formatted.body, undefined);
+    assert.equal(formatted.notes.critical, true);
+    assert.deepEqual(formatted.notes.breaking, ['Removed the --foo flag']);
+    assert.equal(releases.formatRelease(null), null);
+  });
+
+  it('turns each source into a check', async () => {
+    server.routes['/repos/ethereum/go-ethereum/releases?per_page=100&page=1'] = {
+      body: [release('v1.16.8-rc1', 2, { prerelease: true }), release('v1.16.7', 30)]
+    };
+    server.routes['/repos/sigp/lighthouse/releases?per_page=100&page=1'] = {
+      body: [release('v8.0.0-rc.1', 2, { prerelease: true }), release('v7.1.0', 400)]
+    };
+    server.routes['/repos/ChainSafe/lodestar/releases?per_page=100&page=1'] = { body: [release('v1.35.0', 500)] };
+    server.routes['/repos/broken/repo/releases?per_page=100&page=1'] = { status: 422, body: 'Unprocessable' };
+
+    const sources = [
+      { name: 'Geth', owner: 'ethereum', repo: 'go-ethereum' },
+      { name: 'Lighthouse', owner: 'sigp', repo: 'lighthouse', options: { prereleases: false } },
+      { name: 'Lodestar', owner: 'ChainSafe', repo: 'lodestar' },
+      { name: 'Missing', owner: 'nobody', repo: 'nothing' },
+      { name: 'Broken', owner: 'broken', repo: 'repo' }
+    ];
+    const output = [];
+    const checks = await releases.processBatch(sources, {
+      window: WINDOW,
+      out: { write: text => output.push(text) }
+    });
+
+    assert.deepEqual(checks.map(check => check.status), ['ok', 'ok', 'ok', 'not_found', 'error']);
+    assert.deepEqual(checks[0].items.map(item => item.version), ['v1.16.8-rc1', 'v1.16.7']);
+    assert.deepEqual(checks[1].items, [], 'pre-releases are left out for this source');
+    assert.equal(checks[2].latest.version, 'v1.35.0');
+    assert.match(checks[4].error, /GitHub API error: 422/);
+
+    const log = output.join('');
+    assert.match(log, /Checking Geth\.\.\. ✓ Found 2 releases: v1\.16\.8-rc1, v1\.16\.7/);
+    assert.match(log, /Checking Lodestar\.\.\. ✓ None since October 10, 2026 \(latest v1\.35\.0, September 26, 2026\)/);
+    assert.match(log, /Checking Missing\.\.\. ✗ No release found/);
+    assert.match(log, /Checking Broken\.\.\. ✗ Error: GitHub API error: 422/);
+  });
+
+  it('classifies each release against the version it follows, before the window too', async () => {
+    server.routes['/repos/ethereum/go-ethereum/releases?per_page=100&page=1'] = {
+      body: [
+        release('v1.17.0-rc.1', 2, { prerelease: true }),
+        release('v1.16.9', 20),
+        release('v1.16.8', 60),
+        release('v1.16.0-rc.2', 500, { prerelease: true }),
+        release('v1.15.11', 600)
+      ]
+    };
+
+    const checks = await releases.processBatch([{ name: 'Geth', owner: 'ethereum', repo: 'go-ethereum' }], {
+      window: WINDOW,
+      out: { write() {} }
+    });
+
+    assert.deepEqual(checks[0].items.map(item => [item.version, item.previousVersion, item.change]), [
+      ['v1.17.0-rc.1', 'v1.16.9', 'prerelease'],
+      ['v1.16.9', 'v1.16.8', 'patch'],
+      ['v1.16.8', 'v1.15.11', 'minor']
+    ]);
+  });
+
+  it('shows registry versions next to releases, and uses them when there are no releases', async () => {
+    server.routes['/repos/ethereum/go-ethereum/releases?per_page=100&page=1'] = {
+      body: [release('v1.16.9', 20), release('v1.16.8', 60)]
+    };
+    server.routes['/v2/repositories/ethereum/client-go/tags?page_size=100&ordering=last_updated'] = {
+      body: { results: [{ name: 'v1.16.8', last_updated: '2026-10-14T14:00:00Z' }] }
+    };
+    server.routes['/repos/wevm/viem/releases?per_page=100&page=1'] = { body: [] };
+    server.routes['/viem'] = {
+      body: {
+        versions: { '2.38.0': {}, '2.38.1': {} },
+        time: { '2.38.0': '2026-10-01T00:00:00Z', '2.38.1': '2026-10-15T00:00:00Z' }
+      }
+    };
+
+    const output = [];
+    const checks = await releases.processBatch([
+      { name: 'Geth', owner: 'ethereum', repo: 'go-ethereum', options: { registries: { docker: 'ethereum/client-go' } } },
+      { name: 'Viem', owner: 'wevm', repo: 'viem', options: { registries: { npm: 'viem' } } }
+    ], { window: WINDOW, out: { write: text => output.push(text) } });
+
+    assert.deepEqual(checks[0].items.map(item => item.registries.map(entry => [entry.title, entry.version, entry.latest])), [
+      [['Docker Hub', null, 'v1.16.8']],
+      [['Docker Hub', 'v1.16.8', 'v1.16.8']]
+    ]);
+    assert.deepEqual(checks[1].items.map(item => [item.version, item.fromRegistry, item.url, item.registries]), [
+      ['2.38.1', 'npm', 'https://www.npmjs.com/package/viem/v/2.38.1', []]
+    ]);
+    assert.equal(checks[1].items[0].change, 'patch');
+    assert.match(output.join(''), /Checking Viem\.\.\. ✓ Found 1 npm version: 2\.38\.1/);
+  });
+
+  it('warns about registries that could not be read, through the progress output', async () => {
+    server.routes['/repos/ethereum/go-ethereum/releases?per_page=100&page=1'] = { body: [release('v1.16.9', 20)] };
+    server.routes['/v2/repositories/ethereum/client-go/tags?page_size=100&ordering=last_updated'] = {
+      status: 422,
+      body: 'Unprocessable'
+    };
+
+    const output = [];
+    const checks = await releases.processBatch([
+      { name: 'Geth', owner: 'ethereum', repo: 'go-ethereum', options: { registries: { docker: 'ethereum/client-go' } } }
+    ], { window: WINDOW, out: { write: text => output.push(text) } });
+
+    assert.equal(checks[0].status, 'ok');
+    assert.deepEqual(checks[0].items[0].registries, []);
+    assert.equal(checks[0].warnings.length, 1);
+    assert.match(checks[0].warnings[0], /^Couldn't read the Docker Hub versions: /);
+    assert.match(output.join(''), /Checking Geth\.\.\. ✓ Found 1 release: v1\.16\.9\n {4}⚠️ {2}Couldn't read the Docker Hub versions: /);
+  });
+
+  it('compares monorepo packages with earlier releases of the same package', () => {
+    const release = (version, day, extra = {}) => ({ version, publishedAt: new Date(`2026-10-${day}`), prerelease: false, ...extra });
+    const found = releases.selectPackages({ options: { monorepo: true } }, [
+      release('@ethereumjs/vm@10.0.0', 15),
+      release('@ethereumjs/tx@7.0.0', 14),
+      release('@ethereumjs/vm@9.1.3', 12),
+      release('@ethereumjs/tx@6.4.2', 11),
+      release('@ethereumjs/util@10.0.0', 10)
+    ]);
+    const classified = releases.classifyReleases(found.slice(0, 2), found.slice(2));
+
+    assert.deepEqual(classified.map(item => [item.package, item.previousVersion, item.change]), [
+      ['@ethereumjs/vm', '9.1.3', 'major'],
+      ['@ethereumjs/tx', '6.4.2', 'major']
+    ]);
+    assert.deepEqual(releases.classifyReleases([release('v1.0.0', 15)]).map(item => item.change), [null]);
+  });
+
+  it('refuses the graphql backend without a token', () => {
+    assert.throws(() => releases.resolveBackend('graphql'), /needs a GITHUB_TOKEN/);
+    assert.throws(() => releases.resolveBackend('soap'), /Invalid backend: soap/);
+    assert.equal(releases.resolveBackend('auto'), 'rest');
+    assert.equal(releases.resolveBackend('graphql', { replay: true }), 'graphql');
+  });
+
+  it('falls back to dated git tags for repositories without releases', async () => {
+    const api = '/repos/example/tagged';
+    server.routes[`${api}/releases?per_page=100&page=1`] = { body: [] };
+    server.routes[`${api}/tags?per_page=100`] = {
+      body: [{ name: 'nightly' }, { name: 'v0.9.0' }, { name: 'v1.0.0' }, { name: 'v1.0.0-rc.1' }]
+    };
+    // v1.0.0 is an annotated tag, the others are lightweight
+    server.routes[`${api}/git/ref/tags/v1.0.0`] = { body: { object: { type: 'tag', sha: 'a1' } } };
+    server.routes[`${api}/git/tags/a1`] = { body: { tagger: { date: '2026-10-15T12:00:00Z' } } };
+    server.routes[`${api}/git/ref/tags/v1.0.0-rc.1`] = { body: { object: { type: 'commit', sha: 'c2' } } };
+    server.routes[`${api}/git/commits/c2`] = { body: { committer: { date: '2026-10-11T08:00:00Z' } } };
+    server.routes[`${api}/git/ref/tags/v0.9.0`] = { body: { object: { type: 'commit', sha: 'c1' } } };
+    server.routes[`${api}/git/commits/c1`] = { body: { committer: { date: '2026-08-01T08:00:00Z' } } };
+    server.routes[`${api}/git/ref/tags/nightly`] = { body: { object: { type: 'commit', sha: 'c3' } } };
+    server.routes[`${api}/git/commits/c3`] = { body: { committer: { date: '2026-10-16T00:00:00Z' } } };
+
+    const output = [];
+    const [check] = await releases.processBatch([{ name: 'Tagged', owner: 'example', repo: 'tagged' }], {
+      window: WINDOW,
+      out: { write: text => output.push(text) }
+    });
+
+    assert.equal(check.status, 'ok');
+    assert.deepEqual(check.items.map(item => [item.version, item.date, item.prerelease, item.fromTag]), [
+      ['nightly', 'October 16, 2026', false, true],
+      ['v1.0.0', 'October 15, 2026', false, true],
+      ['v1.0.0-rc.1', 'October 11, 2026', true, true]
+    ]);
+    assert.equal(check.items[1].url, 'https://github.com/example/tagged/compare/v1.0.0-rc.1...v1.0.0');
+    assert.equal(check.items[2].url, 'https://github.com/example/tagged/compare/v0.9.0...v1.0.0-rc.1');
+    assert.match(output.join(''), /Checking Tagged\.\.\. ✓ Found 3 tags: nightly, v1\.0\.0, v1\.0\.0-rc\.1/);
+  });
+
+  it('only reads tags with the tags strategy, and never with the releases strategy', async () => {
+    server.routes['/repos/example/repo/releases?per_page=100&page=1'] = { body: [] };
+    server.routes['/repos/example/repo/tags?per_page=100'] = { body: [{ name: 'v2.0.0' }] };
+    server.routes['/repos/example/repo/git/ref/tags/v2.0.0'] = { body: { object: { type: 'commit', sha: 'c1' } } };
+    server.routes['/repos/example/repo/git/commits/c1'] = { body: { committer: { date: '2026-09-01T00:00:00Z' } } };
+
+    const tagsOnly = { name: 'Example', owner: 'example', repo: 'repo', options: { strategy: 'tags' } };
+    const { releases: found, latest } = await releases.fetchVersionsSince(tagsOnly, WINDOW.start);
+    assert.deepEqual(found, []);
+    assert.equal(latest.version, 'v2.0.0');
+    assert.equal(latest.url, 'https://github.com/example/repo/releases/tag/v2.0.0');
+    assert.ok(server.requests.every(request => !request.path.includes('/releases')));
+
+    server.requests.length = 0;
+    const releasesOnly = { ...tagsOnly, options: { strategy: 'releases' } };
+    assert.equal((await releases.fetchVersionsSince(releasesOnly, WINDOW.start)).latest, null);
+    assert.ok(server.requests.every(request => !request.path.includes('/tags')));
+  });
+
+  it('uses the tags from the GraphQL lookup', async () => {
+    server.routes['/graphql'] = {
+      body: {
+        data: {
+          r0: {
+            nameWithOwner: 'example/repo',
+            isArchived: false,
+            releases: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: [] },
+            refs: {
+              nodes: [
+                { name: 'v3.1.0', target: { committedDate: '2026-10-12T00:00:00Z' } },
+                { name: 'v3.0.0', target: { tagger: { date: '2026-09-12T00:00:00Z' } } }
+              ]
+            }
+          }
+        }
+      }
+    };
+
+    const [result] = await releases.fetchReleasesGraphQL([{ name: 'Example', owner: 'example', repo: 'repo' }], WINDOW.start);
+
+    assert.deepEqual(result.releases.map(release => [release.version, release.url]), [
+      ['v3.1.0', 'https://github.com/example/repo/compare/v3.0.0...v3.1.0']
+    ]);
+    assert.equal(result.latest.fromTag, true);
+  });
+
+  it('finds the same versions with the REST and GraphQL backends', async () => {
+    const published = [release('v2.1.0', 20, { body: 'Notes' }), release('v2.1.0-rc.1', 24 * 5, { prerelease: true }), release('v2.0.0', 24 * 30)];
+    server.routes['/repos/example/released/releases?per_page=100&page=1'] = { body: published };
+
+    // The lowest versions were tagged last, so the most recently committed
+    // tags aren't the ones with the highest versions
+    const tags = Array.from({ length: 12 }, (_, minor) => ({
+      name: `v1.${minor}.0`,
+      date: minor < 2 ? '2026-10-16T00:00:00Z' : `2026-09-${String(minor + 10).padStart(2, '0')}T00:00:00Z`
+    })).reverse();
+    server.routes['/repos/example/tagged/tags?per_page=100'] = { body: tags.map(({ name }) => ({ name })) };
+    for (const { name, date } of tags) {
+      server.routes[`/repos/example/tagged/git/ref/tags/${name}`] = { body: { object: { type: 'commit', sha: name } } };
+      server.routes[`/repos/example/tagged/git/commits/${name}`] = { body: { committer: { date } } };
+    }
+
+    server.routes['/graphql'] = {
+      body: {
+        data: {
+          r0: {
+            nameWithOwner: 'example/released',
+            isArchived: false,
+            releases: {
+              pageInfo: { hasNextPage: false, endCursor: null },
+              nodes: published.map(found => ({
+                tagName: found.tag_name,
+                createdAt: found.created_at,
+                publishedAt: found.published_at,
+                url: found.html_url,
+                isPrerelease: found.prerelease,
+                isDraft: found.draft,
+                description: found.body
+              }))
+            },
+            refs: { nodes: [] }
+          },
+          r1: {
+            nameWithOwner: 'example/tagged',
+            isArchived: false,
+            refs: { nodes: tags.map(({ name, date }) => ({ name, target: { committedDate: date } })) }
+          }
+        }
+      }
+    };
+
+    const sources = [
+      { name: 'Released', owner: 'example', repo: 'released' },
+      { name: 'Tagged', owner: 'example', repo: 'tagged', options: { strategy: 'tags' } }
+    ];
+    const viaREST = await Promise.all(sources.map(source => releases.fetchVersionsSince(source, WINDOW.start)));
+    const viaGraphQL = await releases.fetchReleasesGraphQL(sources, WINDOW.start);
+
+    const versions = ({ releases: found, latest, earlier }) => ({ releases: found, latest, earlier });
+    assert.deepEqual(viaGraphQL.map(versions), viaREST.map(versions));
+    assert.deepEqual(viaREST[1].releases, [], 'v1.0.0 and v1.1.0 are too low to be read');
+    assert.equal(viaREST[1].latest.version, 'v1.11.0');
+    assert.equal(viaREST[1].earlier.length, 10);
+  });
+
+  it('leaves releases and tags out of the GraphQL query when the strategy does not read them', () => {
+    const { buildQuery } = require('../lib/graphql');
+    const source = strategy => ({ owner: 'example', repo: 'repo', options: { strategy } });
+    const { query, variables } = buildQuery([
+      { source: source('registry'), cursor: null },
+      { source: source('tags'), cursor: null },
+      { source: source('releases'), cursor: null }
+    ]);
+
+    const [registry, tags, published] = query.split(/\n {2}r\d: /).slice(1);
+    assert.doesNotMatch(registry, /releases\(|refs\(/);
+    assert.match(registry, /nameWithOwner isArchived/);
+    assert.doesNotMatch(tags, /releases\(/);
+    assert.match(tags, /refs\(/);
+    assert.match(published, /releases\(/);
+    assert.doesNotMatch(published, /refs\(/);
+    assert.deepEqual(Object.keys(variables).filter(name => name.startsWith('after')), ['after2']);
+  });
+
+  it('selects monorepo packages with include and exclude patterns', () => {
+    const tags = ['hardhat@2.26.0', '@nomicfoundation/hardhat-ethers@3.1.0', '@nomicfoundation/edr@0.12.0', 'v3.0.0'];
+    const found = tags.map(tag => ({ version: tag, repository: 'NomicFoundation/hardhat' }));
+    const packages = options => releases.selectPackages({ options: { monorepo: options } }, found)
+      .map(release => [release.package, release.packageVersion]);
+
+    assert.deepEqual(packages(true), [
+      ['hardhat', '2.26.0'],
+      ['@nomicfoundation/hardhat-ethers', '3.1.0'],
+      ['@nomicfoundation/edr', '0.12.0'],
+      [null, null]
+    ]);
+    assert.deepEqual(packages({ include: ['hardhat', '@nomicfoundation/hardhat-*'] }), [
+      ['hardhat', '2.26.0'],
+      ['@nomicfoundation/hardhat-ethers', '3.1.0']
+    ]);
+    assert.deepEqual(packages({ exclude: ['@nomicfoundation/*'] }), [['hardhat', '2.26.0'], [null, null]]);
+    assert.equal(releases.selectPackages({ name: 'Plain' }, found), found);
+  });
+
+  it('keeps the newest release of each package', () => {
+    const release = (version, pkg, day) => ({ version, package: pkg, repository: 'wevm/wagmi', publishedAt: new Date(`2026-10-${day}`) });
+    const kept = releases.latestPerPackage([
+      release('wagmi@2.1.0', 'wagmi', 12),
+      release('wagmi@2.1.1', 'wagmi', 14),
+      release('@wagmi/core@2.0.3', '@wagmi/core', 13),
+      { version: 'v1.0.0', repository: 'other/repo', publishedAt: new Date('2026-10-11') },
+      { version: 'v1.0.1', repository: 'other/repo', publishedAt: new Date('2026-10-15') }
+    ]);
+
+    assert.deepEqual(kept.map(item => item.version), ['wagmi@2.1.1', '@wagmi/core@2.0.3', 'v1.0.0', 'v1.0.1']);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { scrapePosts, parseDate } = require('../lib/scrape');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('scrapePosts', () => {
+  it('reads JSON-LD posts, resolving links against the page', () => {
+    const entries = scrapePosts(fixture('blog-jsonld.html'), { url: 'https://pse.dev/blog' });
+
+    assert.deepEqual(entries, [
+      {
+        title: 'Private voting with MACI v3',
+        link: 'https://pse.dev/blog/maci-v3',
+        date: new Date('2026-10-15T09:30:00Z'),
+        description: 'What changed in MACI v3.',
+        categories: ['privacy', 'voting']
+      },
+      {
+        title: 'zkID roadmap',
+        link: 'https://pse.dev/blog/zkid-roadmap',
+        date: new Date('2026-09-20T00:00:00Z'),
+        description: '',
+        categories: []
+      }
+    ]);
+  });
+
+  it('falls back to <time> elements and the heading and link around them', () => {
+    const entries = scrapePosts(fixture('blog-time.html'), { url: 'https://www.soliditylang.org/blog/' });
+
+    assert.deepEqual(entries.map(entry => [entry.title, entry.link, entry.date.toISOString()]), [
+      [
+        'Solidity 0.8.31 Release Announcement',
+        'https://www.soliditylang.org/blog/2026/10/14/solidity-0.8.31-release-announcement/',
+        '2026-10-14T00:00:00.000Z'
+      ],
+      [
+        'Solidity Developer Survey 2025 Results',
+        'https://www.soliditylang.org/blog/2026/09/30/survey-results/',
+        '2026-09-30T00:00:00.000Z'
+      ]
+    ]);
+  });
+
+  it('finds the card around each <time> in malformed markup', () => {
+    const entries = scrapePosts(`<ul class="posts">
+      <li><h3><a href="/one">One</a></h3><p>Posted <time datetime="2026-10-14">Oct 14</time>
+        <script>var html = "</li></ul><time datetime=\\"2026-01-01\\">";</script>
+      <li><h3><a href="/two">Two</a></h3><p>Posted <time datetime="2026-10-02">Oct 2</time>
+    </ul>`, { url: 'https://example.com/blog/' });
+
+    assert.deepEqual(entries.map(entry => [entry.title, entry.link, entry.date.toISOString()]), [
+      ['One', 'https://example.com/one', '2026-10-14T00:00:00.000Z'],
+      ['Two', 'https://example.com/two', '2026-10-02T00:00:00.000Z']
+    ]);
+  });
+
+  it('uses per-site selectors when given', () => {
+    const entries = scrapePosts(fixture('blog-cards.html'), {
+      url: 'https://notes.ethereum.org/@ethpandaops',
+      selectors: { item: 'li.note', link: 'a.title', date: '.date', description: '.tags' }
+    });
+
+    assert.deepEqual(entries.map(entry => [entry.title, entry.link, entry.date.toISOString(), entry.description]), [
+      ['Fusaka devnet-5 retrospective', 'https://notes.ethereum.org/@ethpandaops/fusaka-devnet-5', '2026-10-16T14:20:00.000Z', 'devnets'],
+      ['Glamsterdam testing plan', 'https://notes.ethereum.org/@ethpandaops/glamsterdam-plan', '2026-10-02T00:00:00.000Z', '']
+    ]);
+  });
+
+  it('finds nothing on a page without posts', () => {
+    assert.deepEqual(scrapePosts(fixture('not-a-feed.html'), { url: 'https://example.org/' }), []);
+  });
+});
+
+describe('parseDate', () => {
+  it('reads machine-readable and written-out dates as UTC', () => {
+    assert.deepEqual(parseDate('2026-10-14'), new Date('2026-10-14T00:00:00Z'));
+    assert.deepEqual(parseDate('2026-10-14T10:00'), new Date('2026-10-14T10:00:00Z'));
+    assert.deepEqual(parseDate('2026-10-14T10:00:00+02:00'), new Date('2026-10-14T08:00:00Z'));
+    assert.deepEqual(parseDate('Oct 14, 2026'), new Date('2026-10-14T00:00:00Z'));
+    assert.deepEqual(parseDate('Posted by the team on 14 October 2026'), new Date('2026-10-14T00:00:00Z'));
+  });
+
+  it('ignores text without a date', () => {
+    assert.equal(parseDate('5 min read'), null);
+    assert.equal(parseDate('Updated in spring'), null);
+    assert.equal(parseDate(''), null);
+  });
+});
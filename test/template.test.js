@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate } = require('../lib/template');
+
+describe('renderTemplate', () => {
+  it('inserts values and dotted names', () => {
+    assert.equal(renderTemplate('{{name}} ({{ window.label }})', { name: 'Geth', window: { label: 'last 7 days' } }),
+      'Geth (last 7 days)');
+    assert.equal(renderTemplate('[{{missing}}]', {}), '[]');
+  });
+
+  it('repeats sections for arrays and looks names up in enclosing contexts', () => {
+    const data = { feed: 'EF Blog', items: [{ title: 'One' }, { title: 'Two' }] };
+    assert.equal(renderTemplate('{{#items}}{{title}}/{{feed}} {{/items}}', data), 'One/EF Blog Two/EF Blog ');
+  });
+
+  it('renders inverted sections for missing, false and empty values', () => {
+    const template = '{{#items}}some{{/items}}{{^items}}none{{/items}}';
+    assert.equal(renderTemplate(template, { items: [] }), 'none');
+    assert.equal(renderTemplate(template, {}), 'none');
+    assert.equal(renderTemplate(template, { items: [1] }), 'some');
+    assert.equal(renderTemplate('{{#prerelease}} (pre-release){{/prerelease}}', { prerelease: false }), '');
+  });
+
+  it('drops comments and lines holding only a section tag', () => {
+    const template = '{{! a comment }}\n{{#section}}\n- {{name}}\n{{/section}}\nend\n';
+    assert.equal(renderTemplate(template, { section: { name: 'Geth' } }), '- Geth\nend\n');
+  });
+
+  it('joins arrays inserted as values', () => {
+    assert.equal(renderTemplate('{{categories}}', { categories: ['Protocol', 'Research'] }), 'Protocol, Research');
+  });
+
+  it('renders partials in the current context', () => {
+    const partials = name => ({ release: '{{name}} {{version}}' })[name];
+    assert.equal(renderTemplate('{{#items}}{{> release}};{{/items}}', { items: [{ name: 'Geth', version: 'v1.16.8' }] }, partials),
+      'Geth v1.16.8;');
+    assert.throws(() => renderTemplate('{{> missing}}', {}), /unknown partial \{\{> missing\}\}/);
+  });
+
+  it('rejects unbalanced sections', () => {
+    assert.throws(() => renderTemplate('{{#items}}', {}), /unclosed \{\{#items\}\}/);
+    assert.throws(() => renderTemplate('{{#a}}{{/b}}', {}), /unexpected \{\{\/b\}\}/);
+  });
+});
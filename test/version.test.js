@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVersion, compareVersions, classifyChange, parsePackageTag } = require('../lib/version');
+
+describe('parseVersion', () => {
+  it('reads the version out of common tag styles', () => {
+    assert.deepEqual(parseVersion('v1.16.7'), { numbers: [1, 16, 7], prerelease: null });
+    assert.deepEqual(parseVersion('nethermind-1.35.0'), { numbers: [1, 35, 0], prerelease: null });
+    assert.deepEqual(parseVersion('@ethereumjs/vm@10.0.0-rc.1'), { numbers: [10, 0, 0], prerelease: 'rc.1' });
+    assert.deepEqual(parseVersion('25.10.0-RC1'), { numbers: [25, 10, 0], prerelease: 'RC1' });
+    assert.deepEqual(parseVersion('2026-10-14'), { numbers: [2026, 10, 14], prerelease: null });
+    assert.equal(parseVersion('latest'), null);
+  });
+
+  it('ignores build metadata and only takes dashed suffixes or pre-release labels as pre-releases', () => {
+    assert.deepEqual(parseVersion('v1.2.3+build.5'), { numbers: [1, 2, 3], prerelease: null });
+    assert.deepEqual(parseVersion('v1.2.3-rc.1+build.5'), { numbers: [1, 2, 3], prerelease: 'rc.1' });
+    assert.deepEqual(parseVersion('v1.2.3hotfix2'), { numbers: [1, 2, 3], prerelease: null });
+    assert.deepEqual(parseVersion('1.2.0rc1'), { numbers: [1, 2, 0], prerelease: 'rc1' });
+    assert.deepEqual(parseVersion('1.2.0.dev3'), { numbers: [1, 2, 0], prerelease: 'dev3' });
+    assert.equal(compareVersions('v1.2.3+build.9', 'v1.2.3+build.1'), 0);
+  });
+
+  it('sorts pre-releases before their release', () => {
+    assert.ok(compareVersions('v1.15.0-rc.1', 'v1.15.0') < 0);
+    assert.ok(compareVersions('v1.15.0', 'v1.14.8') > 0);
+    assert.equal(compareVersions('v1.0.0', 'nightly'), null);
+  });
+});
+
+describe('classifyChange', () => {
+  it('names the first number that went up', () => {
+    assert.equal(classifyChange('v1.14.8', 'v2.0.0'), 'major');
+    assert.equal(classifyChange('v1.14.8', 'v1.15.0'), 'minor');
+    assert.equal(classifyChange('v1.14.8', 'v1.14.9'), 'patch');
+    assert.equal(classifyChange('v0.9.2', 'v0.10.0'), 'minor');
+  });
+
+  it('treats suffixed versions as pre-releases and their release as a patch', () => {
+    assert.equal(classifyChange('v1.14.8', 'v1.15.0-rc.1'), 'prerelease');
+    assert.equal(classifyChange('v1.15.0-rc.2', 'v1.15.0'), 'patch');
+  });
+
+  it('never calls a calendar version a major release', () => {
+    assert.equal(classifyChange('2026.9.3', '2026.10.0'), 'minor');
+    assert.equal(classifyChange('2025.12.1', '2026.1.0'), 'minor');
+    assert.equal(classifyChange('2026.10.0', '2026.10.1'), 'patch');
+    assert.equal(classifyChange('2026-10-01', '2026-10-14'), 'patch');
+    const calendar = { calendar: true };
+    assert.equal(classifyChange('25.10.0', '26.1.0', calendar), 'minor');
+    assert.equal(classifyChange('v25.9.3', 'v25.10.0', calendar), 'minor');
+    assert.equal(classifyChange('25.10.0', '25.10.1', calendar), 'patch');
+    assert.equal(classifyChange('23.5.1', '24.0.0', calendar), 'major', 'no month 0 in calendar versions');
+  });
+
+  it('only reads two-digit years as calendar versions for calendar sources', () => {
+    assert.equal(classifyChange('v22.5.1', 'v23.1.0'), 'major');
+    assert.equal(classifyChange('25.10.0', '26.1.0'), 'major');
+    assert.equal(classifyChange('v22.5.1', 'v22.6.0'), 'minor');
+  });
+
+  it('returns null when the version did not go up or is unreadable', () => {
+    assert.equal(classifyChange('v1.2.0', 'v1.1.0'), null);
+    assert.equal(classifyChange('v1.2.0', 'v1.2.0'), null);
+    assert.equal(classifyChange('nightly', 'v1.2.0'), null);
+  });
+});
+
+describe('parsePackageTag', () => {
+  it('splits monorepo tags into package and version', () => {
+    assert.deepEqual(parsePackageTag('@ethereumjs/vm@10.0.0'), { package: '@ethereumjs/vm', version: '10.0.0' });
+    assert.deepEqual(parsePackageTag('hardhat@2.26.0'), { package: 'hardhat', version: '2.26.0' });
+    assert.deepEqual(parsePackageTag('core/v1.2.3'), { package: 'core', version: 'v1.2.3' });
+    assert.equal(parsePackageTag('v1.2.3'), null);
+  });
+});